@@ -3,15 +3,14 @@
 
 // Mock for WebGPU features
 global.GPUBufferUsage = {
-  STORAGE: 0x0080,
   COPY_DST: 0x0008,
-  TEXTURE_BINDING: 0x0020
+  STORAGE: 0x0080
 };
 
 global.GPUTextureUsage = {
-  COPY_DST: 0x0002,
-  STORAGE_BINDING: 0x0080,
-  TEXTURE_BINDING: 0x0004
+  COPY_DST: 0x02,
+  TEXTURE_BINDING: 0x04,
+  STORAGE_BINDING: 0x08
 };
 
 // Mock for canvas size in tests
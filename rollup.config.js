@@ -1,6 +1,6 @@
 import { terser } from 'rollup-plugin-terser';
 
-export default {
+export default [{
   input: 'src/index.js',
   output: [
     {
@@ -22,4 +22,12 @@ export default {
       sourcemap: true
     }
   ]
-};
+}, {
+  // mock device and CPU executor for tests, kept out of the main bundle
+  input: 'src/testing.js',
+  output: {
+    file: 'dist/webgpu-utils-testing.esm.js',
+    format: 'es',
+    sourcemap: true
+  }
+}];
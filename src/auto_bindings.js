@@ -0,0 +1,205 @@
+/**
+ * @file Auto-binding registry
+ * Global buffers and textures that compute passes bind automatically whenever their shader mentions them.
+ * Bindings registered as global live in @group(0), built from the globals a pass uses and shared by every
+ * pass using the same ones; the others are added to each pass's own group.
+ */
+
+import { getBindGroupLayout, getBindGroup } from './layouts.js';
+
+/**
+ * Bind group index of the shared global bindings
+ * @type {number}
+ */
+export const GLOBAL_GROUP = 0;
+
+/**
+ * Registered auto-bindings, in registration order
+ * @type {Map<string, {name: string, resource: Object|Function, regex: RegExp, access: string|undefined, global: boolean, previous: boolean}>}
+ */
+const registry = new Map();
+
+/**
+ * Shared global groups for the current registry by the names of the globals they hold, built on first use
+ * @type {Map<string, {bindings: Array, regexes: Array<RegExp>, layout: GPUBindGroupLayout, bindGroup: GPUBindGroup}>}
+ */
+const globalGroups = new Map();
+
+/**
+ * Global bindings resolved from their registry entries, so factories run once and only for globals in use
+ * @type {Map<string, Object|null>}
+ */
+const resolvedGlobals = new Map();
+
+/**
+ * Binding helper method used for each access mode
+ */
+const accessMethods = { read: 'read', write: 'write', read_write: 'readWrite' };
+
+/**
+ * Register a buffer or texture that is bound automatically to every ComputePass whose code uses it.
+ * Registering an existing name replaces the entry but keeps its place in the binding order.
+ * @param {string} name - Name of the binding in WGSL
+ * @param {Object|Function} resourceOrFactory - Buffer, Texture or binding, or a function returning one
+ * (called when a pass is created; returning null skips the binding)
+ * @param {Object} [options] - Auto-binding options
+ * @param {RegExp} [options.regex] - Pattern that marks the binding as used, defaults to the name as a whole word
+ * @param {'read'|'write'|'read_write'} [options.access] - Access mode, applied with the resource's read()/write()/readWrite().
+ * Global bindings default to 'read'
+ * @param {boolean} [options.global=false] - Bind in the global group shared by every pass instead of the pass's own group.
+ * Global bindings are visible to every shader stage and must not be written by shaders
+ * @param {boolean} [options.previous=false] - The resource holds last frame's state (like a feedback texture):
+ * a FrameGraph runs the passes reading it before the passes writing it
+ * @example
+ * const palette = new Texture('palette', 256, 1);
+ * registerAutoBinding('palette', palette, { access: 'read' });
+ * registerAutoBinding('camera', cameraBuffer, { global: true });
+ */
+export function registerAutoBinding(name, resourceOrFactory, options = {}) {
+    if (typeof name !== 'string' || name.trim() === '') {
+        throw new Error('registerAutoBinding: Name must be a non-empty string');
+    }
+    if (!resourceOrFactory || (typeof resourceOrFactory !== 'object' && typeof resourceOrFactory !== 'function')) {
+        throw new Error('registerAutoBinding: Expected a resource or a function returning one');
+    }
+    if (options.access && !accessMethods[options.access]) {
+        throw new Error(`registerAutoBinding: Unknown access mode ${options.access}`);
+    }
+    if (options.global && options.access && options.access !== 'read') {
+        throw new Error(`registerAutoBinding: Global binding ${name} must be read-only`);
+    }
+
+    const global = !!options.global;
+    if (global || (registry.has(name) && registry.get(name).global)) clearGlobalGroup();
+    registry.set(name, {
+        name,
+        resource: resourceOrFactory,
+        regex: options.regex || new RegExp(`\\b${name}\\b`),
+        access: global ? 'read' : options.access,
+        global,
+        previous: !!options.previous,
+    });
+}
+
+/**
+ * Remove an auto-binding
+ * @param {string} name - Name the binding was registered with
+ * @returns {boolean} True if a binding was removed
+ */
+export function unregisterAutoBinding(name) {
+    if (registry.has(name) && registry.get(name).global) clearGlobalGroup();
+    return registry.delete(name);
+}
+
+/**
+ * List the registered auto-bindings in binding order
+ * @returns {Array<{name: string, regex: RegExp, access: string|undefined, global: boolean, previous: boolean}>}
+ */
+export function getAutoBindings() {
+    return [...registry.values()].map(({ name, regex, access, global, previous }) => ({ name, regex, access, global, previous }));
+}
+
+/**
+ * Turn a registry entry into a binding, or null if its factory returns nothing
+ * @param {Object} auto - Registry entry
+ * @returns {Object|null} Buffer, Texture or binding helper
+ */
+function resolveEntry(auto) {
+    let resource = typeof auto.resource === 'function' ? auto.resource() : auto.resource;
+    if (!resource || !auto.access) return resource || null;
+
+    const method = accessMethods[auto.access];
+    if (typeof resource[method] !== 'function') {
+        throw new Error(`resolveAutoBindings: ${auto.name} does not support ${auto.access} access`);
+    }
+    return resource[method]();
+}
+
+/**
+ * Resolve the per-pass auto-bindings used by a shader.
+ * Global bindings and bindings whose name is already taken by an explicit binding are skipped.
+ * @param {string} code - WGSL code
+ * @param {Array} bindings - Explicit bindings of the pass
+ * @returns {Array} Bindings to add, in registration order
+ */
+export function resolveAutoBindings(code, bindings) {
+    const names = new Set(bindings.map(b => b && b.name));
+    const added = [];
+
+    registry.forEach(auto => {
+        if (auto.global || !auto.regex.test(code)) return;
+        const resource = resolveEntry(auto);
+        if (!resource || names.has(resource.name)) return;
+        names.add(resource.name);
+        added.push(resource);
+    });
+
+    return added;
+}
+
+/**
+ * Get the global bind group for a shader: the registered global bindings its code uses, in registration
+ * order. Globals whose factory hasn't run yet are only resolved once a shader uses them. Groups are built
+ * once per set of globals and shared until a global binding is (un)registered; passes keep the group they
+ * were built with.
+ * @param {string} [code=''] - WGSL code
+ * @param {Array} [bindings=[]] - Explicit bindings of the pass, whose names hide globals of the same name
+ * @returns {{bindings: Array, regexes: Array<RegExp>, layout: GPUBindGroupLayout, bindGroup: GPUBindGroup}}
+ */
+export function getGlobalGroup(code = '', bindings = []) {
+    const names = new Set(bindings.map(b => b && b.name));
+    const globals = [...registry.values()]
+        .filter(auto => auto.global && !names.has(auto.name) && auto.regex.test(code))
+        .map(auto => {
+            if (!resolvedGlobals.has(auto.name)) resolvedGlobals.set(auto.name, resolveEntry(auto));
+            return { binding: resolvedGlobals.get(auto.name), regex: auto.regex };
+        })
+        .filter(({ binding }) => binding && !names.has(binding.name));
+
+    const key = globals.map(({ binding }) => binding.name).join();
+    if (!globalGroups.has(key)) {
+        const groupBindings = globals.map(({ binding }) => binding);
+        const visibility = GPUShaderStage.COMPUTE | GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT;
+        const layout = getBindGroupLayout(groupBindings.map((binding, i) => binding.getLayoutEntry(i, visibility)));
+        globalGroups.set(key, {
+            bindings: groupBindings,
+            regexes: globals.map(({ regex }) => regex),
+            layout,
+            // looked up on use, so resized or recreated resources are picked up
+            get bindGroup() {
+                return getBindGroup(layout, groupBindings.map(binding => binding.resource));
+            },
+        });
+    }
+    return globalGroups.get(key);
+}
+
+/**
+ * Get the WGSL declarations of the global bindings a shader uses.
+ * Globals whose name is taken by an explicit binding are left out.
+ * @param {string} code - WGSL code
+ * @param {Array} bindings - Explicit bindings of the pass
+ * @param {Object} [group] - Global group from getGlobalGroup
+ * @returns {{code: string, names: Array<string>}} Declarations and names of the globals used
+ */
+export function resolveGlobalBindings(code, bindings, group = getGlobalGroup()) {
+    const names = new Set(bindings.map(b => b && b.name));
+    const used = [];
+    let declarations = '';
+
+    group.bindings.forEach((binding, i) => {
+        if (names.has(binding.name) || !group.regexes[i].test(code)) return;
+        declarations += binding.getBindingCode(i, GLOBAL_GROUP) + '\n';
+        used.push(binding.name);
+    });
+
+    return { code: declarations, names: used };
+}
+
+/**
+ * Forget the shared global groups, e.g. after the device it was created on is gone
+ */
+export function clearGlobalGroup() {
+    globalGroups.clear();
+    resolvedGlobals.clear();
+}
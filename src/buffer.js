@@ -0,0 +1,453 @@
+/**
+ * @file WebGPU buffers
+ * Storage and uniform buffers with typed and struct contents, partial writes batched per frame and readback.
+ */
+
+import { device } from './canvas.js';
+import { readBuffer } from './readback.js';
+import { type_f32, type_i32, type_u32, asFieldType } from './types.js';
+import { trackResource } from './recovery.js';
+
+/**
+ * Element types matching the typed arrays a Buffer can hold
+ * @type {Array<{array: Function, type: Object}>}
+ */
+const TYPED_ARRAY_TYPES = [
+    { array: Uint32Array, type: type_u32 },
+    { array: Int32Array, type: type_i32 },
+    { array: Float32Array, type: type_f32 },
+];
+
+/**
+ * Buffers with partial writes waiting to be uploaded
+ * @type {Set<Buffer>}
+ */
+const dirtyBuffers = new Set();
+
+/**
+ * Upload every pending partial buffer write, one writeBuffer call per buffer.
+ * Called by runPasses before recording passes.
+ */
+export function flushBufferWrites() {
+    dirtyBuffers.forEach(buffer => buffer.flush());
+}
+
+/**
+ * View the bytes of a typed array
+ * @param {ArrayBufferView} data - Typed array
+ * @returns {Uint8Array} Bytes of the array
+ */
+function bytesOf(data) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+}
+
+/**
+ * Get the typed array constructor holding elements of a field type
+ * @param {Object} [type] - Field type (e.g. type_u32, type_vec4i)
+ * @returns {Function} Float32Array, Int32Array or Uint32Array
+ */
+function typedArrayFor(type) {
+    const match = type && TYPED_ARRAY_TYPES.find(t => type.wgsl.includes(t.type.wgsl));
+    return match ? match.array : Float32Array;
+}
+
+/**
+ * Create WebGPU buffer
+ * @class
+ */
+export class Buffer {
+    /**
+     * Create a WebGPU buffer
+     * @param {string} [name=''] - Name for the buffer
+     * @param {Float32Array|Int32Array|Uint32Array|ArrayBuffer|Array} data - Data to store in buffer
+     * @param {Object} [options] - Buffer options
+     * @param {Object} [options.type] - Element type of the buffer (e.g. type_u32, type_vec4i, type_atomic_u32).
+     * Inferred from the typed array when omitted; plain Arrays are stored as f32.
+     * @param {Struct} [options.struct] - Struct describing each element of the buffer
+     * @param {boolean} [options.isArray=false] - Whether the buffer holds an array of struct elements
+     * @param {boolean} [options.uniform=false] - Allocate a uniform buffer and bind it as var<uniform>
+     * @throws {Error} If device is not initialized or buffer creation fails
+     */
+    constructor(name, data, options = {}) {
+        if (!device) {
+            throw new Error('Buffer: WebGPU device not initialized. Call initCanvas() first.');
+        }
+        if (!options || typeof options !== 'object') options = {};
+
+        try {
+            this.name = name;
+            if (options.type) {
+                this.type = asFieldType(options.type);
+                this.explicitType = true;
+            }
+            if (options.struct) this.struct = options.struct;
+            if (options.isArray) this.isArray = true;
+            this.uniform = !!options.uniform;
+
+            data = this.toTypedArray(data);
+            if (!this.type) this.type = TYPED_ARRAY_TYPES.find(t => data instanceof t.array).type;
+
+            this.data = data;
+            this.size = data.byteLength;
+
+            if (this.uniform) this.validateUniform();
+            else this.validateStorageSize();
+
+            this.allocate();
+            trackResource(this);
+        } catch (error) {
+            throw new Error(`Failed to create Buffer: ${error.message}`);
+        }
+    }
+
+    /**
+     * Create the GPU buffer and fill it with the CPU-side data
+     */
+    allocate() {
+        this.buffer = device.createBuffer({
+            label: this.name,
+            size: this.size,
+            usage: (this.uniform ? GPUBufferUsage.UNIFORM : GPUBufferUsage.STORAGE) | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC,
+            mappedAtCreation: true
+        });
+
+        // Write data to the buffer
+        new Uint8Array(this.buffer.getMappedRange()).set(bytesOf(this.data));
+        this.buffer.unmap();
+
+        // Create resource binding
+        this.resource = { buffer: this.buffer };
+    }
+
+    /**
+     * Recreate the buffer on a new device after a device loss, from the last data written from the CPU
+     */
+    recreate() {
+        this.allocate();
+        // pending partial writes are already in the data
+        this.dirty = null;
+        dirtyBuffers.delete(this);
+    }
+
+    /**
+     * Normalize buffer data to a typed array.
+     * Arrays become Float32Arrays, ArrayBuffers are viewed with the typed array matching the buffer type.
+     * @param {Float32Array|Int32Array|Uint32Array|ArrayBuffer|Array} data - Data to normalize
+     * @returns {Float32Array|Int32Array|Uint32Array} Typed array holding the data
+     * @throws {Error} If the data is not of a supported kind
+     */
+    toTypedArray(data) {
+        if (Array.isArray(data) || data instanceof ArrayBuffer) {
+            return new (typedArrayFor(this.type))(data);
+        }
+        if (TYPED_ARRAY_TYPES.some(t => data instanceof t.array)) return data;
+        throw new Error('Buffer: Data must be an Array, ArrayBuffer, Float32Array, Int32Array or Uint32Array');
+    }
+
+    /**
+     * Update buffer data
+     * @param {Float32Array|Int32Array|Uint32Array|ArrayBuffer|Array} data - New data for the buffer
+     */
+    update(data) {
+        if (!data) {
+            throw new Error('Buffer.update: Data must be an Array, ArrayBuffer or typed array');
+        }
+
+        try {
+            data = this.toTypedArray(data);
+            if (data.byteLength > this.size) {
+                throw new Error(`Data is ${data.byteLength} bytes, larger than the ${this.size} byte buffer`);
+            }
+
+            // Update data
+            device.queue.writeBuffer(this.buffer, 0, data.buffer, data.byteOffset, data.byteLength);
+            if (data.byteLength === this.size) {
+                this.data = data;
+                // the whole buffer was just written, pending partial writes are stale
+                this.dirty = null;
+                dirtyBuffers.delete(this);
+            } else {
+                bytesOf(this.data).set(bytesOf(data));
+            }
+        } catch (error) {
+            throw new Error(`Failed to update Buffer: ${error.message}`);
+        }
+    }
+
+    /**
+     * Write data into part of the buffer. Named writeRange since write(name) returns a binding.
+     * The bytes are copied into the CPU-side data right away and uploaded with the next
+     * flushBufferWrites() (called by runPasses). Overlapping or touching writes are merged,
+     * separate ones stay separate so untouched bytes in between are not uploaded.
+     * @param {number} offset - Byte offset to write at (multiple of 4)
+     * @param {Float32Array|Int32Array|Uint32Array|ArrayBuffer|Array} data - Data to write
+     */
+    writeRange(offset, data) {
+        if (!data) {
+            throw new Error('Buffer.writeRange: Data must be an Array, ArrayBuffer or typed array');
+        }
+        const bytes = bytesOf(this.toTypedArray(data));
+        if (!Number.isInteger(offset) || offset < 0 || offset % 4 !== 0) {
+            throw new Error('Buffer.writeRange: Offset must be a non-negative multiple of 4 bytes');
+        }
+        if (offset + bytes.byteLength > this.size) {
+            throw new Error(`Buffer.writeRange: Writing ${bytes.byteLength} bytes at ${offset} overflows the ${this.size} byte buffer`);
+        }
+
+        bytesOf(this.data).set(bytes, offset);
+
+        this.markDirty(offset, offset + bytes.byteLength);
+        dirtyBuffers.add(this);
+    }
+
+    /**
+     * Add a byte range to the pending writes, merging it with the ranges it overlaps or touches
+     * @param {number} start - First byte of the range
+     * @param {number} end - Byte after the range
+     */
+    markDirty(start, end) {
+        const ranges = [];
+        for (const range of this.dirty || []) {
+            if (range[1] < start || range[0] > end) {
+                ranges.push(range);
+            } else {
+                start = Math.min(start, range[0]);
+                end = Math.max(end, range[1]);
+            }
+        }
+        ranges.push([start, end]);
+        this.dirty = ranges.sort((a, b) => a[0] - b[0]);
+    }
+
+    /**
+     * Replace a single element of a struct buffer.
+     * Only the bytes of that element are uploaded, see {@link Buffer#writeRange}.
+     * @param {number} index - Element index
+     * @param {Object} value - Object matching the buffer struct
+     * @throws {Error} If the buffer has no struct or the index is out of range
+     */
+    setElement(index, value) {
+        if (!this.struct) {
+            throw new Error('Buffer.setElement: Buffer was not created from a Struct');
+        }
+        const stride = this.struct.byteSize;
+        if (!Number.isInteger(index) || index < 0 || (index + 1) * stride > this.size) {
+            throw new Error(`Buffer.setElement: Index ${index} is out of range`);
+        }
+        this.writeRange(index * stride, this.struct.toArrayBuffer([value]));
+    }
+
+    /**
+     * Upload the pending partial writes of this buffer, one writeBuffer call per dirty range
+     */
+    flush() {
+        if (!this.dirty) return;
+        this.dirty.forEach(([start, end]) => {
+            device.queue.writeBuffer(this.buffer, start, this.data.buffer, this.data.byteOffset + start, end - start);
+        });
+        this.dirty = null;
+        dirtyBuffers.delete(this);
+    }
+
+    /**
+     * Check that the buffer fits in a single storage binding on this device
+     * @throws {Error} If the buffer is over the maxStorageBufferBindingSize limit
+     */
+    validateStorageSize() {
+        const maxSize = device.limits && device.limits.maxStorageBufferBindingSize;
+        if (maxSize && this.size > maxSize) {
+            throw new Error(`Buffer.validateStorageSize: ${this.name} is ${this.size} bytes, over the ${maxSize} byte storage binding limit of this device. Use Struct.createBuffer with { chunkSize } to split it.`);
+        }
+    }
+
+    /**
+     * Check that the buffer contents can be bound in the uniform address space.
+     * Uniform arrays need a 16 byte element stride, and atomics are storage-only.
+     * @throws {Error} If the layout breaks a uniform rule
+     */
+    validateUniform() {
+        const maxSize = device.limits && device.limits.maxUniformBufferBindingSize;
+        if (maxSize && this.size > maxSize) {
+            throw new Error(`Buffer.validateUniform: ${this.name} is ${this.size} bytes, over the ${maxSize} byte uniform binding limit`);
+        }
+
+        if (this.struct) {
+            this.struct.validateUniform();
+            if (this.isArray && this.struct.byteSize % 16 !== 0) {
+                throw new Error(`Buffer.validateUniform: ${this.name} is an array of ${this.struct.name} with a ${this.struct.byteSize} byte stride, uniform arrays need a multiple of 16`);
+            }
+            return;
+        }
+
+        if (this.type.wgsl.startsWith('atomic')) {
+            throw new Error(`Buffer.validateUniform: ${this.name} uses ${this.type.wgsl}, atomics are only allowed in storage buffers`);
+        }
+        const isArray = this.explicitType ? this.size > this.type.size : this.size > 16;
+        const stride = Math.ceil(this.type.size / this.type.align) * this.type.align;
+        if (isArray && stride % 16 !== 0) {
+            throw new Error(`Buffer.validateUniform: ${this.name} is an array of ${this.type.wgsl} with a ${stride} byte stride, uniform arrays need a multiple of 16 (use vec4 elements or a Struct)`);
+        }
+    }
+
+    /**
+     * Get binding for this buffer in read-only mode (var<storage, read>).
+     * Read-only bindings can share a buffer with other bindings in the same pass.
+     * @param {string} [name] - WGSL name for the binding, defaults to the buffer name
+     * @returns {BufferBindingHelper} Buffer binding
+     */
+    read(name) {
+        return new BufferBindingHelper(this, 'read', name);
+    }
+
+    /**
+     * Get binding for this buffer in write mode.
+     * WGSL has no write-only storage buffers, so it binds as read_write.
+     * It uploads nothing: to write data into part of the buffer, use {@link Buffer#writeRange} (`writeRange(offset, data)`)
+     * or {@link Buffer#setElement}.
+     * @param {string} [name] - WGSL name for the binding, defaults to the buffer name
+     * @returns {BufferBindingHelper} Buffer binding
+     */
+    write(name) {
+        return new BufferBindingHelper(this, 'read_write', name);
+    }
+
+    /**
+     * Get binding for this buffer in read-write mode (var<storage, read_write>)
+     * @param {string} [name] - WGSL name for the binding, defaults to the buffer name
+     * @returns {BufferBindingHelper} Buffer binding
+     */
+    readWrite(name) {
+        return new BufferBindingHelper(this, 'read_write', name);
+    }
+
+    /**
+     * Get binding code for this buffer
+     * @param {number} index - Binding index for the buffer
+     * @param {number} [group=0] - Bind group index
+     * @returns {string} WGSL binding code for the buffer
+     * @throws {Error} If buffer resource is not initialized
+     */
+    getBindingCode(index, group = 0) {
+        return this.bindingCode(index, group, 'read_write', this.name);
+    }
+
+    /**
+     * Get the bind group layout entry for this buffer
+     * @param {number} index - Binding index for the buffer
+     * @param {number} [visibility=GPUShaderStage.COMPUTE] - Shader stages that can access the buffer
+     * @returns {GPUBindGroupLayoutEntry} Layout entry
+     */
+    getLayoutEntry(index, visibility = GPUShaderStage.COMPUTE) {
+        return this.layoutEntry(index, visibility, 'read_write');
+    }
+
+    /**
+     * Build the bind group layout entry for this buffer with a given access mode
+     * @param {number} index - Binding index for the buffer
+     * @param {number} visibility - Shader stages that can access the buffer
+     * @param {string} access - Storage access mode, 'read' or 'read_write' (ignored for uniform buffers)
+     * @returns {GPUBindGroupLayoutEntry} Layout entry
+     */
+    layoutEntry(index, visibility, access) {
+        let type = access === 'read' ? 'read-only-storage' : 'storage';
+        if (this.uniform) type = 'uniform';
+        return { binding: index, visibility, buffer: { type } };
+    }
+
+    /**
+     * Build the WGSL binding code for this buffer with a given access mode and name
+     * @param {number} index - Binding index for the buffer
+     * @param {number} group - Bind group index
+     * @param {string} access - Storage access mode, 'read' or 'read_write' (ignored for uniform buffers)
+     * @param {string} name - WGSL name for the binding
+     * @returns {string} WGSL binding code for the buffer
+     * @throws {Error} If buffer resource is not initialized
+     */
+    bindingCode(index, group, access, name) {
+        if (!this.resource || !this.resource.buffer) {
+            throw new Error('Buffer.getBindingCode: Buffer resource not initialized');
+        }
+
+        let bufferType = this.type.wgsl;
+        let elementSize = this.type.size;
+        let isArray = this.isArray;
+        if (this.struct) {
+            bufferType = this.struct.name;
+            elementSize = this.struct.byteSize;
+        } else if (this.explicitType) {
+            if (this.size > this.type.size) isArray = true;
+        } else {
+            if (this.size == 8) bufferType = `vec2<${bufferType}>`;
+            else if (this.size == 12) bufferType = `vec3<${bufferType}>`;
+            else if (this.size == 16) bufferType = `vec4<${bufferType}>`;
+        }
+
+        if (this.uniform) {
+            // uniform buffers can't hold runtime-sized arrays, so declare the element count
+            if (isArray) bufferType = `array<${bufferType}, ${this.size / elementSize}>`;
+            return `@group(${group}) @binding(${index}) var<uniform> ${name}: ${bufferType};`
+        }
+        if (isArray) bufferType = `array<${bufferType}>`;
+        return `@group(${group}) @binding(${index}) var<storage, ${access}> ${name}: ${bufferType};`
+    }
+
+    /**
+     * Read the buffer contents back from the GPU.
+     * Struct buffers decode into objects (an array for struct arrays), other buffers
+     * return the typed array matching their element type.
+     * @async
+     * @param {Object} [options] - Readback options
+     * @param {number} [options.offset=0] - Byte offset to start reading from
+     * @param {number} [options.size] - Number of bytes to read, defaults to the rest of the buffer.
+     * For struct buffers the range must cover whole elements.
+     * @returns {Promise<Float32Array|Int32Array|Uint32Array|Object|Array<Object>>} Buffer contents
+     * @throws {Error} If the range is invalid
+     */
+    async getData(options = {}) {
+        const { offset = 0, size = this.size - offset } = options;
+        this.flush();
+
+        if (this.struct) {
+            const stride = this.struct.byteSize;
+            if (offset % stride !== 0 || size % stride !== 0) {
+                throw new Error(`Buffer.getData: Range must cover whole ${this.struct.name} elements of ${stride} bytes`);
+            }
+            const values = this.struct.fromArrayBuffer(await readBuffer(this.buffer, offset, size));
+            return this.isArray ? values : values[0];
+        }
+
+        const TypedArray = typedArrayFor(this.type);
+        return new TypedArray(await readBuffer(this.buffer, offset, size));
+    }
+}
+
+function BufferBindingHelper(buffer, access = 'read_write', name = buffer.name) {
+    this.buffer = buffer;
+    this.access = access;
+    // follows the buffer, so bind groups built later see a recreated GPU buffer
+    Object.defineProperty(this, 'resource', { get: () => this.buffer.resource, enumerable: true });
+    this.name = name;
+    this.struct = buffer.struct;
+
+    this.getBindingCode = (bindingIndex, group = 0) => this.buffer.bindingCode(bindingIndex, group, this.access, this.name);
+    this.getLayoutEntry = (bindingIndex, visibility = GPUShaderStage.COMPUTE) => this.buffer.layoutEntry(bindingIndex, visibility, this.access);
+}
+
+/**
+ * WebGPU uniform buffer, for small per-frame parameters such as time, mouse or camera data.
+ * Bound as var<uniform> instead of taking up a storage buffer slot.
+ * @class
+ * @extends Buffer
+ */
+export class UniformBuffer extends Buffer {
+    /**
+     * Create a WebGPU uniform buffer
+     * @param {string} [name=''] - Name for the buffer
+     * @param {Float32Array|Int32Array|Uint32Array|ArrayBuffer|Array} data - Data to store in buffer
+     * @param {Object} [options] - Buffer options, see {@link Buffer}
+     * @throws {Error} If device is not initialized, the layout breaks a uniform rule or buffer creation fails
+     */
+    constructor(name, data, options = {}) {
+        super(name, data, { ...options, uniform: true });
+    }
+}
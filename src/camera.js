@@ -14,7 +14,7 @@ import { width, height } from './canvas.js';
  * @param {number} [options.nearPlane=1.0] - Near clipping plane distance
  * @param {number} [options.farPlane=1000.0] - Far clipping plane distance
  * @param {number} [options.cameraY=-100.0] - Camera Y position
- * @returns {string} WGSL camera code
+ * @returns {string} WGSL camera code, orbiting with `globalData[0].frame` (bound automatically, see globals.js)
  */
 export function getCamStuff(options = {}) {
     const {
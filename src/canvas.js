@@ -4,51 +4,294 @@
  * and handle basic rendering operations.
  */
 
-import { createMatchPass, createRenderPass } from "./render_passes";
+import { createMatchPass, createRenderPass, createTextures } from "./render_passes";
 import { createMouseBuffer, createTimeBuffer } from "./utilities";
+import { onDeviceLost, recoverResources, clearDeviceCaches, recreateSingletons } from "./recovery";
 
 export let width, height, device;
 export let canvas, canvasPresentationFormat, ctx;
 
 /**
- * Initialize the WebGPU canvas and device
- * @param {Object} [options] - Canvas initialization options
- * @param {number} [options.width] - Canvas width (defaults to window width * 2)
- * @param {number} [options.height] - Canvas height (defaults to window height * 2)
- * @param {HTMLCanvasElement} [options.canvas] - Existing canvas to use (creates one if not provided)
- * @param {string} [options.containerId] - ID of the container to append the canvas to and size it to
- * @returns {Promise<{device: GPUDevice, canvas: HTMLCanvasElement, width: number, height: number}>}
- * @throws {Error} If WebGPU is not supported or initialization fails
+ * Canvas size in CSS pixels
+ * @type {number}
  */
-export async function initCanvas(options = {}) {
-    if (!navigator.gpu) {
-        webgpu_notSupported(options, 'WebGPU is not supported in this browser.');
+export let displayWidth, displayHeight;
+
+/**
+ * Drawing buffer pixels per CSS pixel
+ * @type {number}
+ */
+export let pixelDensity = 2;
+
+/**
+ * Render resolution relative to the drawing buffer; `width` and `height` are the drawing buffer size times this
+ * @type {number}
+ */
+export let renderScale = 1;
+
+/**
+ * pixelDensity as given to initCanvas, 'auto' follows devicePixelRatio
+ * @type {number|'auto'}
+ */
+let pixelDensityOption = 2;
+
+/**
+ * Functions called when the canvas is resized, by stage (textures first, then passes)
+ * @type {Array<{listener: function(number, number): void, stage: number}>}
+ */
+const resizeListeners = [];
+
+/**
+ * Call a function whenever the canvas is resized
+ * @param {function(number, number): void} listener - Called with the new width and height
+ * @param {number} [stage=0] - Listeners of lower stages run first: textures use 0, passes 1
+ * @returns {function(): void} Removes the listener
+ */
+export function onCanvasResize(listener, stage = 0) {
+    const entry = { listener, stage };
+    resizeListeners.push(entry);
+    return () => {
+        const i = resizeListeners.indexOf(entry);
+        if (i !== -1) resizeListeners.splice(i, 1);
+    };
+}
+
+/**
+ * Work out the pixel density from the pixelDensity option
+ * @param {number|'auto'} option - Pixels per CSS pixel, or 'auto' for the display's devicePixelRatio
+ * @returns {number}
+ */
+function resolvePixelDensity(option) {
+    if (option === 'auto') return (typeof window !== 'undefined' && window.devicePixelRatio) || 1;
+    if (!(option > 0)) {
+        throw new Error(`initCanvas: pixelDensity must be a positive number or 'auto', got ${option}`);
     }
+    return option;
+}
 
-    try {
-        const adapter = await navigator.gpu?.requestAdapter();
-        if (!adapter) {
-            webgpu_notSupported(options, 'Couldn\'t request WebGPU adapter.');
+/**
+ * Set the canvas display size, its drawing buffer size and the render resolution
+ * @param {number} cssWidth - Width in CSS pixels
+ * @param {number} cssHeight - Height in CSS pixels
+ */
+function setCanvasSize(cssWidth, cssHeight) {
+    displayWidth = cssWidth;
+    displayHeight = cssHeight;
+    if (canvas.style) {
+        canvas.style.width = cssWidth + 'px';
+        canvas.style.height = cssHeight + 'px';
+    }
+    canvas.width = Math.max(1, Math.round(cssWidth * pixelDensity));
+    canvas.height = Math.max(1, Math.round(cssHeight * pixelDensity));
+    width = Math.max(1, Math.round(canvas.width * renderScale));
+    height = Math.max(1, Math.round(canvas.height * renderScale));
+}
+
+/**
+ * Resize the canvas, reconfigure its context and update everything sized from it:
+ * canvas-sized textures, passes dispatched over the canvas or whose wgsl code used width/height,
+ * then the onResize hook given to initCanvas.
+ * With pixelDensity 'auto' the density is read again, so moving the window to another screen is picked up.
+ * @param {number} cssWidth - Width in CSS pixels
+ * @param {number} cssHeight - Height in CSS pixels
+ */
+export function resizeCanvas(cssWidth, cssHeight) {
+    if (!canvas || !device) {
+        throw new Error('resizeCanvas: Canvas not initialized. Call initCanvas() first.');
+    }
+    cssWidth = Math.max(1, Math.round(cssWidth));
+    cssHeight = Math.max(1, Math.round(cssHeight));
+    const density = resolvePixelDensity(pixelDensityOption);
+    if (cssWidth === displayWidth && cssHeight === displayHeight && density === pixelDensity) return;
+
+    pixelDensity = density;
+    setCanvasSize(cssWidth, cssHeight);
+    ctx.configure({ device, format: canvasPresentationFormat, alphaMode: 'premultiplied' });
+    resizeListeners
+        .slice()
+        .sort((a, b) => a.stage - b.stage)
+        .forEach(({ listener }) => listener(width, height));
+    if (onResize) onResize(width, height);
+}
+
+/**
+ * Request a device with the largest buffers the adapter supports, so big particle arrays fit in one binding
+ * @async
+ * @param {GPUAdapter} adapter - Adapter to request the device from
+ * @returns {Promise<GPUDevice>}
+ */
+async function requestDevice(adapter) {
+    return adapter.requestDevice({
+        requiredLimits: {
+            maxStorageBufferBindingSize: adapter.limits.maxStorageBufferBindingSize,
+            maxBufferSize: adapter.limits.maxBufferSize,
         }
+    });
+}
 
-        device = await adapter.requestDevice();
+/**
+ * The navigator.gpu compatible object devices are requested from
+ * @type {GPU|null}
+ */
+let gpu = null;
+
+/**
+ * Whether to recreate the device and the library's resources after a device loss
+ * @type {boolean}
+ */
+let recoverLostDevice = true;
+let removeDeviceLostHook = null;
+
+/**
+ * Log a device's errors and recover when it is lost
+ * @param {GPUDevice} watched - Device to watch
+ */
+function watchDevice(watched) {
+    watched.addEventListener('uncapturederror', (event) => {
+        console.error('WebGPU device error:', event.error);
+    });
+    watched.lost.then(async (info) => {
+        // destroy() was called on purpose, or the device was already replaced
+        if (info.reason === 'destroyed' || watched !== device) return;
+        console.warn(`WebGPU device lost: ${info.message}`);
+        if (!recoverLostDevice) return;
+        try {
+            await replaceLostDevice();
+            await recoverResources(info);
+        } catch (error) {
+            console.error(`Failed to recover from WebGPU device loss: ${error.message}`);
+        }
+    });
+}
+
+/**
+ * Request a new device after the current one was lost and configure the canvas with it
+ * @async
+ * @returns {Promise<void>}
+ * @throws {Error} If no adapter or device can be requested
+ */
+async function replaceLostDevice() {
+    const adapter = await gpu.requestAdapter();
+    if (!adapter) {
+        throw new Error('Couldn\'t request WebGPU adapter.');
+    }
+    device = await requestDevice(adapter);
+    watchDevice(device);
+    if (ctx) ctx.configure({ device, format: canvasPresentationFormat, alphaMode: 'premultiplied' });
+}
+
+/**
+ * Initialize the WebGPU device, without a canvas when headless.
+ * Headless, nothing is drawn to a canvas: renderTxtr is the final output and is read back with readTexture().
+ * This works in a Web Worker, or in Node given a navigator.gpu compatible object (e.g. from the `webgpu` package).
+ * @param {Object} [options] - Device initialization options
+ * @param {GPU} [options.gpu] - Object to request the adapter from, defaults to navigator.gpu
+ * @param {GPUDevice} [options.device] - Use this device instead of requesting one, e.g. a device shared with
+ * other code or a MockGPUDevice in tests. Pipelines, layouts and bind groups cached for a previous device are dropped
+ * @param {boolean} [options.headless=false] - Run without a canvas; `width` and `height` are then taken from the options
+ * @param {number} [options.width=512] - Headless render width
+ * @param {number} [options.height=512] - Headless render height
+ * @param {boolean} [options.recover=true] - When the device is lost, request a new one and recreate every buffer, texture
+ * and pass on it. Buffers get their last data written from the CPU, textures come back cleared
+ * @param {function(GPUDeviceLostInfo): (void|Promise<void>)} [options.onDeviceLost] - Called after recovering from a device loss,
+ * to restore state the library can't (see onDeviceLost)
+ * @returns {Promise<{device: GPUDevice, width: number, height: number}>}
+ * @throws {Error} If WebGPU is not available or no adapter or device can be requested
+ */
+export async function initDevice(options = {}) {
+    const previous = device;
+    gpu = options.gpu || (typeof navigator !== 'undefined' ? navigator.gpu : null);
+    if (options.device) {
+        device = options.device;
+    } else {
+        if (!gpu) {
+            throw new Error('WebGPU is not supported in this environment.');
+        }
+        const adapter = await gpu.requestAdapter();
+        if (!adapter) {
+            throw new Error('Couldn\'t request WebGPU adapter.');
+        }
+        device = await requestDevice(adapter);
         if (!device) {
-            webgpu_notSupported(options, 'Couldn\'t request WebGPU device.');
+            throw new Error('Couldn\'t request WebGPU device.');
         }
+    }
 
-        // Set up error handling for device
-        device.addEventListener('uncapturederror', (event) => {
-            console.error('WebGPU device error:', event.error);
-        });
+    // cached pipelines, layouts and bind groups belong to the old device, and so do the library's global buffers
+    if (previous && device !== previous) {
+        clearDeviceCaches();
+        recreateSingletons();
+    }
+
+    // a new device can only be requested when we know where from
+    recoverLostDevice = options.recover !== false && !!gpu;
+    if (removeDeviceLostHook) removeDeviceLostHook();
+    removeDeviceLostHook = options.onDeviceLost ? onDeviceLost(options.onDeviceLost) : null;
+    watchDevice(device);
 
+    if (options.headless) {
+        canvas = null;
+        ctx = null;
+        canvasPresentationFormat = 'rgba8unorm';
+        width = options.width || 512;
+        height = options.height || 512;
+    }
+    return { device, width, height };
+}
+
+/**
+ * User hook called after a resize
+ * @type {function(number, number): void|null}
+ */
+let onResize = null;
+let resizeObserver = null;
+
+/**
+ * Initialize the WebGPU canvas and device.
+ * The canvas is displayed at its CSS size, its drawing buffer has pixelDensity pixels per CSS pixel, and
+ * `width`/`height` - the size of canvas-sized textures, passes and wgsl code - are the drawing buffer size
+ * times renderScale. The render pass scales the render texture up (or down) to the drawing buffer.
+ * @param {Object} [options] - Canvas initialization options
+ * @param {number} [options.width] - Canvas width in CSS pixels (defaults to the container or window width)
+ * @param {number} [options.height] - Canvas height in CSS pixels (defaults to the container or window height)
+ * @param {number|'auto'} [options.pixelDensity=2] - Drawing buffer pixels per CSS pixel, 'auto' uses the display's devicePixelRatio
+ * @param {number} [options.renderScale=1] - Render resolution relative to the drawing buffer, e.g. 0.5 to simulate at half resolution
+ * @param {HTMLCanvasElement|OffscreenCanvas} [options.canvas] - Existing canvas to use (creates one if not provided).
+ * An OffscreenCanvas keeps its size in pixels (or takes width and height from the options) and has no CSS size
+ * @param {GPU} [options.gpu] - Object to request the adapter from, defaults to navigator.gpu
+ * @param {GPUTextureFormat} [options.format] - Canvas format, defaults to the preferred canvas format, or 'rgba8unorm'
+ * when there is no gpu object to ask (e.g. with an injected device)
+ * @param {string} [options.containerId] - ID of the container to append the canvas to and size it to
+ * @param {boolean} [options.resize=false] - Resize the canvas with its container (or the window), recreating canvas-sized
+ * textures and rebuilding passes that depend on the canvas size
+ * @param {function(number, number): void} [options.onResize] - Called with the new width and height after a resize
+ * @param {boolean} [options.recover=true] - Recover from device loss (see initDevice)
+ * @param {function(GPUDeviceLostInfo): (void|Promise<void>)} [options.onDeviceLost] - Called after recovering from a device loss
+ * @returns {Promise<{device: GPUDevice, canvas: HTMLCanvasElement, width: number, height: number}>}
+ * @throws {Error} If WebGPU is not supported or initialization fails
+ */
+export async function initCanvas(options = {}) {
+    try {
+        await initDevice({ ...options, headless: false });
+    } catch (error) {
+        if (typeof document !== 'undefined') webgpu_notSupported(options, error.message);
+        throw new Error(`Failed to initialize canvas: ${error.message}`);
+    }
+
+    try {
         // Get or create canvas
         canvas = options.canvas || document.querySelector('canvas');
         if (!canvas) {
             canvas = document.createElement('canvas');
         }
+        const offscreen = typeof OffscreenCanvas !== 'undefined' && canvas instanceof OffscreenCanvas;
 
         let container = null;
-        if (options.containerId) {
+        if (offscreen) {
+            // no CSS pixels: the canvas size is the drawing buffer size
+            width = options.width || canvas.width;
+            height = options.height || canvas.height;
+        } else if (options.containerId) {
             container = document.getElementById(options.containerId);
             if (!container) {
                 throw new Error(`Container with ID '${options.containerId}' not found.`);
@@ -68,12 +311,13 @@ export async function initCanvas(options = {}) {
         if (options.width) width = options.width;
         if (options.height) height = options.height;
 
-        canvas.style.width = width + 'px';
-        canvas.style.height = height + 'px';
-        width *= 2
-        height *= 2
-        canvas.width = width;
-        canvas.height = height;
+        pixelDensityOption = offscreen ? 1 : options.pixelDensity ?? 2;
+        pixelDensity = resolvePixelDensity(pixelDensityOption);
+        renderScale = options.renderScale ?? 1;
+        if (!(renderScale > 0)) {
+            throw new Error(`renderScale must be a positive number, got ${renderScale}`);
+        }
+        setCanvasSize(width, height);
 
         // Configure WebGPU context
         ctx = canvas.getContext('webgpu');
@@ -81,7 +325,7 @@ export async function initCanvas(options = {}) {
             throw new Error('Couldn\'t get WebGPU context from canvas.');
         }
 
-        canvasPresentationFormat = navigator.gpu.getPreferredCanvasFormat();
+        canvasPresentationFormat = options.format ?? gpu?.getPreferredCanvasFormat() ?? 'rgba8unorm';
         ctx.configure({
             device,
             format: canvasPresentationFormat,
@@ -89,7 +333,7 @@ export async function initCanvas(options = {}) {
         });
 
         // Add keyboard shortcut for saving canvas
-        window.addEventListener('keydown', (e) => {
+        if (!offscreen) window.addEventListener('keydown', (e) => {
             if (e.key === 's') {
                 const a = document.createElement('a');
                 a.href = canvas.toDataURL();
@@ -98,6 +342,24 @@ export async function initCanvas(options = {}) {
             }
         });
 
+        // Follow the container (or the window) size
+        onResize = options.onResize || null;
+        if (resizeObserver) resizeObserver.disconnect();
+        resizeObserver = null;
+        if (options.resize && !offscreen) {
+            const target = container || document.documentElement;
+            let pending = null;
+            resizeObserver = new ResizeObserver(() => {
+                // coalesce bursts of resize events into one resize per frame
+                if (pending !== null) return;
+                pending = requestAnimationFrame(() => {
+                    pending = null;
+                    resizeCanvas(container ? container.clientWidth : window.innerWidth, container ? container.clientHeight : window.innerHeight);
+                });
+            });
+            resizeObserver.observe(target);
+        }
+
         // In your WebGPU initialization (e.g. after device, ctx, canvasPresentationFormat are set):
         // _setWebGPUContext(device, ctx, canvasPresentationFormat);
 
@@ -126,12 +388,20 @@ export function domReady() {
 
 // Initialize the library and canvas in one call
 export async function init(options = {}) {
-    await domReady();
+    if (options.headless) {
+        await initDevice(options);
+        if (options.time) createTimeBuffer();
+        // no canvas to draw to, renderTxtr is the output
+        await createTextures();
+        if (options.feedback) await createMatchPass();
+        return;
+    }
+    if (typeof document !== 'undefined') await domReady();
     await initCanvas(options);
     if (options.mouse) createMouseBuffer();
     if (options.time) createTimeBuffer();
-    createRenderPass();
-    if (options.feedback) createMatchPass();
+    await createRenderPass({ filter: options.filter });
+    if (options.feedback) await createMatchPass();
 }
 
 
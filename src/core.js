@@ -4,135 +4,15 @@
  * This module is designed to be used with the WebGPU API and requires a compatible browser.
  */
 
-import { device } from './canvas.js';
+import { device, width as canvasWidth, height as canvasHeight, onCanvasResize } from './canvas.js';
+import { readTexture, decodeTexels, textureFormatInfo } from './readback.js';
+import { encodePNG } from './png.js';
+import { trackResource, untrackResource } from './recovery.js';
 
-/**
- * Create WebGPU buffer
- * @class
- */
-export class Buffer {
-    /**
-     * Create a WebGPU buffer
-     * @param {string} [name=''] - Name for the buffer
-     * @param {Float32Array|Array} data - Data to store in buffer
-     * @throws {Error} If device is not initialized or buffer creation fails
-     */
-    constructor(name, data) {
-        if (!device) {
-            throw new Error('Buffer: WebGPU device not initialized. Call initCanvas() first.');
-        }
-
-        try {
-            this.name = name;
-
-            // Convert array to Float32Array if needed
-            if (Array.isArray(data)) {
-                data = new Float32Array(data);
-            } else if (!(data instanceof Float32Array)) {
-                throw new Error('Buffer: Data must be an Array or Float32Array');
-            }
-
-            this.data = data;
-            this.size = data.byteLength;
-
-            // Create the GPU buffer
-            this.buffer = device.createBuffer({
-                label: this.name,
-                size: this.size,
-                usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC,
-                mappedAtCreation: true
-            });
-
-            // Write data to the buffer
-            new Float32Array(this.buffer.getMappedRange()).set(data);
-            this.buffer.unmap();
-
-            // Create resource binding
-            this.resource = { buffer: this.buffer };
-        } catch (error) {
-            throw new Error(`Failed to create Buffer: ${error.message}`);
-        }
-    }
-
-    /**
-     * Update buffer data
-     * @param {Float32Array|Array} data - New data for the buffer
-     */
-    update(data) {
-        if (!data || (!Array.isArray(data) && !(data instanceof Float32Array))) {
-            throw new Error('Buffer.update: Data must be an Array or Float32Array');
-        }
-
-        try {
-            // Convert array to Float32Array if needed
-            if (Array.isArray(data)) {
-                data = new Float32Array(data);
-            }
-
-            // Update data
-            device.queue.writeBuffer(this.buffer, 0, data);
-            this.data = data;
-        } catch (error) {
-            throw new Error(`Failed to update Buffer: ${error.message}`);
-        }
-    }
-
-    /**
-     * Get binding code for this buffer
-     * @param {number} index - Binding index for the buffer
-     * @returns {string} WGSL binding code for the buffer
-     * @throws {Error} If buffer resource is not initialized
-     */
-    getBindingCode(index) {
-        if (!this.resource || !this.resource.buffer) {
-            throw new Error('Buffer.getBindingCode: Buffer resource not initialized');
-        }
-
-        let bufferType = 'f32';
-        if (this.struct) bufferType = this.struct.name;
-        else {
-            if (this.size == 4) bufferType = 'f32';
-            else if (this.size == 8) bufferType = 'vec2f';
-            else if (this.size == 12) bufferType = 'vec3f';
-            else if (this.size == 16) bufferType = 'vec4f';
-        }
-        if (this.isArray) bufferType = `array<${bufferType}>`;
-        return `@group(0) @binding(${index}) var<storage, read_write> ${this.name}: ${bufferType};`
-    }
-
-    async getData(){
-        // get the data from the buffer
-        const readBuffer = device.createBuffer({
-            size: this.size,
-            usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ,
-        });
-
-        // Step 2: Create a command encoder and copy the buffer
-        const commandEncoder = device.createCommandEncoder();
-        commandEncoder.copyBufferToBuffer(
-            this.buffer, // source buffer
-            0,           // source offset
-            readBuffer,  // destination buffer
-            0,           // destination offset
-            this.size    // size
-        );
-
-        // Submit the commands
-        const commands = commandEncoder.finish();
-        device.queue.submit([commands]);
-
-        // Step 3: Map the read buffer and read the data
-        await readBuffer.mapAsync(GPUMapMode.READ);
-        const copyArrayBuffer = readBuffer.getMappedRange();
-
-        // Assuming the data is float32
-        const newdata = [...new Float32Array(copyArrayBuffer)]
-
-        // Don't forget to unmap the buffer
-        readBuffer.unmap();
-        return newdata
-    }
-}
+export { Buffer, UniformBuffer, flushBufferWrites } from './buffer.js';
+// the data types and helpers sketches use alongside buffers and textures
+export * from './struct.js';
+export { random, choose, map } from './utilities.js';
 
 /**
  * WebGPU Texture wrapper
@@ -145,25 +25,55 @@ export class Texture {
      * @param {number} [width=512] - Texture width
      * @param {number} [height=512] - Texture height
      * @param {GPUTextureFormat} [format='rgba8unorm'] - Texture format
+     * @param {Object} [options] - Texture options
+     * @param {boolean} [options.fitCanvas=false] - Size the texture to the canvas and resize it with the canvas
      * @throws {Error} If device is not initialized or texture creation fails
      */
-    constructor(name = '', width = 512, height = 512, format = 'rgba8unorm') {
+    constructor(name = '', width = 512, height = 512, format = 'rgba8unorm', options = {}) {
         if (!device) {
             throw new Error('Texture: WebGPU device not initialized. Call initCanvas() first.');
         }
 
+        this.name = name;
+        this.format = format;
+        this.fitCanvas = !!options.fitCanvas;
+        if (this.fitCanvas) {
+            width = canvasWidth;
+            height = canvasHeight;
+            this.stopResizing = onCanvasResize((w, h) => this.resize(w, h));
+        }
+        this.allocate(width, height);
+        trackResource(this);
+    }
+
+    /**
+     * Create a texture that always matches the canvas size
+     * @param {string} [name=''] - Name for the texture
+     * @param {GPUTextureFormat} [format='rgba8unorm'] - Texture format
+     * @returns {Texture}
+     */
+    static fitCanvas(name, format) {
+        return new Texture(name, canvasWidth, canvasHeight, format, { fitCanvas: true });
+    }
+
+    /**
+     * Create the GPU texture and its view
+     * @param {number} width - Texture width
+     * @param {number} height - Texture height
+     * @throws {Error} If texture creation fails
+     */
+    allocate(width, height) {
         try {
-            this.name = name;
             this.width = width;
             this.height = height;
-            this.format = format;
 
             // Create the texture
             this.texture = device.createTexture({
                 label: this.name,
                 size: [width, height, 1],
-                format,
+                format: this.format,
                 usage: GPUTextureUsage.COPY_DST |
+                    GPUTextureUsage.COPY_SRC |
                     GPUTextureUsage.STORAGE_BINDING |
                     GPUTextureUsage.TEXTURE_BINDING
             });
@@ -176,32 +86,153 @@ export class Texture {
         }
     }
 
+    /**
+     * Recreate the texture at a new size. The contents are not kept.
+     * Passes pick up the new texture the next time they run.
+     * @param {number} width - New width
+     * @param {number} height - New height
+     */
+    resize(width, height) {
+        if (width === this.width && height === this.height) return;
+        const old = this.texture;
+        this.allocate(width, height);
+        old.destroy();
+    }
+
+    /**
+     * Recreate the texture on a new device after a device loss. The contents are not kept.
+     */
+    recreate() {
+        this.allocate(this.width, this.height);
+    }
+
+    /**
+     * Free the GPU texture. A fitCanvas texture also stops following the canvas size.
+     * The texture can't be used afterwards.
+     */
+    destroy() {
+        if (this.stopResizing) this.stopResizing();
+        this.stopResizing = null;
+        untrackResource(this);
+        this.texture.destroy();
+    }
+
+    /**
+     * Read the texture contents back from the GPU, without the 256 byte row padding of the copy
+     * @async
+     * @returns {Promise<Uint8Array|Int8Array|Uint16Array|Int16Array|Uint32Array|Int32Array|Float32Array>}
+     * One value per channel, row by row from the top: raw bytes for 8 bit normalized formats,
+     * integers for integer formats, floats for float formats (16 bit floats included)
+     * @throws {Error} If the format can't be read back
+     * @example
+     * const field = new Texture('field', 256, 256, 'rgba32float');
+     * const values = await field.getData(); // Float32Array of 256 * 256 * 4 values
+     */
+    async getData() {
+        return decodeTexels(await readTexture(this), this.format);
+    }
+
+    /**
+     * Read the texture back as 8 bit RGBA pixels.
+     * Channel values are mapped from [min, max] to [0, 255]; formats with fewer than four channels
+     * get 0 for the missing colors and an opaque alpha, bgra formats are swizzled to RGBA.
+     * @async
+     * @param {Object} [options] - Conversion options
+     * @param {number} [options.min] - Value mapped to 0: 0 for float and integer formats, -1 for snorm formats
+     * @param {number} [options.max] - Value mapped to 255: 1 for float and snorm formats, 255 for integer formats
+     * @param {boolean} [options.opaque=false] - Ignore the alpha channel, for textures storing data in it
+     * @returns {Promise<ImageData|{data: Uint8ClampedArray, width: number, height: number}>} ImageData, or a plain object
+     * with the same fields where ImageData doesn't exist
+     * @throws {Error} If the format can't be read back
+     * @example
+     * const grid = new Texture('grid', 64, 64, 'rgba16sint');
+     * ctx2d.putImageData(await grid.toImageData({ min: 0, max: 1000 }), 0, 0);
+     */
+    async toImageData(options = {}) {
+        const { kind, channels, bgra } = textureFormatInfo(this.format);
+        const data = await this.getData();
+        const pixels = new Uint8ClampedArray(this.width * this.height * 4);
+
+        if (kind === 'unorm' && options.min === undefined && options.max === undefined) {
+            // bytes already are the pixel values
+            for (let i = 0, j = 0; i < pixels.length; i += 4, j += channels) {
+                for (let c = 0; c < channels; c++) pixels[i + c] = data[j + c];
+                if (channels < 4) pixels[i + 3] = 255;
+            }
+        } else {
+            const scale = kind === 'unorm' ? 1 / 255 : kind === 'snorm' ? 1 / 127 : 1;
+            const integer = kind === 'uint' || kind === 'sint';
+            const { min = kind === 'snorm' ? -1 : 0, max = integer ? 255 : 1 } = options;
+            const factor = 255 / (max - min);
+            for (let i = 0, j = 0; i < pixels.length; i += 4, j += channels) {
+                for (let c = 0; c < channels; c++) pixels[i + c] = Math.round((data[j + c] * scale - min) * factor);
+                if (channels < 4) pixels[i + 3] = 255;
+            }
+        }
+
+        for (let i = 0; i < pixels.length; i += 4) {
+            if (bgra) [pixels[i], pixels[i + 2]] = [pixels[i + 2], pixels[i]];
+            if (options.opaque) pixels[i + 3] = 255;
+        }
+
+        if (typeof ImageData === 'undefined') {
+            return { data: pixels, width: this.width, height: this.height };
+        }
+        return new ImageData(pixels, this.width, this.height);
+    }
+
+    /**
+     * Read the texture back and encode it as a PNG file
+     * @async
+     * @param {Object} [options] - Conversion options, as for toImageData()
+     * @returns {Promise<Uint8Array>} PNG file bytes
+     * @throws {Error} If the format can't be read back
+     * @example
+     * const png = await renderTxtr.toPNG();
+     * const url = URL.createObjectURL(new Blob([png], { type: 'image/png' }));
+     */
+    async toPNG(options = {}) {
+        const { data, width, height } = await this.toImageData(options);
+        return encodePNG(data, width, height);
+    }
+
     /**
      * Get binding for this texture in read mode
+     * @param {string} [name] - WGSL name for the binding, defaults to the texture name
      * @returns {GPUTextureView} Texture view for binding
      */
-    read() {
-        return new TextureBindingHelper(this, 'read');
+    read(name) {
+        return new TextureBindingHelper(this, 'read', name);
     }
 
     /**
      * Get binding for this texture in write mode
+     * @param {string} [name] - WGSL name for the binding, defaults to the texture name
      * @returns {GPUTextureView} Texture view for binding
      */
-    write() {
-        return new TextureBindingHelper(this, 'write');
+    write(name) {
+        return new TextureBindingHelper(this, 'write', name);
     }
 }
-function TextureBindingHelper(texture, readOrWrite = 'read') {
+function TextureBindingHelper(texture, readOrWrite = 'read', name = texture.name) {
     this.texture = texture;
     this.readOrWrite = readOrWrite;
-    this.resource = texture.resource
-    this.name = texture.name;
+    // follows the texture, so bind groups built after a resize see the new view
+    Object.defineProperty(this, 'resource', { get: () => this.texture.resource, enumerable: true });
+    this.name = name;
+
+    this.getBindingCode = (bindingIndex, group = 0) => {
+        if (this.readOrWrite === 'read' && this.texture.format == 'rgba8unorm') {
+            return `@group(${group}) @binding(${bindingIndex}) var ${this.name}: texture_2d<f32>;`
+        }
+        return `@group(${group}) @binding(${bindingIndex}) var ${this.name}: texture_storage_2d<${this.texture.format}, ${this.readOrWrite}>;`
+    }
 
-    this.getBindingCode = (bindingIndex) => {
+    this.getLayoutEntry = (bindingIndex, visibility = GPUShaderStage.COMPUTE) => {
         if (this.readOrWrite === 'read' && this.texture.format == 'rgba8unorm') {
-            return `@group(0) @binding(${bindingIndex}) var ${this.texture.name}: texture_2d<f32>;`
+            return { binding: bindingIndex, visibility, texture: { sampleType: 'float' } };
         }
-        return `@group(0) @binding(${bindingIndex}) var ${this.texture.name}: texture_storage_2d<${this.texture.format}, ${this.readOrWrite}>;`
+        const access = { read: 'read-only', write: 'write-only', read_write: 'read-write' }[this.readOrWrite];
+        return { binding: bindingIndex, visibility, storageTexture: { access, format: this.texture.format } };
     }
 }
@@ -0,0 +1,1901 @@
+/**
+ * @file CPU reference executor for WGSL compute shaders
+ * Interprets the subset of WGSL the library emits - scalars, vectors, matrices, structs, arrays, loops,
+ * atomics, textureLoad/textureStore and the math builtins the noise functions use - so MockGPUDevice can
+ * run compute passes on the CPU and regression tests can check their results without a GPU.
+ * Invocations run one after another: shaders that rely on workgroup barriers are not supported.
+ */
+
+import { textureFormatInfo, halfToFloat } from './readback.js';
+
+/**
+ * Error thrown when a shader can't be parsed or run on the CPU
+ * @class
+ * @extends Error
+ */
+export class WGSLExecutionError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {number} [line] - Line of the shader the error is on
+     */
+    constructor(message, line) {
+        super(line ? `${message} (line ${line})` : message);
+        this.name = 'WGSLExecutionError';
+        this.line = line;
+    }
+}
+
+/**
+ * Most iterations a single loop may run before the shader is considered stuck
+ * @type {number}
+ */
+const MAX_LOOP_ITERATIONS = 1 << 24;
+
+// ---------------------------------------------------------------------------------------------
+// Tokenizer
+// ---------------------------------------------------------------------------------------------
+
+const NUMBER = /0[xX][0-9a-fA-F]+[iu]?|(?:\d+\.\d*|\.\d+)(?:[eE][+-]?\d+)?[fh]?|\d+[eE][+-]?\d+[fh]?|\d+[iufh]?/y;
+const IDENTIFIER = /[A-Za-z_][A-Za-z0-9_]*/y;
+const PUNCTUATION = ['<<=', '>>=', '->', '&&', '||', '==', '!=', '<=', '>=', '<<', '>>', '+=', '-=', '*=', '/=', '%=',
+    '&=', '|=', '^=', '++', '--', ...'@(){}[]<>,;:.=+-*/%&|^!~'];
+
+/**
+ * Split WGSL code into tokens
+ * @param {string} code - WGSL code
+ * @returns {Array<{type: 'number'|'ident'|'punct', value: string, line: number}>}
+ * @throws {WGSLExecutionError} On a character that can't start a token
+ */
+function tokenize(code) {
+    const tokens = [];
+    let i = 0;
+    let line = 1;
+    while (i < code.length) {
+        const c = code[i];
+        if (c === '\n') {
+            line++;
+            i++;
+        } else if (/\s/.test(c)) {
+            i++;
+        } else if (code.startsWith('//', i)) {
+            while (i < code.length && code[i] !== '\n') i++;
+        } else if (code.startsWith('/*', i)) {
+            // block comments nest in WGSL
+            let depth = 0;
+            do {
+                if (code.startsWith('/*', i)) { depth++; i += 2; }
+                else if (code.startsWith('*/', i)) { depth--; i += 2; }
+                else { if (code[i] === '\n') line++; i++; }
+            } while (depth > 0 && i < code.length);
+        } else if (/\d/.test(c) || (c === '.' && /\d/.test(code[i + 1]))) {
+            NUMBER.lastIndex = i;
+            const value = NUMBER.exec(code)[0];
+            tokens.push({ type: 'number', value, line });
+            i += value.length;
+        } else if (/[A-Za-z_]/.test(c)) {
+            IDENTIFIER.lastIndex = i;
+            const value = IDENTIFIER.exec(code)[0];
+            tokens.push({ type: 'ident', value, line });
+            i += value.length;
+        } else {
+            const value = PUNCTUATION.find(p => code.startsWith(p, i));
+            if (!value) {
+                throw new WGSLExecutionError(`Unexpected character '${c}'`, line);
+            }
+            tokens.push({ type: 'punct', value, line });
+            i += value.length;
+        }
+    }
+    tokens.push({ type: 'eof', value: '', line });
+    return tokens;
+}
+
+// ---------------------------------------------------------------------------------------------
+// Parser
+// ---------------------------------------------------------------------------------------------
+
+/**
+ * Names followed by a template list (`vec3<f32>`, `array<T, N>`, `bitcast<u32>`) rather than a less-than
+ * @type {RegExp}
+ */
+const TEMPLATED = /^(vec[234]|mat[234]x[234]|array|ptr|atomic|bitcast|texture_\w+)$/;
+
+/**
+ * Binary operators by precedence, loosest first
+ * @type {Array<Array<string>>}
+ */
+const BINARY_PRECEDENCE = [['||'], ['&&'], ['|'], ['^'], ['&'], ['==', '!='], ['<', '>', '<=', '>='], ['<<', '>>'], ['+', '-'], ['*', '/', '%']];
+
+const ASSIGNMENT_OPERATORS = ['=', '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '<<=', '>>='];
+
+/**
+ * Recursive descent parser producing a plain object AST
+ * @class
+ */
+class Parser {
+    constructor(code) {
+        this.tokens = tokenize(code);
+        this.pos = 0;
+        // inside a template list a '>' closes the list instead of comparing
+        this.inTemplate = 0;
+    }
+
+    peek(offset = 0) {
+        return this.tokens[Math.min(this.pos + offset, this.tokens.length - 1)];
+    }
+
+    next() {
+        return this.tokens[this.pos++];
+    }
+
+    is(value, offset = 0) {
+        const token = this.peek(offset);
+        return token.type !== 'number' && token.value === value;
+    }
+
+    accept(value) {
+        if (!this.is(value)) return false;
+        this.pos++;
+        return true;
+    }
+
+    expect(value) {
+        if (!this.accept(value)) this.fail(`Expected '${value}' but found '${this.peek().value || 'end of code'}'`);
+    }
+
+    ident() {
+        const token = this.next();
+        if (token.type !== 'ident') this.fail(`Expected a name but found '${token.value || 'end of code'}'`, token);
+        return token.value;
+    }
+
+    fail(message, token = this.peek()) {
+        throw new WGSLExecutionError(message, token.line);
+    }
+
+    /**
+     * Consume the '>' closing a template list, splitting '>>', '>=' and '>>=' tokens
+     */
+    closeTemplate() {
+        const token = this.peek();
+        const rest = { '>': null, '>>': '>', '>=': '=', '>>=': '>=' }[token.value];
+        if (token.type !== 'punct' || rest === undefined) this.fail(`Expected '>' but found '${token.value}'`);
+        if (rest === null) this.pos++;
+        else this.tokens[this.pos] = { ...token, value: rest };
+    }
+
+    parseModule() {
+        const module = { structs: [], functions: [], globals: [], aliases: [] };
+        while (this.peek().type !== 'eof') {
+            if (this.accept(';')) continue;
+            const attributes = this.parseAttributes();
+            const line = this.peek().line;
+            if (this.is('enable') || this.is('requires') || this.is('diagnostic') || this.is('const_assert')) {
+                while (!this.accept(';')) this.next();
+            } else if (this.accept('struct')) {
+                module.structs.push(this.parseStruct(line));
+            } else if (this.accept('fn')) {
+                module.functions.push(this.parseFunction(attributes, line));
+            } else if (this.accept('alias')) {
+                const name = this.ident();
+                this.expect('=');
+                module.aliases.push({ name, type: this.parseType() });
+                this.expect(';');
+            } else if (this.is('var') || this.is('const') || this.is('override') || this.is('let')) {
+                const declaration = this.parseDeclaration();
+                declaration.attributes = attributes;
+                module.globals.push(declaration);
+                this.expect(';');
+            } else {
+                this.fail(`Unexpected '${this.peek().value}' at module scope`);
+            }
+        }
+        return module;
+    }
+
+    parseAttributes() {
+        const attributes = {};
+        while (this.accept('@')) {
+            const name = this.ident();
+            const args = [];
+            if (this.accept('(')) {
+                while (!this.accept(')')) {
+                    args.push(this.parseExpression());
+                    this.accept(',');
+                }
+            }
+            attributes[name] = args;
+        }
+        return attributes;
+    }
+
+    parseStruct(line) {
+        const name = this.ident();
+        const members = [];
+        this.expect('{');
+        while (!this.accept('}')) {
+            const attributes = this.parseAttributes();
+            const memberName = this.ident();
+            this.expect(':');
+            members.push({ name: memberName, type: this.parseType(), attributes });
+            if (!this.accept(',')) this.accept(';');
+        }
+        return { name, members, line };
+    }
+
+    parseFunction(attributes, line) {
+        const name = this.ident();
+        const params = [];
+        this.expect('(');
+        while (!this.accept(')')) {
+            const paramAttributes = this.parseAttributes();
+            const paramName = this.ident();
+            this.expect(':');
+            params.push({ name: paramName, type: this.parseType(), attributes: paramAttributes });
+            this.accept(',');
+        }
+        let returnType = null;
+        if (this.accept('->')) {
+            this.parseAttributes();
+            returnType = this.parseType();
+        }
+        return { name, params, returnType, attributes, body: this.parseBlock(), line };
+    }
+
+    parseType() {
+        const line = this.peek().line;
+        const name = this.ident();
+        const type = { k: 'type', name, params: [], line };
+        if (this.is('<')) {
+            this.next();
+            this.inTemplate++;
+            do {
+                type.params.push(this.parseTemplateParam());
+            } while (this.accept(','));
+            this.inTemplate--;
+            this.closeTemplate();
+        }
+        return type;
+    }
+
+    parseTemplateParam() {
+        const token = this.peek();
+        // types, address spaces, access modes and texel formats are names; array sizes are expressions
+        if (token.type === 'ident' && ['<', ',', '>', '>>', '>=', '>>='].includes(this.peek(1).value)) {
+            return this.parseType();
+        }
+        return this.parseExpression();
+    }
+
+    parseDeclaration() {
+        const line = this.peek().line;
+        const kind = this.next().value;
+        let space = null;
+        let access = null;
+        if (kind === 'var' && this.is('<')) {
+            this.next();
+            space = this.ident();
+            if (this.accept(',')) access = this.ident();
+            this.closeTemplate();
+        }
+        const name = this.ident();
+        const type = this.accept(':') ? this.parseType() : null;
+        const init = this.accept('=') ? this.parseExpression() : null;
+        return { k: 'decl', kind, space, access, name, type, init, line };
+    }
+
+    parseBlock() {
+        this.expect('{');
+        const statements = [];
+        while (!this.accept('}')) {
+            const statement = this.parseStatement();
+            if (statement) statements.push(statement);
+        }
+        return statements;
+    }
+
+    parseStatement() {
+        const line = this.peek().line;
+        this.parseAttributes();
+        if (this.accept(';')) return null;
+        if (this.is('{')) return { k: 'block', body: this.parseBlock(), line };
+        if (this.is('var') || this.is('let') || this.is('const')) {
+            const declaration = this.parseDeclaration();
+            this.expect(';');
+            return declaration;
+        }
+        if (this.accept('if')) return this.parseIf(line);
+        if (this.accept('for')) {
+            this.expect('(');
+            const init = this.is(';') ? null : this.parseSimpleStatement();
+            this.expect(';');
+            const condition = this.is(';') ? null : this.parseExpression();
+            this.expect(';');
+            const update = this.is(')') ? null : this.parseSimpleStatement();
+            this.expect(')');
+            return { k: 'for', init, condition, update, body: this.parseBlock(), line };
+        }
+        if (this.accept('while')) {
+            const condition = this.parseExpression();
+            return { k: 'while', condition, body: this.parseBlock(), line };
+        }
+        if (this.accept('loop')) return this.parseLoop(line);
+        if (this.accept('switch')) return this.parseSwitch(line);
+        if (this.accept('break')) {
+            if (this.accept('if')) {
+                const condition = this.parseExpression();
+                this.expect(';');
+                return { k: 'breakIf', condition, line };
+            }
+            this.expect(';');
+            return { k: 'break', line };
+        }
+        if (this.accept('continue')) {
+            this.expect(';');
+            return { k: 'continue', line };
+        }
+        if (this.accept('return')) {
+            const value = this.is(';') ? null : this.parseExpression();
+            this.expect(';');
+            return { k: 'return', value, line };
+        }
+        if (this.accept('discard')) {
+            this.expect(';');
+            return { k: 'return', value: null, line };
+        }
+        if (this.accept('const_assert')) {
+            while (!this.accept(';')) this.next();
+            return null;
+        }
+        const statement = this.parseSimpleStatement();
+        this.expect(';');
+        return statement;
+    }
+
+    /**
+     * Parse an assignment, increment, decrement, declaration or call, as allowed in for loop headers
+     */
+    parseSimpleStatement() {
+        const line = this.peek().line;
+        if (this.is('var') || this.is('let') || this.is('const')) return this.parseDeclaration();
+        if (this.accept('_')) {
+            this.expect('=');
+            return { k: 'expr', expr: this.parseExpression(), line };
+        }
+        const target = this.parseExpression();
+        if (this.is('++') || this.is('--')) return { k: 'assign', op: this.next().value === '++' ? '+=' : '-=', target, value: { k: 'number', type: ABSTRACT_INT, value: 1, line }, line };
+        const op = ASSIGNMENT_OPERATORS.find(o => this.is(o));
+        if (op) {
+            this.next();
+            return { k: 'assign', op, target, value: this.parseExpression(), line };
+        }
+        return { k: 'expr', expr: target, line };
+    }
+
+    parseIf(line) {
+        const condition = this.parseExpression();
+        const body = this.parseBlock();
+        let otherwise = null;
+        if (this.accept('else')) {
+            otherwise = this.accept('if') ? [this.parseIf(this.peek().line)] : this.parseBlock();
+        }
+        return { k: 'if', condition, body, otherwise, line };
+    }
+
+    parseLoop(line) {
+        this.expect('{');
+        const body = [];
+        let continuing = null;
+        while (!this.accept('}')) {
+            if (this.accept('continuing')) {
+                continuing = this.parseBlock();
+                continue;
+            }
+            const statement = this.parseStatement();
+            if (statement) body.push(statement);
+        }
+        return { k: 'loop', body, continuing, line };
+    }
+
+    parseSwitch(line) {
+        const selector = this.parseExpression();
+        const clauses = [];
+        this.expect('{');
+        while (!this.accept('}')) {
+            const values = [];
+            let isDefault = false;
+            if (this.accept('default')) {
+                isDefault = true;
+            } else {
+                this.expect('case');
+                do {
+                    if (this.accept('default')) isDefault = true;
+                    else values.push(this.parseExpression());
+                } while (this.accept(',') && !this.is(':') && !this.is('{'));
+            }
+            this.accept(':');
+            clauses.push({ values, isDefault, body: this.parseBlock() });
+        }
+        return { k: 'switch', selector, clauses, line };
+    }
+
+    parseExpression(level = 0) {
+        if (level === BINARY_PRECEDENCE.length) return this.parseUnary();
+        let left = this.parseExpression(level + 1);
+        for (;;) {
+            const token = this.peek();
+            const op = token.type === 'punct' && BINARY_PRECEDENCE[level].includes(token.value) ? token.value : null;
+            if (!op || (this.inTemplate && (op === '>' || op === '>>' || op === '>='))) return left;
+            this.next();
+            left = { k: 'binary', op, left, right: this.parseExpression(level + 1), line: token.line };
+        }
+    }
+
+    parseUnary() {
+        const token = this.peek();
+        if (token.type === 'punct' && ['-', '!', '~', '&', '*'].includes(token.value)) {
+            this.next();
+            return { k: 'unary', op: token.value, operand: this.parseUnary(), line: token.line };
+        }
+        return this.parsePostfix(this.parsePrimary());
+    }
+
+    parsePostfix(expr) {
+        for (;;) {
+            const line = this.peek().line;
+            if (this.accept('[')) {
+                const inTemplate = this.inTemplate;
+                this.inTemplate = 0;
+                expr = { k: 'index', base: expr, index: this.parseExpression(), line };
+                this.inTemplate = inTemplate;
+                this.expect(']');
+            } else if (this.accept('.')) {
+                expr = { k: 'member', base: expr, name: this.ident(), line };
+            } else {
+                return expr;
+            }
+        }
+    }
+
+    parsePrimary() {
+        const token = this.peek();
+        const line = token.line;
+        if (token.type === 'number') {
+            this.next();
+            return parseNumber(token.value, line);
+        }
+        if (this.accept('(')) {
+            const inTemplate = this.inTemplate;
+            this.inTemplate = 0;
+            const expr = this.parseExpression();
+            this.inTemplate = inTemplate;
+            this.expect(')');
+            return expr;
+        }
+        if (token.type !== 'ident') this.fail(`Unexpected '${token.value || 'end of code'}'`);
+        if (token.value === 'true' || token.value === 'false') {
+            this.next();
+            return { k: 'bool', value: token.value === 'true', line };
+        }
+        if (TEMPLATED.test(token.value) && this.is('<', 1)) {
+            const type = this.parseType();
+            return { k: 'call', name: type.name, template: type, args: this.parseArguments(), line };
+        }
+        this.next();
+        if (this.is('(')) return { k: 'call', name: token.value, template: null, args: this.parseArguments(), line };
+        return { k: 'ident', name: token.value, line };
+    }
+
+    parseArguments() {
+        this.expect('(');
+        const inTemplate = this.inTemplate;
+        this.inTemplate = 0;
+        const args = [];
+        while (!this.accept(')')) {
+            args.push(this.parseExpression());
+            this.accept(',');
+        }
+        this.inTemplate = inTemplate;
+        return args;
+    }
+}
+
+// ---------------------------------------------------------------------------------------------
+// Types and values
+// ---------------------------------------------------------------------------------------------
+
+const scalarType = name => ({ kind: 'scalar', name });
+const F32 = scalarType('f32');
+const F16 = scalarType('f16');
+const I32 = scalarType('i32');
+const U32 = scalarType('u32');
+const BOOL = scalarType('bool');
+const ABSTRACT_INT = scalarType('abstract-int');
+const ABSTRACT_FLOAT = scalarType('abstract-float');
+const VOID = { kind: 'void' };
+const SCALARS = { f32: F32, f16: F16, i32: I32, u32: U32, bool: BOOL };
+
+const vecType = (n, el) => ({ kind: 'vec', n, el });
+const matType = (cols, rows, el = F32) => ({ kind: 'mat', cols, rows, el });
+
+/**
+ * Parse a numeric literal
+ * @param {string} text - Literal text
+ * @param {number} line - Source line
+ * @returns {Object} Number node
+ */
+function parseNumber(text, line) {
+    const suffix = /[iufh]$/.test(text) && !/^0[xX]/.test(text.slice(0, -1)) || /^0[xX].*[iu]$/.test(text) ? text.slice(-1) : '';
+    const body = suffix ? text.slice(0, -1) : text;
+    const isFloat = suffix === 'f' || suffix === 'h' || (!/^0[xX]/.test(body) && /[.eE]/.test(body));
+    const value = /^0[xX]/.test(body) ? parseInt(body, 16) : Number(body);
+    const type = { i: I32, u: U32, f: F32, h: F16 }[suffix] || (isFloat ? ABSTRACT_FLOAT : ABSTRACT_INT);
+    return { k: 'number', type, value: castScalar(value, type), line };
+}
+
+const isFloatType = t => t.name === 'f32' || t.name === 'f16' || t.name === 'abstract-float';
+const isAbstract = t => t.name === 'abstract-int' || t.name === 'abstract-float';
+
+/**
+ * Element type of a scalar or vector type
+ * @param {Object} t - Type
+ * @returns {Object} Scalar type
+ */
+const elementOf = t => (t.kind === 'vec' ? t.el : t);
+
+/**
+ * Convert a number to a scalar type, wrapping integers and rounding floats like the GPU would
+ * @param {number|boolean} v - Value
+ * @param {Object} t - Scalar type
+ * @returns {number|boolean}
+ */
+function castScalar(v, t) {
+    switch (t.name) {
+        case 'f32': case 'f16': return Math.fround(Number(v));
+        case 'i32': return typeof v === 'boolean' ? +v : Number.isInteger(v) ? v | 0 : clampInt(v, -2147483648, 2147483647) | 0;
+        case 'u32': return typeof v === 'boolean' ? +v : Number.isInteger(v) ? v >>> 0 : clampInt(v, 0, 4294967295) >>> 0;
+        case 'bool': return !!v;
+        case 'abstract-int': return Math.trunc(Number(v));
+        default: return Number(v);
+    }
+}
+
+/**
+ * Truncate a float for a float to integer conversion, saturating at the integer type's range
+ * @param {number} v - Float value
+ * @param {number} min - Smallest value of the integer type
+ * @param {number} max - Largest value of the integer type
+ * @returns {number}
+ */
+function clampInt(v, min, max) {
+    if (Number.isNaN(v)) return 0;
+    return Math.min(Math.max(Math.trunc(v), min), max);
+}
+
+/**
+ * Unify the element types of the operands of a binary operator, abstract types taking the other side's type
+ * @param {Object} a - Scalar type
+ * @param {Object} b - Scalar type
+ * @param {Object} node - Expression, for errors
+ * @returns {Object} Scalar type
+ */
+function unify(a, b, node) {
+    if (a.name === b.name) return a;
+    if (isAbstract(a) && isAbstract(b)) return ABSTRACT_FLOAT;
+    if (a.name === 'abstract-int' || (a.name === 'abstract-float' && isFloatType(b))) return b;
+    if (b.name === 'abstract-int' || (b.name === 'abstract-float' && isFloatType(a))) return a;
+    throw new WGSLExecutionError(`Can't combine ${a.name} and ${b.name}`, node && node.line);
+}
+
+/**
+ * The concrete type an abstract value takes when stored in a variable
+ * @param {Object} t - Type
+ * @returns {Object} Concrete type
+ */
+function concretize(t) {
+    if (t.kind === 'scalar') return t.name === 'abstract-int' ? I32 : t.name === 'abstract-float' ? F32 : t;
+    if (t.kind === 'vec') return vecType(t.n, concretize(t.el));
+    if (t.kind === 'mat') return matType(t.cols, t.rows, concretize(t.el));
+    if (t.kind === 'array') return { ...t, el: concretize(t.el) };
+    return t;
+}
+
+/**
+ * Convert a value to a type, for assignments, arguments and return values
+ * @param {*} v - Value
+ * @param {Object} t - Target type
+ * @returns {*} Converted value
+ */
+function convert(v, t) {
+    switch (t.kind) {
+        case 'scalar': return castScalar(v, t);
+        case 'atomic': return castScalar(v, t.el);
+        case 'vec': return v.map(c => castScalar(c, t.el));
+        case 'mat': return v.map(column => column.map(c => castScalar(c, t.el)));
+        case 'array': return v.map(e => convert(e, t.el));
+        case 'struct': {
+            const result = {};
+            t.members.forEach(m => { result[m.name] = convert(v[m.name], m.type); });
+            return result;
+        }
+        default: return v;
+    }
+}
+
+/**
+ * Zero value of a type
+ * @param {Object} t - Type
+ * @returns {*}
+ */
+function zero(t) {
+    switch (t.kind) {
+        case 'scalar': return t.name === 'bool' ? false : 0;
+        case 'atomic': return 0;
+        case 'vec': return new Array(t.n).fill(t.el.name === 'bool' ? false : 0);
+        case 'mat': return Array.from({ length: t.cols }, () => new Array(t.rows).fill(0));
+        case 'array': return Array.from({ length: t.count || 0 }, () => zero(t.el));
+        case 'struct': {
+            const result = {};
+            t.members.forEach(m => { result[m.name] = zero(m.type); });
+            return result;
+        }
+        default: return null;
+    }
+}
+
+/**
+ * Deep copy a value, so storing it doesn't alias the original
+ * @param {*} v - Value
+ * @returns {*}
+ */
+function clone(v) {
+    if (Array.isArray(v)) return v.map(clone);
+    if (v && typeof v === 'object' && v.constructor === Object) {
+        const result = {};
+        Object.keys(v).forEach(key => { result[key] = clone(v[key]); });
+        return result;
+    }
+    return v;
+}
+
+// ---------------------------------------------------------------------------------------------
+// Memory layout
+// ---------------------------------------------------------------------------------------------
+
+const roundUp = (align, n) => Math.ceil(n / align) * align;
+
+/**
+ * Alignment of a type in host-shareable memory
+ * @param {Object} t - Type
+ * @returns {number}
+ */
+function alignOf(t) {
+    switch (t.kind) {
+        case 'scalar': return t.name === 'f16' ? 2 : 4;
+        case 'atomic': return 4;
+        case 'vec': return (t.n === 2 ? 2 : 4) * alignOf(t.el);
+        case 'mat': return alignOf(vecType(t.rows, t.el));
+        case 'array': return alignOf(t.el);
+        case 'struct': return t.align;
+        default: throw new WGSLExecutionError(`${t.kind} can't be stored in a buffer`);
+    }
+}
+
+/**
+ * Size of a type in host-shareable memory
+ * @param {Object} t - Type
+ * @returns {number}
+ */
+function sizeOf(t) {
+    switch (t.kind) {
+        case 'scalar': return t.name === 'f16' ? 2 : 4;
+        case 'atomic': return 4;
+        case 'vec': return t.n * sizeOf(t.el);
+        case 'mat': return t.cols * roundUp(alignOf(vecType(t.rows, t.el)), sizeOf(vecType(t.rows, t.el)));
+        case 'array': return (t.count || 0) * strideOf(t);
+        case 'struct': return t.size;
+        default: throw new WGSLExecutionError(`${t.kind} can't be stored in a buffer`);
+    }
+}
+
+const strideOf = arrayType => roundUp(alignOf(arrayType.el), sizeOf(arrayType.el));
+
+/**
+ * Lay out the members of a struct type, filling in offsets, alignment and size
+ * @param {Object} t - Struct type
+ */
+function layoutStruct(t) {
+    let offset = 0;
+    let align = 1;
+    t.members.forEach(m => {
+        const memberAlign = m.align || alignOf(m.type);
+        m.offset = roundUp(memberAlign, offset);
+        offset = m.offset + (m.size || sizeOf(m.type));
+        align = Math.max(align, memberAlign);
+    });
+    t.align = align;
+    t.size = roundUp(align, offset);
+}
+
+/**
+ * Convert a number to the nearest half float
+ * @param {number} v - Value
+ * @returns {number} 16 bit half float
+ */
+function toHalf(v) {
+    if (Number.isNaN(v)) return 0x7e00;
+    const sign = v < 0 || Object.is(v, -0) ? 0x8000 : 0;
+    v = Math.abs(v);
+    if (v >= 65520) return sign | 0x7c00;
+    if (v < 2 ** -14) return sign | Math.round(v / 2 ** -24);
+    const exponent = Math.floor(Math.log2(v));
+    let fraction = Math.round((v / 2 ** exponent - 1) * 1024);
+    if (fraction === 1024) return sign | ((exponent + 16) << 10);
+    return sign | ((exponent + 15) << 10) | fraction;
+}
+
+/**
+ * Read a value of a type from memory
+ * @param {DataView} view - Memory
+ * @param {number} offset - Byte offset
+ * @param {Object} t - Type
+ * @returns {*}
+ */
+function load(view, offset, t) {
+    switch (t.kind) {
+        case 'atomic': return load(view, offset, t.el);
+        case 'scalar':
+            switch (t.name) {
+                case 'f32': return view.getFloat32(offset, true);
+                case 'f16': return halfToFloat(view.getUint16(offset, true));
+                case 'i32': return view.getInt32(offset, true);
+                case 'u32': return view.getUint32(offset, true);
+                default: return view.getUint32(offset, true) !== 0;
+            }
+        case 'vec': {
+            const size = sizeOf(t.el);
+            return Array.from({ length: t.n }, (_, i) => load(view, offset + i * size, t.el));
+        }
+        case 'mat': {
+            const column = vecType(t.rows, t.el);
+            const stride = roundUp(alignOf(column), sizeOf(column));
+            return Array.from({ length: t.cols }, (_, i) => load(view, offset + i * stride, column));
+        }
+        case 'array': {
+            const stride = strideOf(t);
+            const count = t.count || Math.floor((view.byteLength - offset) / stride);
+            return Array.from({ length: count }, (_, i) => load(view, offset + i * stride, t.el));
+        }
+        case 'struct': {
+            const result = {};
+            t.members.forEach(m => { result[m.name] = load(view, offset + m.offset, m.type); });
+            return result;
+        }
+        default: throw new WGSLExecutionError(`Can't load ${t.kind} from memory`);
+    }
+}
+
+/**
+ * Write a value of a type to memory
+ * @param {DataView} view - Memory
+ * @param {number} offset - Byte offset
+ * @param {Object} t - Type
+ * @param {*} v - Value
+ */
+function store(view, offset, t, v) {
+    switch (t.kind) {
+        case 'atomic': return store(view, offset, t.el, v);
+        case 'scalar':
+            switch (t.name) {
+                case 'f32': return view.setFloat32(offset, v, true);
+                case 'f16': return view.setUint16(offset, toHalf(v), true);
+                case 'i32': return view.setInt32(offset, v, true);
+                case 'u32': return view.setUint32(offset, v, true);
+                default: return view.setUint32(offset, v ? 1 : 0, true);
+            }
+        case 'vec': {
+            const size = sizeOf(t.el);
+            return v.forEach((c, i) => store(view, offset + i * size, t.el, c));
+        }
+        case 'mat': {
+            const column = vecType(t.rows, t.el);
+            const stride = roundUp(alignOf(column), sizeOf(column));
+            return v.forEach((c, i) => store(view, offset + i * stride, column, c));
+        }
+        case 'array': {
+            const stride = strideOf(t);
+            return v.forEach((e, i) => {
+                if (offset + (i + 1) * stride <= view.byteLength) store(view, offset + i * stride, t.el, e);
+            });
+        }
+        case 'struct': return t.members.forEach(m => store(view, offset + m.offset, m.type, v[m.name]));
+        default: throw new WGSLExecutionError(`Can't store ${t.kind} to memory`);
+    }
+}
+
+// ---------------------------------------------------------------------------------------------
+// References
+// ---------------------------------------------------------------------------------------------
+
+/**
+ * A variable holding its value in JS
+ * @class
+ */
+class BoxRef {
+    constructor(t, v) {
+        this.t = t;
+        this.v = v;
+    }
+
+    get() {
+        return this.v;
+    }
+
+    set(v) {
+        this.v = v;
+    }
+}
+
+/**
+ * An element or member of a composite held by another reference
+ * @class
+ */
+class ElementRef {
+    constructor(t, parent, key) {
+        this.t = t;
+        this.parent = parent;
+        this.key = key;
+    }
+
+    get() {
+        return this.parent.get()[this.key];
+    }
+
+    set(v) {
+        const composite = this.parent.get();
+        composite[this.key] = v;
+        this.parent.set(composite);
+    }
+}
+
+/**
+ * A location in a buffer
+ * @class
+ */
+class MemoryRef {
+    constructor(t, view, offset) {
+        this.t = t;
+        this.view = view;
+        this.offset = offset;
+    }
+
+    get() {
+        return load(this.view, this.offset, this.t);
+    }
+
+    set(v) {
+        store(this.view, this.offset, this.t, v);
+    }
+
+    /**
+     * Number of elements of an array, counting a runtime-sized array to the end of the buffer
+     * @returns {number}
+     */
+    count() {
+        return this.t.count || Math.floor((this.view.byteLength - this.offset) / strideOf(this.t));
+    }
+}
+
+/**
+ * An out-of-bounds element: reads give zero and writes are dropped, as robust buffer access allows
+ * @class
+ */
+class NullRef {
+    constructor(t) {
+        this.t = t;
+    }
+
+    get() {
+        return zero(this.t);
+    }
+
+    set() {}
+}
+
+/**
+ * Reference an element of an array, vector or matrix
+ * @param {Object} ref - Reference to the composite
+ * @param {number} index - Element index
+ * @returns {Object} Element reference
+ */
+function indexRef(ref, index) {
+    const t = ref.t;
+    const el = t.kind === 'mat' ? vecType(t.rows, t.el) : t.el;
+    if (!el) throw new WGSLExecutionError(`Can't index into ${typeName(t)}`);
+    if (ref instanceof MemoryRef) {
+        const count = t.kind === 'array' ? ref.count() : t.kind === 'vec' ? t.n : t.cols;
+        if (!(index >= 0 && index < count)) return new NullRef(el);
+        const stride = t.kind === 'array' ? strideOf(t) : t.kind === 'vec' ? sizeOf(t.el) : roundUp(alignOf(el), sizeOf(el));
+        return new MemoryRef(el, ref.view, ref.offset + index * stride);
+    }
+    const length = t.kind === 'array' ? (t.count || ref.get().length) : t.kind === 'vec' ? t.n : t.cols;
+    if (!(index >= 0 && index < length)) return new NullRef(el);
+    return new ElementRef(el, ref, index);
+}
+
+/**
+ * Reference a member of a struct
+ * @param {Object} ref - Reference to the struct
+ * @param {string} name - Member name
+ * @param {Object} node - Expression, for errors
+ * @returns {Object} Member reference
+ */
+function memberRef(ref, name, node) {
+    const member = ref.t.members.find(m => m.name === name);
+    if (!member) throw new WGSLExecutionError(`${ref.t.name} has no member ${name}`, node.line);
+    if (ref instanceof MemoryRef) return new MemoryRef(member.type, ref.view, ref.offset + member.offset);
+    return new ElementRef(member.type, ref, name);
+}
+
+const SWIZZLE = { x: 0, y: 1, z: 2, w: 3, r: 0, g: 1, b: 2, a: 3 };
+
+const typeName = t => (t.kind === 'scalar' ? t.name : t.kind === 'vec' ? `vec${t.n}<${t.el.name}>` : t.name || t.kind);
+
+// ---------------------------------------------------------------------------------------------
+// Textures
+// ---------------------------------------------------------------------------------------------
+
+/**
+ * Element type textureLoad returns for a texel format
+ * @param {string} format - Texel format
+ * @returns {Object} Scalar type
+ */
+function texelType(format) {
+    const { kind } = textureFormatInfo(format);
+    return kind === 'uint' ? U32 : kind === 'sint' ? I32 : F32;
+}
+
+/**
+ * Read one texel of a mock texture
+ * @param {Object} texture - MockGPUTexture
+ * @param {Array<number>} coords - Texel coordinates
+ * @returns {Array<number>} Four channels, missing channels filled with 0, 0, 0, 1
+ */
+function readTexel(texture, [x, y = 0]) {
+    const info = textureFormatInfo(texture.format);
+    const result = [0, 0, 0, 1];
+    if (!(x >= 0 && x < texture.width && y >= 0 && y < texture.height)) return [0, 0, 0, 0];
+    const view = new DataView(texture.data.buffer, texture.data.byteOffset, texture.data.byteLength);
+    const offset = (y * texture.width + x) * info.channels * info.bytes;
+    for (let c = 0; c < info.channels; c++) {
+        const at = offset + c * info.bytes;
+        let v;
+        if (info.kind === 'float') v = info.bytes === 2 ? halfToFloat(view.getUint16(at, true)) : view.getFloat32(at, true);
+        else if (info.kind === 'unorm') v = view.getUint8(at) / 255;
+        else if (info.kind === 'snorm') v = Math.max(view.getInt8(at) / 127, -1);
+        else if (info.kind === 'uint') v = info.bytes === 1 ? view.getUint8(at) : info.bytes === 2 ? view.getUint16(at, true) : view.getUint32(at, true);
+        else v = info.bytes === 1 ? view.getInt8(at) : info.bytes === 2 ? view.getInt16(at, true) : view.getInt32(at, true);
+        result[c] = info.kind === 'unorm' || info.kind === 'snorm' ? Math.fround(v) : v;
+    }
+    if (info.bgra) [result[0], result[2]] = [result[2], result[0]];
+    return result;
+}
+
+/**
+ * Write one texel of a mock texture; writes outside the texture are dropped
+ * @param {Object} texture - MockGPUTexture
+ * @param {Array<number>} coords - Texel coordinates
+ * @param {Array<number>} value - Four channels
+ */
+function writeTexel(texture, [x, y = 0], value) {
+    if (!(x >= 0 && x < texture.width && y >= 0 && y < texture.height)) return;
+    const info = textureFormatInfo(texture.format);
+    const channels = info.bgra ? [value[2], value[1], value[0], value[3]] : value;
+    const view = new DataView(texture.data.buffer, texture.data.byteOffset, texture.data.byteLength);
+    const offset = (y * texture.width + x) * info.channels * info.bytes;
+    for (let c = 0; c < info.channels; c++) {
+        const at = offset + c * info.bytes;
+        const v = channels[c];
+        if (info.kind === 'float') {
+            if (info.bytes === 2) view.setUint16(at, toHalf(v), true);
+            else view.setFloat32(at, v, true);
+        } else if (info.kind === 'unorm') view.setUint8(at, Math.round(Math.min(Math.max(v, 0), 1) * 255));
+        else if (info.kind === 'snorm') view.setInt8(at, Math.round(Math.min(Math.max(v, -1), 1) * 127));
+        else if (info.bytes === 1) view[info.kind === 'uint' ? 'setUint8' : 'setInt8'](at, v);
+        else if (info.bytes === 2) view[info.kind === 'uint' ? 'setUint16' : 'setInt16'](at, v, true);
+        else view[info.kind === 'uint' ? 'setUint32' : 'setInt32'](at, v, true);
+    }
+}
+
+// ---------------------------------------------------------------------------------------------
+// Operators and builtins
+// ---------------------------------------------------------------------------------------------
+
+/**
+ * Apply an arithmetic, bitwise or comparison operator to two scalars
+ * @param {string} op - Operator
+ * @param {number|boolean} a - Left operand
+ * @param {number|boolean} b - Right operand
+ * @param {Object} t - Scalar type of the operands
+ * @returns {number|boolean}
+ */
+function scalarOp(op, a, b, t) {
+    const float = isFloatType(t);
+    switch (op) {
+        case '==': return a === b;
+        case '!=': return a !== b;
+        case '<': return a < b;
+        case '>': return a > b;
+        case '<=': return a <= b;
+        case '>=': return a >= b;
+        case '+': return castScalar(a + b, t);
+        case '-': return castScalar(a - b, t);
+        case '*': return float || t.name === 'abstract-int' ? castScalar(a * b, t) : castScalar(Math.imul(a, b), t);
+        case '/':
+            if (float) return castScalar(a / b, t);
+            return b === 0 ? a : castScalar(Math.trunc(a / b), t);
+        case '%':
+            if (float) return castScalar(a % b, t);
+            return b === 0 ? 0 : castScalar(a % b, t);
+        case '&': return t.name === 'bool' ? a && b : castScalar(a & b, t);
+        case '|': return t.name === 'bool' ? a || b : castScalar(a | b, t);
+        case '^': return castScalar(a ^ b, t);
+        case '<<': return castScalar(a << (b & 31), t);
+        case '>>': return t.name === 'u32' ? a >>> (b & 31) : castScalar(a >> (b & 31), t);
+        default: throw new WGSLExecutionError(`Unknown operator ${op}`);
+    }
+}
+
+const COMPARISONS = ['==', '!=', '<', '>', '<=', '>='];
+
+/**
+ * Apply a binary operator to two values
+ * @param {string} op - Operator
+ * @param {{t: Object, v: *}} l - Left operand
+ * @param {{t: Object, v: *}} r - Right operand
+ * @param {Object} node - Expression, for errors
+ * @returns {{t: Object, v: *}}
+ */
+function binaryOp(op, l, r, node) {
+    if (l.t.kind === 'mat' || r.t.kind === 'mat') return matrixOp(op, l, r, node);
+    if (op === '<<' || op === '>>') {
+        const t = l.t.kind === 'vec' ? l.t.el : l.t;
+        const shifts = r.t.kind === 'vec' ? r.v : null;
+        const v = l.t.kind === 'vec' ? l.v.map((c, i) => scalarOp(op, c, shifts ? shifts[i] : r.v, t)) : scalarOp(op, l.v, r.v, t);
+        return { t: l.t, v };
+    }
+    const el = unify(elementOf(l.t), elementOf(r.t), node);
+    const resultEl = COMPARISONS.includes(op) ? BOOL : el;
+    if (l.t.kind === 'vec' || r.t.kind === 'vec') {
+        const n = l.t.kind === 'vec' ? l.t.n : r.t.n;
+        const v = Array.from({ length: n }, (_, i) => scalarOp(op,
+            castScalar(l.t.kind === 'vec' ? l.v[i] : l.v, el),
+            castScalar(r.t.kind === 'vec' ? r.v[i] : r.v, el), el));
+        return { t: vecType(n, resultEl), v };
+    }
+    return { t: resultEl, v: scalarOp(op, castScalar(l.v, el), castScalar(r.v, el), el) };
+}
+
+/**
+ * Apply an operator with a matrix operand
+ * @param {string} op - Operator
+ * @param {{t: Object, v: *}} l - Left operand
+ * @param {{t: Object, v: *}} r - Right operand
+ * @param {Object} node - Expression, for errors
+ * @returns {{t: Object, v: *}}
+ */
+function matrixOp(op, l, r, node) {
+    const el = concretize(unify(elementOf(l.t.kind === 'mat' ? l.t.el : l.t), elementOf(r.t.kind === 'mat' ? r.t.el : r.t), node));
+    const f = v => castScalar(v, el);
+    if (op === '+' || op === '-') {
+        return { t: l.t, v: l.v.map((column, c) => column.map((x, i) => f(op === '+' ? x + r.v[c][i] : x - r.v[c][i]))) };
+    }
+    if (op !== '*') throw new WGSLExecutionError(`Operator ${op} doesn't apply to matrices`, node.line);
+    if (l.t.kind === 'mat' && r.t.kind === 'scalar') return { t: l.t, v: l.v.map(column => column.map(x => f(x * r.v))) };
+    if (r.t.kind === 'mat' && l.t.kind === 'scalar') return { t: r.t, v: r.v.map(column => column.map(x => f(x * l.v))) };
+    const times = (m, vector) => Array.from({ length: m[0].length }, (_, row) => f(m.reduce((sum, column, c) => sum + column[row] * vector[c], 0)));
+    if (l.t.kind === 'mat' && r.t.kind === 'vec') return { t: vecType(l.t.rows, el), v: times(l.v, r.v) };
+    if (l.t.kind === 'vec' && r.t.kind === 'mat') {
+        return { t: vecType(r.t.cols, el), v: r.v.map(column => f(column.reduce((sum, x, i) => sum + x * l.v[i], 0))) };
+    }
+    return { t: matType(r.t.cols, l.t.rows, el), v: r.v.map(column => times(l.v, column)) };
+}
+
+/**
+ * Apply a function to each component of the arguments, broadcasting scalars
+ * @param {Array<{t: Object, v: *}>} args - Arguments
+ * @param {function(...number): number} fn - Component function
+ * @param {Object} [resultEl] - Element type of the result, defaults to the unified argument type
+ * @returns {{t: Object, v: *}}
+ */
+function componentwise(args, fn, resultEl) {
+    const el = args.reduce((t, arg) => unify(t, elementOf(arg.t)), elementOf(args[0].t));
+    const outEl = resultEl || el;
+    const vector = args.find(arg => arg.t.kind === 'vec');
+    if (!vector) return { t: outEl, v: castScalar(fn(...args.map(arg => arg.v)), outEl) };
+    const n = vector.t.n;
+    return {
+        t: vecType(n, outEl),
+        v: Array.from({ length: n }, (_, i) => castScalar(fn(...args.map(arg => (arg.t.kind === 'vec' ? arg.v[i] : arg.v))), outEl)),
+    };
+}
+
+/**
+ * WGSL round(): halfway cases round to even
+ * @param {number} x - Value
+ * @returns {number}
+ */
+function roundEven(x) {
+    const r = Math.round(x);
+    return Math.abs(x % 1) === 0.5 && r % 2 !== 0 ? r - 1 : r;
+}
+
+const scalars = args => args.map(arg => arg.v);
+const dot = (a, b) => a.reduce((sum, x, i) => sum + x * b[i], 0);
+
+/**
+ * Builtin functions that take and return values
+ * @type {Object<string, function(Array<{t: Object, v: *}>): {t: Object, v: *}>}
+ */
+const BUILTINS = {
+    abs: args => componentwise(args, Math.abs),
+    acos: args => componentwise(args, Math.acos),
+    acosh: args => componentwise(args, Math.acosh),
+    asin: args => componentwise(args, Math.asin),
+    asinh: args => componentwise(args, Math.asinh),
+    atan: args => componentwise(args, Math.atan),
+    atanh: args => componentwise(args, Math.atanh),
+    atan2: args => componentwise(args, Math.atan2),
+    ceil: args => componentwise(args, Math.ceil),
+    clamp: args => componentwise(args, (x, lo, hi) => Math.min(Math.max(x, lo), hi)),
+    cos: args => componentwise(args, Math.cos),
+    cosh: args => componentwise(args, Math.cosh),
+    degrees: args => componentwise(args, x => x * 180 / Math.PI),
+    exp: args => componentwise(args, Math.exp),
+    exp2: args => componentwise(args, x => 2 ** x),
+    floor: args => componentwise(args, Math.floor),
+    fma: args => componentwise(args, (a, b, c) => a * b + c),
+    fract: args => componentwise(args, x => x - Math.floor(x)),
+    inverseSqrt: args => componentwise(args, x => 1 / Math.sqrt(x)),
+    log: args => componentwise(args, Math.log),
+    log2: args => componentwise(args, Math.log2),
+    max: args => componentwise(args, Math.max),
+    min: args => componentwise(args, Math.min),
+    mix: args => componentwise(args, (a, b, t) => a * (1 - t) + b * t),
+    pow: args => componentwise(args, Math.pow),
+    radians: args => componentwise(args, x => x * Math.PI / 180),
+    round: args => componentwise(args, roundEven),
+    saturate: args => componentwise(args, x => Math.min(Math.max(x, 0), 1)),
+    sign: args => componentwise(args, Math.sign),
+    sin: args => componentwise(args, Math.sin),
+    sinh: args => componentwise(args, Math.sinh),
+    smoothstep: args => componentwise(args, (e0, e1, x) => {
+        const t = Math.min(Math.max((x - e0) / (e1 - e0), 0), 1);
+        return t * t * (3 - 2 * t);
+    }),
+    sqrt: args => componentwise(args, Math.sqrt),
+    step: args => componentwise(args, (edge, x) => (x >= edge ? 1 : 0)),
+    tan: args => componentwise(args, Math.tan),
+    tanh: args => componentwise(args, Math.tanh),
+    trunc: args => componentwise(args, Math.trunc),
+    countOneBits: args => componentwise(args, x => {
+        let count = 0;
+        for (let bits = x >>> 0; bits; bits &= bits - 1) count++;
+        return count;
+    }),
+    reverseBits: args => componentwise(args, x => {
+        let result = 0;
+        for (let i = 0; i < 32; i++) result = (result << 1) | ((x >>> i) & 1);
+        return result;
+    }),
+    dot: ([a, b]) => {
+        const el = unify(a.t.el, b.t.el);
+        return { t: el, v: castScalar(dot(a.v, b.v), el) };
+    },
+    length: ([a]) => {
+        const el = elementOf(a.t);
+        return { t: el, v: castScalar(a.t.kind === 'vec' ? Math.hypot(...a.v) : Math.abs(a.v), el) };
+    },
+    distance: ([a, b]) => BUILTINS.length([binaryOp('-', a, b)]),
+    normalize: ([a]) => {
+        const length = Math.hypot(...a.v);
+        return { t: a.t, v: a.v.map(x => castScalar(x / length, a.t.el)) };
+    },
+    cross: ([a, b]) => {
+        const [x1, y1, z1] = a.v;
+        const [x2, y2, z2] = b.v;
+        const t = vecType(3, unify(a.t.el, b.t.el));
+        return { t, v: [y1 * z2 - z1 * y2, z1 * x2 - x1 * z2, x1 * y2 - y1 * x2].map(x => castScalar(x, t.el)) };
+    },
+    reflect: ([e1, e2]) => {
+        const d = 2 * dot(e1.v, e2.v);
+        return { t: e1.t, v: e1.v.map((x, i) => castScalar(x - d * e2.v[i], e1.t.el)) };
+    },
+    transpose: ([m]) => ({
+        t: matType(m.t.rows, m.t.cols, m.t.el),
+        v: Array.from({ length: m.t.rows }, (_, c) => Array.from({ length: m.t.cols }, (_, r) => m.v[r][c])),
+    }),
+    determinant: ([m]) => {
+        const d = v => (v.length === 2 ? v[0][0] * v[1][1] - v[1][0] * v[0][1]
+            : v[0].reduce((sum, x, r) => sum + (r % 2 ? -1 : 1) * x * d(v.slice(1).map(column => column.filter((_, i) => i !== r))), 0));
+        return { t: m.t.el, v: castScalar(d(m.v), m.t.el) };
+    },
+    select: ([f, t, condition]) => {
+        if (condition.t.kind === 'vec') return { t: f.t, v: f.v.map((x, i) => (condition.v[i] ? t.v[i] : x)) };
+        return condition.v ? t : f;
+    },
+    all: ([a]) => ({ t: BOOL, v: a.t.kind === 'vec' ? a.v.every(Boolean) : a.v }),
+    any: ([a]) => ({ t: BOOL, v: a.t.kind === 'vec' ? a.v.some(Boolean) : a.v }),
+    pack4x8unorm: ([a]) => ({ t: U32, v: a.v.reduce((bits, x, i) => bits | (Math.round(Math.min(Math.max(x, 0), 1) * 255) << (8 * i)), 0) >>> 0 }),
+    unpack4x8unorm: ([a]) => ({ t: vecType(4, F32), v: [0, 1, 2, 3].map(i => Math.fround(((a.v >>> (8 * i)) & 0xff) / 255)) }),
+};
+
+// ---------------------------------------------------------------------------------------------
+// Interpreter
+// ---------------------------------------------------------------------------------------------
+
+/**
+ * Lexical scope of variables
+ * @class
+ */
+class Scope {
+    constructor(parent = null) {
+        this.parent = parent;
+        this.vars = new Map();
+    }
+
+    lookup(name) {
+        for (let scope = this; scope; scope = scope.parent) {
+            const ref = scope.vars.get(name);
+            if (ref) return ref;
+        }
+        return null;
+    }
+}
+
+const BREAK = { type: 'break' };
+const CONTINUE = { type: 'continue' };
+
+/**
+ * Aliases of the predeclared vector and matrix types (vec3f, vec2u, mat4x4f, ...)
+ * @type {Object<string, Object>}
+ */
+const PREDECLARED_ALIASES = {};
+[2, 3, 4].forEach(n => {
+    PREDECLARED_ALIASES[`vec${n}f`] = vecType(n, F32);
+    PREDECLARED_ALIASES[`vec${n}h`] = vecType(n, F16);
+    PREDECLARED_ALIASES[`vec${n}i`] = vecType(n, I32);
+    PREDECLARED_ALIASES[`vec${n}u`] = vecType(n, U32);
+    [2, 3, 4].forEach(rows => {
+        PREDECLARED_ALIASES[`mat${n}x${rows}f`] = matType(n, rows, F32);
+        PREDECLARED_ALIASES[`mat${n}x${rows}h`] = matType(n, rows, F16);
+    });
+});
+
+/**
+ * A parsed shader with its types resolved, ready to run dispatches
+ * @class
+ */
+class Program {
+    /**
+     * @param {string} code - WGSL code
+     * @throws {WGSLExecutionError} If the code can't be parsed
+     */
+    constructor(code) {
+        const module = new Parser(code).parseModule();
+        this.functions = new Map(module.functions.map(fn => [fn.name, fn]));
+        this.globals = module.globals;
+        this.aliases = new Map();
+        this.structs = new Map();
+        // consts are evaluated in a scope of their own, on first use
+        this.constScope = new Scope();
+        this.constants = new Map(module.globals.filter(g => g.kind !== 'var').map(g => [g.name, g]));
+
+        module.structs.forEach(struct => this.structs.set(struct.name, { kind: 'struct', name: struct.name, members: [], node: struct }));
+        module.aliases.forEach(alias => this.aliases.set(alias.name, alias.type));
+        this.structs.forEach(t => {
+            t.members = t.node.members.map(m => {
+                const member = { name: m.name, type: this.resolveType(m.type) };
+                if (m.attributes.align) member.align = this.constValue(m.attributes.align[0]);
+                if (m.attributes.size) member.size = this.constValue(m.attributes.size[0]);
+                return member;
+            });
+        });
+        // members are resolved first so nested structs can be laid out in any declaration order
+        const laidOut = new Set();
+        const layout = t => {
+            if (laidOut.has(t)) return;
+            laidOut.add(t);
+            const nested = type => (type.kind === 'struct' ? layout(type) : type.kind === 'array' ? nested(type.el) : null);
+            t.members.forEach(m => nested(m.type));
+            layoutStruct(t);
+        };
+        this.structs.forEach(layout);
+    }
+
+    /**
+     * Resolve a type node
+     * @param {Object} node - Type node
+     * @returns {Object} Type
+     */
+    resolveType(node) {
+        const { name, params } = node;
+        if (SCALARS[name]) return SCALARS[name];
+        if (PREDECLARED_ALIASES[name]) return PREDECLARED_ALIASES[name];
+        if (this.structs.has(name)) return this.structs.get(name);
+        if (this.aliases.has(name)) return this.resolveType(this.aliases.get(name));
+        let match;
+        if ((match = /^vec([234])$/.exec(name))) return vecType(+match[1], this.resolveType(params[0]));
+        if ((match = /^mat([234])x([234])$/.exec(name))) return matType(+match[1], +match[2], params[0] ? this.resolveType(params[0]) : F32);
+        if (name === 'array') {
+            return { kind: 'array', el: this.resolveType(params[0]), count: params[1] ? this.constValue(params[1]) : null };
+        }
+        if (name === 'atomic') return { kind: 'atomic', el: this.resolveType(params[0]) };
+        if (name === 'ptr') return { kind: 'ptr', space: params[0].name, to: this.resolveType(params[1]) };
+        if (name.startsWith('texture_')) return { kind: 'texture', name, format: params[0] && params[0].name };
+        if (name.startsWith('sampler')) return { kind: 'sampler' };
+        throw new WGSLExecutionError(`Unknown type ${name}`, node.line);
+    }
+
+    /**
+     * Evaluate a constant expression, e.g. an array size or a workgroup size
+     * @param {Object} node - Expression or type node
+     * @returns {number}
+     */
+    constValue(node) {
+        if (node.k === 'type') node = { k: 'ident', name: node.name, line: node.line };
+        return new Interpreter(this).evaluate(node, this.constScope).v;
+    }
+}
+
+/**
+ * Runs a Program's entry points
+ * @class
+ */
+class Interpreter {
+    /**
+     * @param {Program} program - Program to run
+     * @param {function(number, number): Object|null} [resource] - Gets the bound resource of a group and binding;
+     * without it only constant expressions can be evaluated
+     */
+    constructor(program, resource = null) {
+        this.program = program;
+        this.moduleScope = new Scope(program.constScope);
+        this.privateVars = [];
+        this.workgroupVars = [];
+        if (resource) this.bindGlobals(resource);
+    }
+
+    /**
+     * Set up the module-scope variables: bound resources now, private and workgroup variables per dispatch
+     * @param {function(number, number): Object|null} resource - Gets the bound resource of a group and binding
+     */
+    bindGlobals(resource) {
+        const program = this.program;
+        program.globals.filter(g => g.kind === 'var').forEach(g => {
+            const t = program.resolveType(g.type || { name: 'f32' });
+            if (g.space === 'private') this.privateVars.push({ declaration: g, t });
+            else if (g.space === 'workgroup') this.workgroupVars.push({ declaration: g, t });
+            else if (g.attributes.group && g.attributes.binding) {
+                const group = program.constValue(g.attributes.group[0]);
+                const binding = program.constValue(g.attributes.binding[0]);
+                const bound = resource(group, binding);
+                if (bound) this.moduleScope.vars.set(g.name, this.bindResource(g, t, bound));
+            }
+        });
+    }
+
+    /**
+     * Reference a bound buffer or texture
+     * @param {Object} declaration - Variable declaration
+     * @param {Object} t - Variable type
+     * @param {Object} bound - Bind group entry resource
+     * @returns {Object} Reference
+     */
+    bindResource(declaration, t, bound) {
+        if (t.kind === 'texture') return new BoxRef(t, bound.texture || bound);
+        if (t.kind === 'sampler') return new BoxRef(t, bound);
+        if (!bound.buffer) throw new WGSLExecutionError(`${declaration.name} is bound to something other than a buffer`, declaration.line);
+        const { buffer, offset = 0 } = bound;
+        const size = bound.size === undefined ? buffer.size - offset : bound.size;
+        return new MemoryRef(t, new DataView(buffer.data, offset, size), 0);
+    }
+
+    /**
+     * Run a compute entry point over a grid of workgroups
+     * @param {string} entryPoint - Entry point name
+     * @param {Array<number>} workgroups - Workgroup counts along x, y and z
+     */
+    dispatch(entryPoint, workgroups) {
+        const fn = this.program.functions.get(entryPoint);
+        if (!fn) throw new WGSLExecutionError(`No entry point named ${entryPoint}`);
+        const declared = fn.attributes.workgroup_size || [];
+        const size = [0, 1, 2].map(i => (declared[i] ? this.program.constValue(declared[i]) : 1));
+        const [wx, wy = 1, wz = 1] = workgroups;
+        const builtins = {};
+        const vec3 = v => ({ t: vecType(3, U32), v });
+        builtins.num_workgroups = vec3([wx, wy, wz]);
+
+        for (let gz = 0; gz < wz; gz++) for (let gy = 0; gy < wy; gy++) for (let gx = 0; gx < wx; gx++) {
+            builtins.workgroup_id = vec3([gx, gy, gz]);
+            this.workgroupVars.forEach(({ declaration, t }) => this.moduleScope.vars.set(declaration.name, new BoxRef(t, zero(t))));
+            for (let lz = 0; lz < size[2]; lz++) for (let ly = 0; ly < size[1]; ly++) for (let lx = 0; lx < size[0]; lx++) {
+                builtins.local_invocation_id = vec3([lx, ly, lz]);
+                builtins.local_invocation_index = { t: U32, v: lx + ly * size[0] + lz * size[0] * size[1] };
+                builtins.global_invocation_id = vec3([gx * size[0] + lx, gy * size[1] + ly, gz * size[2] + lz]);
+                this.privateVars.forEach(({ declaration, t }) => {
+                    const value = declaration.init ? convert(this.evaluate(declaration.init, this.moduleScope).v, t) : zero(t);
+                    this.moduleScope.vars.set(declaration.name, new BoxRef(t, value));
+                });
+                const args = fn.params.map(param => {
+                    const builtin = param.attributes.builtin && param.attributes.builtin[0].name;
+                    if (!builtins[builtin]) throw new WGSLExecutionError(`Unsupported entry point parameter ${param.name}`, fn.line);
+                    return builtins[builtin];
+                });
+                this.call(fn, args);
+            }
+        }
+    }
+
+    /**
+     * Call a user function
+     * @param {Object} fn - Function node
+     * @param {Array<{t: Object, v: *}>} args - Argument values
+     * @returns {{t: Object, v: *}} Return value
+     */
+    call(fn, args) {
+        const scope = new Scope(this.moduleScope);
+        fn.params.forEach((param, i) => {
+            const t = this.program.resolveType(param.type);
+            scope.vars.set(param.name, new BoxRef(t, t.kind === 'ptr' ? args[i].v : convert(args[i].v, t)));
+        });
+        const signal = this.execute(fn.body, scope);
+        if (!fn.returnType) return { t: VOID, v: undefined };
+        const t = this.program.resolveType(fn.returnType);
+        if (!signal || signal.type !== 'return' || !signal.value) throw new WGSLExecutionError(`${fn.name} ended without returning a value`, fn.line);
+        return { t, v: convert(signal.value.v, t) };
+    }
+
+    /**
+     * Run a list of statements in a new scope
+     * @param {Array<Object>} statements - Statements
+     * @param {Scope} parent - Enclosing scope
+     * @returns {Object|undefined} Break, continue or return signal
+     */
+    execute(statements, parent) {
+        const scope = new Scope(parent);
+        for (const statement of statements) {
+            const signal = this.statement(statement, scope);
+            if (signal) return signal;
+        }
+        return undefined;
+    }
+
+    /**
+     * Run a statement
+     * @param {Object} node - Statement
+     * @param {Scope} scope - Current scope
+     * @returns {Object|undefined} Break, continue or return signal
+     */
+    statement(node, scope) {
+        switch (node.k) {
+            case 'decl': {
+                const init = node.init ? this.evaluate(node.init, scope) : null;
+                const t = node.type ? this.program.resolveType(node.type) : concretize(init.t);
+                const value = init ? (t.kind === 'ptr' ? init.v : convert(init.v, t)) : zero(t);
+                scope.vars.set(node.name, new BoxRef(t, value));
+                return undefined;
+            }
+            case 'assign': {
+                const ref = this.reference(node.target, scope);
+                let value = this.evaluate(node.value, scope);
+                if (node.op !== '=') value = binaryOp(node.op.slice(0, -1), { t: ref.t.kind === 'atomic' ? ref.t.el : ref.t, v: ref.get() }, value, node);
+                ref.set(convert(value.v, ref.t));
+                return undefined;
+            }
+            case 'expr':
+                this.evaluate(node.expr, scope);
+                return undefined;
+            case 'block':
+                return this.execute(node.body, scope);
+            case 'if':
+                if (this.evaluate(node.condition, scope).v) return this.execute(node.body, scope);
+                return node.otherwise ? this.execute(node.otherwise, scope) : undefined;
+            case 'for': {
+                const loopScope = new Scope(scope);
+                if (node.init) this.statement(node.init, loopScope);
+                for (let i = 0; ; i++) {
+                    this.guard(i, node);
+                    if (node.condition && !this.evaluate(node.condition, loopScope).v) break;
+                    const signal = this.execute(node.body, loopScope);
+                    if (signal === BREAK) break;
+                    if (signal && signal.type === 'return') return signal;
+                    if (node.update) this.statement(node.update, loopScope);
+                }
+                return undefined;
+            }
+            case 'while':
+                for (let i = 0; ; i++) {
+                    this.guard(i, node);
+                    if (!this.evaluate(node.condition, scope).v) break;
+                    const signal = this.execute(node.body, scope);
+                    if (signal === BREAK) break;
+                    if (signal && signal.type === 'return') return signal;
+                }
+                return undefined;
+            case 'loop':
+                for (let i = 0; ; i++) {
+                    this.guard(i, node);
+                    const bodyScope = new Scope(scope);
+                    let signal;
+                    for (const statement of node.body) {
+                        signal = this.statement(statement, bodyScope);
+                        if (signal) break;
+                    }
+                    if (signal === BREAK) break;
+                    if (signal && signal.type === 'return') return signal;
+                    if (node.continuing && this.execute(node.continuing, bodyScope) === BREAK) break;
+                }
+                return undefined;
+            case 'breakIf':
+                return this.evaluate(node.condition, scope).v ? BREAK : undefined;
+            case 'switch': {
+                const selector = this.evaluate(node.selector, scope).v;
+                const clause = node.clauses.find(c => c.values.some(value => this.evaluate(value, scope).v === selector))
+                    || node.clauses.find(c => c.isDefault);
+                if (!clause) return undefined;
+                const signal = this.execute(clause.body, scope);
+                return signal === BREAK ? undefined : signal;
+            }
+            case 'break':
+                return BREAK;
+            case 'continue':
+                return CONTINUE;
+            case 'return':
+                return { type: 'return', value: node.value ? this.evaluate(node.value, scope) : null };
+            default:
+                throw new WGSLExecutionError(`Unsupported statement ${node.k}`, node.line);
+        }
+    }
+
+    guard(iteration, node) {
+        if (iteration >= MAX_LOOP_ITERATIONS) throw new WGSLExecutionError(`Loop ran over ${MAX_LOOP_ITERATIONS} iterations`, node.line);
+    }
+
+    /**
+     * Whether an expression names a memory location, so it can be read without loading its whole root variable
+     * @param {Object} node - Expression
+     * @returns {boolean}
+     */
+    isReference(node) {
+        if (node.k === 'ident') return true;
+        if (node.k === 'unary') return node.op === '*';
+        if (node.k === 'index' || node.k === 'member') return this.isReference(node.base);
+        return false;
+    }
+
+    /**
+     * Evaluate an expression to the reference it names
+     * @param {Object} node - Expression
+     * @param {Scope} scope - Current scope
+     * @returns {Object} Reference
+     */
+    reference(node, scope) {
+        switch (node.k) {
+            case 'ident': {
+                const ref = this.lookup(node, scope);
+                return ref.t.kind === 'ptr' ? ref.get() : ref;
+            }
+            case 'unary':
+                if (node.op === '*') return this.evaluate(node.operand, scope).v;
+                break;
+            case 'index': {
+                const base = this.reference(node.base, scope);
+                return indexRef(base, Number(this.evaluate(node.index, scope).v));
+            }
+            case 'member': {
+                const base = this.reference(node.base, scope);
+                if (base.t.kind === 'struct') return memberRef(base, node.name, node);
+                if (base.t.kind === 'vec' && node.name.length === 1 && node.name in SWIZZLE) return indexRef(base, SWIZZLE[node.name]);
+                break;
+            }
+            default:
+                break;
+        }
+        throw new WGSLExecutionError('Expression can\'t be assigned to', node.line);
+    }
+
+    lookup(node, scope) {
+        const ref = scope.lookup(node.name);
+        if (ref) return ref;
+        const constant = this.program.constants.get(node.name);
+        if (constant) {
+            const value = this.evaluate(constant.init, this.program.constScope);
+            const t = constant.type ? this.program.resolveType(constant.type) : value.t;
+            const stored = new BoxRef(t, convert(value.v, t));
+            this.program.constScope.vars.set(node.name, stored);
+            return stored;
+        }
+        throw new WGSLExecutionError(`Unknown identifier ${node.name}`, node.line);
+    }
+
+    /**
+     * Evaluate an expression
+     * @param {Object} node - Expression
+     * @param {Scope} scope - Current scope
+     * @returns {{t: Object, v: *}} Typed value
+     */
+    evaluate(node, scope) {
+        switch (node.k) {
+            case 'number':
+                return { t: node.type, v: node.value };
+            case 'bool':
+                return { t: BOOL, v: node.value };
+            case 'ident': {
+                const ref = this.lookup(node, scope);
+                return { t: ref.t.kind === 'atomic' ? ref.t.el : ref.t, v: clone(ref.get()) };
+            }
+            case 'unary':
+                return this.unary(node, scope);
+            case 'binary': {
+                if (node.op === '&&' || node.op === '||') {
+                    const left = this.evaluate(node.left, scope).v;
+                    if (node.op === '&&' ? !left : left) return { t: BOOL, v: left };
+                    return { t: BOOL, v: !!this.evaluate(node.right, scope).v };
+                }
+                return binaryOp(node.op, this.evaluate(node.left, scope), this.evaluate(node.right, scope), node);
+            }
+            case 'index': {
+                if (this.isReference(node)) {
+                    const ref = this.reference(node, scope);
+                    return { t: ref.t.kind === 'atomic' ? ref.t.el : ref.t, v: clone(ref.get()) };
+                }
+                const base = this.evaluate(node.base, scope);
+                const index = Number(this.evaluate(node.index, scope).v);
+                const ref = indexRef(new BoxRef(base.t, base.v), index);
+                return { t: ref.t, v: ref.get() };
+            }
+            case 'member':
+                return this.member(node, scope);
+            case 'call':
+                return this.callExpression(node, scope);
+            default:
+                throw new WGSLExecutionError(`Unsupported expression ${node.k}`, node.line);
+        }
+    }
+
+    unary(node, scope) {
+        if (node.op === '&') {
+            const ref = this.reference(node.operand, scope);
+            return { t: { kind: 'ptr', to: ref.t }, v: ref };
+        }
+        if (node.op === '*') {
+            const ref = this.evaluate(node.operand, scope).v;
+            return { t: ref.t, v: clone(ref.get()) };
+        }
+        const operand = this.evaluate(node.operand, scope);
+        const el = elementOf(operand.t);
+        const apply = {
+            '-': x => castScalar(-x, el),
+            '!': x => !x,
+            '~': x => castScalar(~x, el),
+        }[node.op];
+        return { t: operand.t, v: operand.t.kind === 'vec' ? operand.v.map(apply) : apply(operand.v) };
+    }
+
+    member(node, scope) {
+        let base;
+        if (this.isReference(node)) {
+            const ref = this.reference(node.base, scope);
+            // read single members through the reference, so a struct in a buffer isn't loaded whole
+            if (ref.t.kind === 'struct') {
+                const member = memberRef(ref, node.name, node);
+                return { t: member.t.kind === 'atomic' ? member.t.el : member.t, v: clone(member.get()) };
+            }
+            base = { t: ref.t, v: ref.get() };
+        } else {
+            base = this.evaluate(node.base, scope);
+        }
+        if (base.t.kind === 'struct') return { t: memberRef(new BoxRef(base.t, base.v), node.name, node).t, v: base.v[node.name] };
+        if (base.t.kind !== 'vec' || !/^([xyzw]{1,4}|[rgba]{1,4})$/.test(node.name)) {
+            throw new WGSLExecutionError(`${typeName(base.t)} has no member ${node.name}`, node.line);
+        }
+        const components = [...node.name].map(c => base.v[SWIZZLE[c]]);
+        if (components.length === 1) return { t: base.t.el, v: components[0] };
+        return { t: vecType(components.length, base.t.el), v: components };
+    }
+
+    /**
+     * Evaluate a call: user function, type constructor or builtin
+     * @param {Object} node - Call expression
+     * @param {Scope} scope - Current scope
+     * @returns {{t: Object, v: *}}
+     */
+    callExpression(node, scope) {
+        const { name } = node;
+        const fn = this.program.functions.get(name);
+        if (fn) return this.call(fn, node.args.map(arg => this.evaluate(arg, scope)));
+
+        if (name === 'bitcast') return this.bitcast(node, scope);
+        if (name === 'arrayLength') {
+            const ref = this.evaluate(node.args[0], scope).v;
+            return { t: U32, v: ref instanceof MemoryRef ? ref.count() : ref.get().length };
+        }
+        if (name.startsWith('atomic')) return this.atomic(node, scope);
+        if (name === 'workgroupBarrier' || name === 'storageBarrier' || name === 'textureBarrier') {
+            throw new WGSLExecutionError(`${name}() is not supported, the CPU executor runs invocations one after another`, node.line);
+        }
+
+        const args = node.args.map(arg => this.evaluate(arg, scope));
+        if (name === 'textureLoad') {
+            const texture = args[0].v;
+            return { t: vecType(4, texelType(texture.format)), v: readTexel(texture, [].concat(args[1].v)) };
+        }
+        if (name === 'textureStore') {
+            const texture = args[0].v;
+            writeTexel(texture, [].concat(args[1].v), args[args.length - 1].v);
+            return { t: VOID, v: undefined };
+        }
+        if (name === 'textureDimensions') {
+            const texture = args[0].v;
+            return { t: vecType(2, U32), v: [texture.width, texture.height] };
+        }
+        if (BUILTINS[name]) return BUILTINS[name](args, node);
+        return this.construct(node, args);
+    }
+
+    /**
+     * Evaluate a type constructor or conversion
+     * @param {Object} node - Call expression
+     * @param {Array<{t: Object, v: *}>} args - Arguments
+     * @returns {{t: Object, v: *}}
+     */
+    construct(node, args) {
+        const { name } = node;
+        const template = node.template;
+        if (SCALARS[name]) {
+            const t = SCALARS[name];
+            return { t, v: args.length ? castScalar(args[0].v, t) : zero(t) };
+        }
+        const components = () => args.flatMap(arg => (arg.t.kind === 'vec' ? arg.v : [arg.v]));
+        const inferEl = () => args.reduce((t, arg) => unify(t, elementOf(arg.t), node), elementOf(args[0].t));
+
+        let vector = /^vec([234])$/.exec(name);
+        if (vector || (PREDECLARED_ALIASES[name] && PREDECLARED_ALIASES[name].kind === 'vec')) {
+            const t = vector
+                ? vecType(+vector[1], template && template.params[0] ? this.program.resolveType(template.params[0]) : args.length ? inferEl() : F32)
+                : PREDECLARED_ALIASES[name];
+            if (args.length === 0) return { t, v: zero(t) };
+            const values = components();
+            const filled = values.length === 1 ? new Array(t.n).fill(values[0]) : values;
+            if (filled.length !== t.n) throw new WGSLExecutionError(`${typeName(t)} needs ${t.n} components, got ${filled.length}`, node.line);
+            return { t, v: filled.map(c => castScalar(c, t.el)) };
+        }
+        const matrix = /^mat([234])x([234])$/.exec(name);
+        if (matrix || (PREDECLARED_ALIASES[name] && PREDECLARED_ALIASES[name].kind === 'mat')) {
+            const t = matrix
+                ? matType(+matrix[1], +matrix[2], template && template.params[0] ? this.program.resolveType(template.params[0]) : args.length ? concretize(inferEl()) : F32)
+                : PREDECLARED_ALIASES[name];
+            if (args.length === 0) return { t, v: zero(t) };
+            if (args.length === 1 && args[0].t.kind === 'mat') return { t, v: convert(args[0].v, t) };
+            const values = components();
+            return { t, v: Array.from({ length: t.cols }, (_, c) => values.slice(c * t.rows, (c + 1) * t.rows).map(x => castScalar(x, t.el))) };
+        }
+        if (name === 'array') {
+            const el = template && template.params[0] ? this.program.resolveType(template.params[0]) : args.reduce((t, arg) => (t.kind === 'scalar' && arg.t.kind === 'scalar' ? unify(t, arg.t, node) : t), args[0].t);
+            const count = template && template.params[1] ? this.program.constValue(template.params[1]) : args.length;
+            const t = { kind: 'array', el, count };
+            return { t, v: args.length ? args.map(arg => convert(arg.v, el)) : zero(t) };
+        }
+        const struct = this.program.structs.get(name);
+        if (struct) {
+            if (args.length === 0) return { t: struct, v: zero(struct) };
+            const v = {};
+            struct.members.forEach((m, i) => { v[m.name] = convert(args[i].v, m.type); });
+            return { t: struct, v };
+        }
+        if (this.program.aliases.has(name)) {
+            const t = this.program.resolveType(this.program.aliases.get(name));
+            return this.construct({ ...node, name: t.kind === 'vec' ? `vec${t.n}` : t.name, template: null }, args);
+        }
+        throw new WGSLExecutionError(`Unknown function ${name}`, node.line);
+    }
+
+    bitcast(node, scope) {
+        const t = this.program.resolveType(node.template.params[0]);
+        const value = this.evaluate(node.args[0], scope);
+        const view = new DataView(new ArrayBuffer(4));
+        const cast = (x, from, to) => {
+            store(view, 0, from.name === 'abstract-int' ? I32 : from.name === 'abstract-float' ? F32 : from, x);
+            return load(view, 0, to);
+        };
+        if (t.kind === 'vec') return { t, v: value.v.map(x => cast(x, value.t.el, t.el)) };
+        return { t, v: cast(value.v, value.t, t) };
+    }
+
+    atomic(node, scope) {
+        const ref = this.evaluate(node.args[0], scope).v;
+        const el = ref.t.kind === 'atomic' ? ref.t.el : ref.t;
+        const args = node.args.slice(1).map(arg => castScalar(this.evaluate(arg, scope).v, el));
+        const old = ref.get();
+        const update = {
+            atomicLoad: () => old,
+            atomicStore: () => args[0],
+            atomicAdd: () => old + args[0],
+            atomicSub: () => old - args[0],
+            atomicMax: () => Math.max(old, args[0]),
+            atomicMin: () => Math.min(old, args[0]),
+            atomicAnd: () => old & args[0],
+            atomicOr: () => old | args[0],
+            atomicXor: () => old ^ args[0],
+            atomicExchange: () => args[0],
+            atomicCompareExchangeWeak: () => (old === args[0] ? args[1] : old),
+        }[node.name];
+        if (!update) throw new WGSLExecutionError(`Unknown function ${node.name}`, node.line);
+        const next = castScalar(update(), el);
+        if (node.name !== 'atomicLoad') ref.set(next);
+        if (node.name === 'atomicStore') return { t: VOID, v: undefined };
+        if (node.name === 'atomicCompareExchangeWeak') {
+            return { t: { kind: 'struct', name: '__atomic_compare_exchange_result', members: [{ name: 'old_value', type: el }, { name: 'exchanged', type: BOOL }] }, v: { old_value: old, exchanged: old === args[0] } };
+        }
+        return { t: el, v: old };
+    }
+}
+
+/**
+ * Parsed programs by code
+ * @type {Map<string, Program>}
+ */
+const programs = new Map();
+const MAX_PROGRAMS = 32;
+
+/**
+ * Parse WGSL code, reusing the program parsed for the same code
+ * @param {string} code - WGSL code
+ * @returns {Program}
+ * @throws {WGSLExecutionError} If the code can't be parsed
+ */
+function getProgram(code) {
+    let program = programs.get(code);
+    if (!program) {
+        program = new Program(code);
+        if (programs.size >= MAX_PROGRAMS) programs.delete(programs.keys().next().value);
+        programs.set(code, program);
+    }
+    return program;
+}
+
+/**
+ * Run a compute shader on the CPU
+ * @param {string} code - WGSL code
+ * @param {Object} [options] - Dispatch options
+ * @param {string} [options.entryPoint='main'] - Entry point name
+ * @param {Array<number>} [options.workgroups=[1, 1, 1]] - Workgroup counts along x, y and z
+ * @param {function(number, number): Object|null} [options.resource] - Gets the resource bound at a group and binding:
+ * `{buffer, offset, size}` with a buffer holding its bytes in `data` (an ArrayBuffer), or a texture with
+ * `width`, `height`, `format` and its texels in `data` (a Uint8Array)
+ * @throws {WGSLExecutionError} If the shader can't be parsed or uses something the executor doesn't support
+ * @example
+ * runComputeShader(code, { workgroups: [16, 1, 1], resource: (group, binding) => bindGroups[group].entries[binding].resource });
+ */
+export function runComputeShader(code, options = {}) {
+    const { entryPoint = 'main', workgroups = [1, 1, 1], resource = () => null } = options;
+    new Interpreter(getProgram(code), resource).dispatch(entryPoint, workgroups);
+}
+
+/**
+ * Run a dispatch recorded by MockGPUDevice on the CPU, reading and writing the mock buffers and textures it binds
+ * @param {{code: string, entryPoint: string, bindGroups: Array<Object>, workgroups: Array<number>}} dispatch - Recorded dispatch
+ * @throws {WGSLExecutionError} If the shader can't be parsed or uses something the executor doesn't support
+ */
+export function executeDispatch(dispatch) {
+    runComputeShader(dispatch.code, {
+        entryPoint: dispatch.entryPoint,
+        workgroups: dispatch.workgroups,
+        resource: (group, binding) => {
+            const bindGroup = dispatch.bindGroups[group];
+            const entry = bindGroup && bindGroup.entries.find(e => e.binding === binding);
+            return entry ? entry.resource : null;
+        },
+    });
+}
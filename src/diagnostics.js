@@ -0,0 +1,219 @@
+/**
+ * @file Shader compilation diagnostics
+ * Collects the messages of a shader module's compilation and maps their line and column
+ * from the generated shader (struct declarations, bindings, noise code, the wgsl wrapper)
+ * back to the source the user wrote.
+ */
+
+/**
+ * Maximum number of remembered wgsl sources
+ * @type {number}
+ */
+const MAX_SOURCES = 128;
+
+/**
+ * User sources of the code produced by the wgsl template and where each line came from, by produced code
+ * @type {Map<string, {source: string, lineMap: Array<{line: number}|null>|null}>}
+ */
+const sources = new Map();
+
+/**
+ * Remember the source a piece of generated WGSL was produced from
+ * @param {string} code - Generated WGSL code
+ * @param {string} source - Source as written by the user
+ * @param {Array<{line: number}|null>} [lineMap] - Per generated line (0-based): the 1-based source line it was
+ * assembled from, or null for generated lines. Without it, lines are matched by their text
+ */
+export function registerShaderSource(code, source, lineMap = null) {
+    sources.delete(code);
+    sources.set(code, { source, lineMap });
+    if (sources.size > MAX_SOURCES) sources.delete(sources.keys().next().value);
+}
+
+/**
+ * Get the user source a piece of generated WGSL was produced from
+ * @param {string} code - Generated WGSL code
+ * @returns {string|undefined} User source, if the code came from the wgsl template
+ */
+export function getShaderSource(code) {
+    return sources.has(code) ? sources.get(code).source : undefined;
+}
+
+/**
+ * Map each line of generated code to the source line with the same text, for sources registered
+ * without a line map. Lines are matched by their trimmed text, in order, so reordered helper
+ * functions and re-indented bodies are found; generated lines without a match map to null.
+ * @param {string} code - Generated WGSL code
+ * @param {string} source - User source
+ * @returns {Array<{line: number, shift: number}|null>} Per generated line (0-based): the 1-based source
+ * line and the column shift from the generated line to the source line
+ */
+export function createSourceMap(code, source) {
+    const sourceLines = source.split('\n');
+    const byText = new Map();
+    sourceLines.forEach((text, i) => {
+        const key = text.trim();
+        if (!key) return;
+        if (!byText.has(key)) byText.set(key, []);
+        byText.get(key).push(i);
+    });
+
+    return code.split('\n').map(text => {
+        const key = text.trim();
+        const candidates = key && byText.get(key);
+        if (!candidates || candidates.length === 0) return null;
+        const i = candidates.shift();
+        return { line: i + 1, shift: sourceLines[i].indexOf(key) - text.indexOf(key) };
+    });
+}
+
+/**
+ * Map a column of a compiled line back to the line the pass was given.
+ * The pass may have edited one stretch of the line (a rewritten entry point parameter, a prelude
+ * after the opening brace); columns before or after it are shifted, columns inside it have no match.
+ * @param {string} compiled - Compiled line
+ * @param {string} original - Line as given to the pass
+ * @param {number} column - 1-based column in the compiled line
+ * @returns {number|null} 1-based column in the original line
+ */
+function inputColumn(compiled, original, column) {
+    if (compiled === original) return column;
+    let prefix = 0;
+    while (prefix < compiled.length && compiled[prefix] === original[prefix]) prefix++;
+    let suffix = 0;
+    while (suffix < compiled.length - prefix && suffix < original.length - prefix
+        && compiled[compiled.length - 1 - suffix] === original[original.length - 1 - suffix]) suffix++;
+
+    if (column - 1 < prefix) return column;
+    if (column - 1 >= compiled.length - suffix) return column - (compiled.length - original.length);
+    return null;
+}
+
+/**
+ * Map a column of a line the pass was given to the source line it was assembled from.
+ * Indentation may differ, and the canvas size may have been substituted for width or height.
+ * @param {string} input - Line as given to the pass
+ * @param {string} source - Source line
+ * @param {number} column - 1-based column in the input line
+ * @returns {number|null} 1-based column in the source line
+ */
+function sourceColumn(input, source, column) {
+    const inputIndent = input.length - input.trimStart().length;
+    const sourceIndent = source.length - source.trimStart().length;
+    const mapped = inputColumn(input.trim(), source.trim(), column - inputIndent);
+    return mapped === null ? null : mapped + sourceIndent;
+}
+
+/**
+ * Translate a compilation message to the user's source
+ * @param {GPUCompilationMessage} message - Compilation message
+ * @param {Object} context - Where the compiled code came from
+ * @param {string} context.code - Compiled code
+ * @param {number} [context.prefixLines=0] - Number of lines prepended to the user's code
+ * @param {string} [context.input] - Code given to the pass, before anything was prepended
+ * @param {string} [context.source] - User source of the input, defaults to the registered wgsl source
+ * @param {Array<{line: number}|null>} [context.lineMap] - Source line of each input line, see registerShaderSource
+ * @returns {{type: string, message: string, line: number, column: number, length: number,
+ * inSource: boolean, text: string}} Diagnostic in source coordinates, or in generated coordinates
+ * with inSource false if the line was generated
+ */
+export function mapCompilationMessage(message, context) {
+    const { code, prefixLines = 0, input } = context;
+    const codeLines = code.split('\n');
+    const length = Math.max(1, message.length || 1);
+    const generated = {
+        type: message.type,
+        message: message.message,
+        line: message.lineNum,
+        column: message.linePos,
+        length,
+        inSource: false,
+        text: codeLines[message.lineNum - 1] || '',
+    };
+    if (!message.lineNum || input === undefined) return generated;
+
+    // line in the code the pass was given; lines past its end were appended by the pass
+    const inputLines = input.split('\n');
+    const inputLine = message.lineNum - prefixLines;
+    if (inputLine < 1 || inputLine > inputLines.length) return generated;
+
+    const registered = context.source === undefined ? sources.get(input) : { source: context.source, lineMap: context.lineMap };
+    if (!registered) {
+        return { ...generated, line: inputLine, inSource: true };
+    }
+
+    const { source } = registered;
+    const mapped = (registered.lineMap || createSourceMap(input, source))[inputLine - 1];
+    const column = inputColumn(codeLines[message.lineNum - 1], inputLines[inputLine - 1], message.linePos);
+    if (!mapped || column === null) return generated;
+    const text = source.split('\n')[mapped.line - 1];
+    const mappedColumn = sourceColumn(inputLines[inputLine - 1], text, column);
+    if (mappedColumn === null) return generated;
+    return {
+        ...generated,
+        line: mapped.line,
+        column: Math.max(1, mappedColumn),
+        inSource: true,
+        text,
+    };
+}
+
+/**
+ * Format a diagnostic with the offending line and a caret under the reported range
+ * @param {Object} diagnostic - Diagnostic from mapCompilationMessage
+ * @returns {string}
+ */
+export function formatDiagnostic(diagnostic) {
+    const { type, message, line, column, length, inSource, text } = diagnostic;
+    if (!line) return `${type}: ${message}`;
+    const gutter = String(line);
+    const caret = ' '.repeat(Math.max(0, column - 1)) + '^'.repeat(Math.min(length, Math.max(1, text.length - column + 1)));
+    return [
+        `${type}: ${message}`,
+        `  at line ${line}:${column} of ${inSource ? 'your shader' : 'the generated shader'}`,
+        `  ${gutter} | ${text}`,
+        `  ${' '.repeat(gutter.length)} | ${caret}`,
+    ].join('\n');
+}
+
+/**
+ * Error thrown when a shader fails to compile, with every message mapped to the user's source
+ * @class
+ * @extends Error
+ */
+export class ShaderCompilationError extends Error {
+    /**
+     * @param {string} label - What was being compiled, e.g. 'ComputePass'
+     * @param {Array<Object>} diagnostics - Diagnostics from mapCompilationMessage
+     * @param {string} code - Compiled code, kept as `shaderCode`
+     */
+    constructor(label, diagnostics, code) {
+        const errors = diagnostics.filter(d => d.type === 'error');
+        super(`${label}: Shader compilation failed with ${errors.length} error${errors.length === 1 ? '' : 's'}\n`
+            + errors.map(formatDiagnostic).join('\n\n'));
+        this.name = 'ShaderCompilationError';
+        this.diagnostics = diagnostics;
+        this.shaderCode = code;
+    }
+}
+
+/**
+ * Wait for a shader module's compilation and reject with a ShaderCompilationError if it failed.
+ * Warnings are returned with the other diagnostics, mapped to the user's source.
+ * @async
+ * @param {GPUShaderModule} module - Shader module
+ * @param {string} label - What was being compiled, used in messages
+ * @param {Object} context - Where the compiled code came from (see mapCompilationMessage)
+ * @returns {Promise<Array<Object>>} Mapped diagnostics
+ * @throws {ShaderCompilationError} If there are compilation errors
+ */
+export async function checkShaderModule(module, label, context) {
+    if (!module || typeof module.getCompilationInfo !== 'function') return [];
+    const info = await module.getCompilationInfo();
+    const diagnostics = info.messages.map(message => mapCompilationMessage(message, context));
+
+    if (diagnostics.some(d => d.type === 'error')) {
+        throw new ShaderCompilationError(label, diagnostics, context.code);
+    }
+    return diagnostics;
+}
@@ -0,0 +1,269 @@
+/**
+ * @file Compute dispatch planning
+ * Chooses workgroup sizes, turns invocation counts into workgroup counts, splits
+ * dispatches that exceed the per-dimension workgroup limit across several dimensions
+ * and rewrites the shader entry point to match.
+ */
+
+import { device } from './canvas.js';
+
+/**
+ * Default value of the maxComputeWorkgroupsPerDimension device limit
+ * @type {number}
+ */
+const DEFAULT_MAX_WORKGROUPS_PER_DIMENSION = 65535;
+
+/**
+ * Workgroup sizes picked for 1D, 2D and 3D dispatches when the pass doesn't set one
+ * @type {Array<Array<number>>}
+ */
+const AUTO_WORKGROUP_SIZES = [[64, 1, 1], [8, 8, 1], [4, 4, 4]];
+
+/**
+ * Builtins, address spaces and calls that make a shader depend on its workgroup size, so a placeholder
+ * @workgroup_size(1) can't be replaced without changing what it computes
+ * @type {RegExp}
+ */
+const WORKGROUP_DEPENDENT = /@builtin\s*\(\s*(workgroup_id|local_invocation_id|local_invocation_index|num_workgroups)\s*\)|\bvar\s*<\s*workgroup\s*>/;
+
+/**
+ * Synchronization calls that every invocation of a workgroup has to reach, so invocations can't return early
+ * @type {RegExp}
+ */
+const BARRIERS = /\b(workgroupBarrier|storageBarrier|textureBarrier|workgroupUniformLoad)\s*\(/;
+
+/**
+ * WGSL helper that rebuilds a linear invocation index from a folded dispatch
+ * @param {number} rowSize - Invocations per row along x
+ * @param {number} layerSize - Invocations per x/y layer
+ * @returns {string} WGSL function declaration
+ */
+function linearIndexCode(rowSize, layerSize) {
+    return `fn linearInvocationIndex(gid: vec3<u32>) -> u32 {
+  return gid.x + gid.y * ${rowSize}u + gid.z * ${layerSize}u;
+}`;
+}
+
+/**
+ * Get the maximum number of workgroups per dispatch dimension for the current device
+ * @returns {number}
+ */
+export function maxWorkgroupsPerDimension() {
+    return (device && device.limits && device.limits.maxComputeWorkgroupsPerDimension) || DEFAULT_MAX_WORKGROUPS_PER_DIMENSION;
+}
+
+/**
+ * Fold a one dimensional workgroup count that is over the limit into a 2D or 3D dispatch
+ * @param {number} count - Number of workgroups
+ * @param {number} [max] - Maximum workgroups per dimension
+ * @returns {Array<number>} Workgroup counts [x, y, z], covering at least count workgroups
+ * @throws {Error} If the count can't fit in three dimensions
+ */
+export function foldDispatch(count, max = maxWorkgroupsPerDimension()) {
+    if (count <= max) return [count, 1, 1];
+    const rows = Math.ceil(count / max);
+    if (rows <= max) return [Math.ceil(count / rows), rows, 1];
+    const layers = Math.ceil(rows / max);
+    if (layers > max) {
+        throw new Error(`foldDispatch: ${count} workgroups can't fit in a ${max}^3 dispatch`);
+    }
+    return [max, Math.ceil(count / (max * layers)), layers];
+}
+
+/**
+ * Find the global_invocation_id parameter of a compute entry point and the start of its body
+ * @param {string} code - WGSL code
+ * @param {string} entryPoint - Entry point function name
+ * @returns {{name: string, paramStart: number, paramEnd: number, bodyStart: number}|null}
+ * The parameter name, its source range and the index right after the body's opening brace,
+ * or null if the entry point doesn't take a global_invocation_id
+ */
+export function findInvocationId(code, entryPoint) {
+    const fn = new RegExp(`\\bfn\\s+${entryPoint}\\s*\\(`).exec(code);
+    if (!fn) return null;
+
+    let i = fn.index + fn[0].length;
+    let depth = 1;
+    const paramsStart = i;
+    while (i < code.length && depth > 0) {
+        if (code[i] === '(') depth++;
+        else if (code[i] === ')') depth--;
+        i++;
+    }
+    const params = code.slice(paramsStart, i - 1);
+    const bodyStart = code.indexOf('{', i) + 1;
+    if (bodyStart === 0) return null;
+
+    const param = /@builtin\s*\(\s*global_invocation_id\s*\)\s*(\w+)\s*:\s*vec3\s*(<\s*u32\s*>|u)/.exec(params);
+    if (!param) return null;
+
+    const nameStart = paramsStart + param.index + param[0].indexOf(param[1], param[0].indexOf(')'));
+    return { name: param[1], paramStart: nameStart, paramEnd: nameStart + param[1].length, bodyStart };
+}
+
+/**
+ * Rewrite a compute entry point so its global_invocation_id is computed by a prelude.
+ * The original parameter is renamed to rawInvocationId and the prelude is inserted on the
+ * line of the body's opening brace, so line numbers of the user's code are unchanged.
+ * @param {string} code - WGSL code
+ * @param {string} entryPoint - Entry point function name
+ * @param {function(string): string} makePrelude - Returns WGSL statements given the original parameter name
+ * @returns {string} Rewritten code, or the original code if the entry point takes no global_invocation_id
+ */
+export function rewriteInvocationId(code, entryPoint, makePrelude) {
+    const found = findInvocationId(code, entryPoint);
+    if (!found) return code;
+    return code.slice(0, found.paramStart) + 'rawInvocationId' + code.slice(found.paramEnd, found.bodyStart)
+        + ' ' + makePrelude(found.name) + code.slice(found.bodyStart);
+}
+
+/**
+ * Insert statements at the start of a compute entry point, on the line of the body's opening brace
+ * @param {string} code - WGSL code
+ * @param {string} entryPoint - Entry point function name
+ * @param {function(string): string} makePrelude - Returns WGSL statements given the global_invocation_id parameter name
+ * @returns {string} Rewritten code, or the original code if the entry point takes no global_invocation_id
+ */
+export function injectPrelude(code, entryPoint, makePrelude) {
+    const found = findInvocationId(code, entryPoint);
+    if (!found) return code;
+    return code.slice(0, found.bodyStart) + ' ' + makePrelude(found.name) + code.slice(found.bodyStart);
+}
+
+/**
+ * Find the @workgroup_size attribute of a compute entry point
+ * @param {string} code - WGSL code
+ * @param {string} entryPoint - Entry point function name
+ * @returns {{size: Array<number>|null, start: number, end: number}|null} Declared size (null if it
+ * isn't made of integer literals) and the attribute's source range, or null if there is no attribute
+ */
+export function findWorkgroupSize(code, entryPoint) {
+    const fn = new RegExp(`\\bfn\\s+${entryPoint}\\s*\\(`).exec(code);
+    if (!fn) return null;
+
+    // the attributes sit between the previous declaration and the fn keyword
+    const head = code.slice(0, fn.index);
+    const declStart = Math.max(head.lastIndexOf('}'), head.lastIndexOf(';')) + 1;
+    const attr = /@workgroup_size\s*\(([^)]*)\)/.exec(head.slice(declStart));
+    if (!attr) return null;
+
+    const parts = attr[1].split(',').map(part => part.trim()).filter(part => part);
+    const size = parts.every(part => /^\d+[iu]?$/.test(part))
+        ? [1, 1, 1].map((one, i) => parts[i] ? parseInt(parts[i]) : one)
+        : null;
+    const start = declStart + attr.index;
+    return { size, start, end: start + attr[0].length };
+}
+
+/**
+ * Normalize a workgroup size option to [x, y, z]
+ * @param {number|Array<number>} size - Workgroup size
+ * @returns {Array<number>} Workgroup size [x, y, z]
+ * @throws {Error} If the size is over the device limits
+ */
+function normalizeWorkgroupSize(size) {
+    size = [1, 1, 1].map((one, i) => (Array.isArray(size) ? size[i] : (i === 0 ? size : 1)) || one);
+    const limits = (device && device.limits) || {};
+    const maxInvocations = limits.maxComputeInvocationsPerWorkgroup || 256;
+    const maxSize = [limits.maxComputeWorkgroupSizeX || 256, limits.maxComputeWorkgroupSizeY || 256, limits.maxComputeWorkgroupSizeZ || 64];
+    if (size.some((n, i) => !Number.isInteger(n) || n < 1 || n > maxSize[i]) || size[0] * size[1] * size[2] > maxInvocations) {
+        throw new Error(`Workgroup size [${size.join(', ')}] is over the device limits`);
+    }
+    return size;
+}
+
+/**
+ * Plan a compute dispatch, folding one dimensional dispatches over the workgroup limit.
+ * When folding, the entry point is rewritten so its global_invocation_id keeps the linear
+ * index in x, and invocations past the original count return early.
+ * @param {string} code - WGSL code
+ * @param {Array<number>} workgroups - Requested workgroup counts
+ * @param {Object} [options]
+ * @param {string} [options.entryPoint='main'] - Entry point function name
+ * @param {number} [options.workgroupSize=1] - Workgroup size along x
+ * @param {number} [options.invocations] - Number of invocations along x that should run, defaults to every invocation of the requested workgroups
+ * @returns {{code: string, dispatch: Array<number>, folded: boolean}} Shader code and workgroup counts to dispatch
+ * @throws {Error} If a multi-dimensional dispatch is over the limit
+ */
+export function planDispatch(code, workgroups, options = {}) {
+    const { entryPoint = 'main', workgroupSize = 1 } = options;
+    const max = maxWorkgroupsPerDimension();
+
+    if (workgroups.every(count => count <= max)) return { code, dispatch: workgroups, folded: false };
+    if (workgroups.slice(1).some(count => count > 1)) {
+        throw new Error(`planDispatch: Dispatch [${workgroups.join(', ')}] is over the ${max} workgroups per dimension limit`);
+    }
+
+    const dispatch = foldDispatch(workgroups[0], max);
+    const rowSize = dispatch[0] * workgroupSize;
+    const count = options.invocations || workgroups[0] * workgroupSize;
+    const prelude = (name) => `let ${name} = vec3<u32>(linearInvocationIndex(rawInvocationId), 0u, 0u); if (${name}.x >= ${count}u) { return; }`;
+
+    const rewritten = rewriteInvocationId(code, entryPoint, prelude);
+    if (rewritten === code) return { code, dispatch, folded: false };
+    // appended rather than prepended so the user's line numbers stay put
+    return { code: rewritten + '\n' + linearIndexCode(rowSize, rowSize * dispatch[1]), dispatch, folded: true };
+}
+
+/**
+ * Plan a compute pass from the number of invocations it should run.
+ * Picks the workgroup size (replacing a placeholder @workgroup_size(1) in the shader),
+ * dispatches ceil(invocations / size) workgroups per dimension, folds dispatches over
+ * the workgroup limit and guards the entry point so extra invocations return early.
+ * With 'auto', shaders that declare a size other than 1 or depend on their workgroup size
+ * (workgroup builtins, var<workgroup>, barriers) are left alone and the counts are workgroups, as before.
+ * @param {string} code - WGSL code
+ * @param {Array<number>} invocations - Number of invocations per dimension (e.g. [count] or [width, height])
+ * @param {Object} [options]
+ * @param {string} [options.entryPoint='main'] - Entry point function name
+ * @param {'auto'|number|Array<number>} [options.workgroupSize='auto'] - Workgroup size. With 'auto',
+ * @workgroup_size(1) becomes 64, 8x8 or 4x4x4 when the shader allows it. A number or array replaces the
+ * declared size, which then has to be written with integer literals
+ * @returns {{code: string, dispatch: Array<number>, workgroupSize: Array<number>|null}} Shader code, workgroup counts and workgroup size
+ * @throws {Error} If workgroupSize is set and the shader has no literal @workgroup_size, or if a shader with
+ * barriers would need its partial workgroups guarded
+ */
+export function planCompute(code, invocations, options = {}) {
+    const { entryPoint = 'main', workgroupSize = 'auto' } = options;
+    const dims = Math.min(3, Math.max(1, invocations.length));
+
+    const declared = findWorkgroupSize(code, entryPoint);
+    if (!declared || !declared.size) {
+        if (workgroupSize !== 'auto') {
+            throw new Error(`planCompute: workgroupSize needs a @workgroup_size of integer literals on ${entryPoint} to replace`);
+        }
+        // sized by constants or overrides we can't evaluate, so treat the counts as workgroups
+        return { ...planDispatch(code, invocations, { entryPoint }), workgroupSize: null };
+    }
+
+    let size;
+    if (workgroupSize !== 'auto') {
+        size = normalizeWorkgroupSize(workgroupSize);
+    } else if (declared.size.some(n => n > 1) || WORKGROUP_DEPENDENT.test(code) || BARRIERS.test(code)) {
+        // the shader chose its own workgroup size or relies on it: the counts are workgroups
+        return { ...planDispatch(code, invocations, { entryPoint, workgroupSize: declared.size[0] }), workgroupSize: declared.size };
+    } else {
+        size = AUTO_WORKGROUP_SIZES[dims - 1];
+    }
+
+    if (size.join() !== declared.size.join()) {
+        code = code.slice(0, declared.start) + `@workgroup_size(${size.join(', ')})` + code.slice(declared.end);
+    }
+
+    const workgroups = invocations.map((count, i) => Math.ceil(count / (size[i] || 1)));
+    const plan = planDispatch(code, workgroups, { entryPoint, workgroupSize: size[0], invocations: invocations[0] });
+
+    // guard the partial workgroups at the edges
+    const partial = invocations.some((count, i) => count % (size[i] || 1) !== 0);
+    if (!plan.folded && partial) {
+        if (BARRIERS.test(code)) {
+            // returning early would leave the other invocations waiting at the barrier
+            throw new Error(`planCompute: [${invocations.join(', ')}] invocations don't fill whole workgroups of [${size.join(', ')}] and the shader uses barriers; use counts that are multiples of the workgroup size`);
+        }
+        const axes = ['x', 'y', 'z'];
+        plan.code = injectPrelude(plan.code, entryPoint, (name) =>
+            `if (${invocations.slice(0, 3).map((count, i) => `${name}.${axes[i]} >= ${count}u`).join(' || ')}) { return; }`);
+    }
+
+    return { code: plan.code, dispatch: plan.dispatch, workgroupSize: size };
+}
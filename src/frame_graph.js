@@ -0,0 +1,298 @@
+/**
+ * @file Frame graph
+ * Schedules a frame's passes from the resources they read and write: passes are ordered so
+ * writers run before readers, consecutive compute passes share one compute pass encoder,
+ * and passes that would need each other's output are reported before anything runs.
+ */
+
+import { device } from './canvas.js';
+import { Buffer, Texture, flushBufferWrites } from './core.js';
+import { getAutoBindings } from './auto_bindings.js';
+import { advanceClock } from './loop.js';
+
+/**
+ * Resource written by passes that draw to the canvas
+ * @type {Object}
+ */
+export const CANVAS = { name: 'canvas' };
+
+/**
+ * Error thrown when the declared reads and writes of a frame's passes can't be satisfied
+ * @class
+ * @extends Error
+ */
+export class FrameGraphHazardError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {Array<string>} passes - Names of the passes involved
+     */
+    constructor(message, passes) {
+        super(message);
+        this.name = 'FrameGraphHazardError';
+        this.passes = passes;
+    }
+}
+
+/**
+ * Work out the resource and access mode of one binding of a pass
+ * @param {Object} binding - Buffer, binding helper or ping-pong binding
+ * @returns {{resource: Object, mode: 'read'|'write'|'read_write'|'previous'}|null}
+ */
+function bindingAccess(binding) {
+    // a ping-pong pair is one resource: its current half is written, its previous half holds last frame's state
+    if (binding.pingPong) return { resource: binding.pingPong, mode: binding.role === 'current' ? 'write' : 'previous' };
+    if (binding instanceof Buffer) return { resource: binding, mode: binding.uniform ? 'read' : 'read_write' };
+    if (binding.buffer instanceof Buffer) {
+        return { resource: binding.buffer, mode: binding.access === 'read' || binding.buffer.uniform ? 'read' : 'read_write' };
+    }
+    if (binding.texture instanceof Texture) return { resource: binding.texture, mode: binding.readOrWrite };
+    return null;
+}
+
+/**
+ * Infer the resources a pass reads and writes from its bindings
+ * @param {Object} pass - ComputePass or RenderPass
+ * @returns {{reads: Array, writes: Array, previous: Array}} Resources read, written and read as last frame's state
+ * @throws {FrameGraphHazardError} If the pass binds a resource it writes more than once
+ */
+export function inferPassAccess(pass) {
+    const reads = new Set();
+    const writes = new Set();
+    const previous = new Set();
+
+    if (pass.texture && !pass.bindings) {
+        // a RenderPass draws its texture to the canvas
+        reads.add(pass.texture);
+        writes.add(CANVAS);
+        return { reads: [...reads], writes: [...writes], previous: [] };
+    }
+
+    const previousNames = new Set(getAutoBindings().filter(auto => auto.previous).map(auto => auto.name));
+    const bound = new Map();
+    (pass.bindings || []).forEach(binding => {
+        const access = bindingAccess(binding);
+        if (!access) return;
+        const { resource } = access;
+        const mode = previousNames.has(binding.name) && access.mode === 'read' ? 'previous' : access.mode;
+
+        // a writable binding can't share the pass with any other binding of the same resource
+        const writable = mode === 'write' || mode === 'read_write';
+        if (!binding.pingPong && bound.has(resource) && (writable || bound.get(resource))) {
+            throw new FrameGraphHazardError(`FrameGraph: ${resource.name} is bound more than once in a pass that writes it`, []);
+        }
+        bound.set(resource, writable || !!bound.get(resource));
+
+        if (mode === 'previous') previous.add(resource);
+        else {
+            if (mode !== 'write') reads.add(resource);
+            if (mode !== 'read') writes.add(resource);
+        }
+    });
+
+    return { reads: [...reads], writes: [...writes], previous: [...previous] };
+}
+
+/**
+ * A frame's passes with the resources they read and write.
+ * Passes can be added in any order: a pass that reads a resource runs after every pass writing it,
+ * passes writing the same resource run in the order they were added, and passes reading a resource's
+ * previous state (ping-pong previous halves, feedback textures, `previous` declarations) run before
+ * the passes writing it.
+ * @class
+ * @example
+ * const graph = new FrameGraph();
+ * graph.addPass(renderPass);                  // reads renderTxtr, writes the canvas
+ * graph.addPass(drawParticles);               // writes renderTxtr, reads particles
+ * graph.addPass(moveParticles, { name: 'move' });
+ * graph.run();                                // move, draw, render
+ */
+export class FrameGraph {
+    /**
+     * Create an empty frame graph
+     * @param {Object} [options] - Frame graph options
+     * @param {boolean} [options.warnUnwritten=true] - Warn once when a pass reads a texture no pass writes
+     */
+    constructor(options = {}) {
+        this.nodes = [];
+        this.warnUnwritten = options.warnUnwritten !== false;
+        this.warned = new Set();
+        this.batches = null;
+    }
+
+    /**
+     * Add a pass to the frame.
+     * Reads and writes not given are inferred from the pass's bindings.
+     * @param {Object|Array<Object>} pass - ComputePass, RenderPass, any object with run(encoder), or an array of passes
+     * @param {Object} [options] - Pass declarations
+     * @param {string} [options.name] - Name used in errors and warnings
+     * @param {Array} [options.reads] - Resources the pass reads
+     * @param {Array} [options.writes] - Resources the pass writes
+     * @param {Array} [options.previous] - Resources the pass reads as they were before this frame's writes
+     * @returns {FrameGraph} This graph
+     */
+    addPass(pass, options = {}) {
+        if (Array.isArray(pass)) {
+            pass.forEach((p, i) => this.addPass(p, { ...options, name: options.name && `${options.name}[${i}]` }));
+            return this;
+        }
+        if (!pass || typeof pass.run !== 'function') {
+            throw new Error('FrameGraph.addPass: Invalid pass object');
+        }
+
+        const inferred = options.reads && options.writes ? {} : inferPassAccess(pass);
+        const previous = new Set(options.previous || inferred.previous || []);
+        this.nodes.push({
+            pass,
+            name: options.name || `${pass.constructor.name}#${this.nodes.length}`,
+            index: this.nodes.length,
+            reads: new Set((options.reads || inferred.reads).filter(r => !previous.has(r))),
+            writes: new Set(options.writes || inferred.writes),
+            previous,
+        });
+        this.batches = null;
+        return this;
+    }
+
+    /**
+     * Remove a pass from the frame
+     * @param {Object} pass - Pass given to addPass
+     * @returns {boolean} True if the pass was removed
+     */
+    removePass(pass) {
+        const before = this.nodes.length;
+        this.nodes = this.nodes.filter(node => node.pass !== pass);
+        this.nodes.forEach((node, i) => { node.index = i; });
+        this.batches = null;
+        return this.nodes.length !== before;
+    }
+
+    /**
+     * Order the passes and group consecutive compute passes.
+     * The result is cached until passes are added or removed.
+     * @returns {Array<Array<Object>>} Batches of passes in run order. Compute passes (passes with encode())
+     * in the same batch share one compute pass encoder, other passes run alone
+     * @throws {FrameGraphHazardError} If passes need each other's output
+     */
+    compile() {
+        if (this.batches) return this.batches;
+
+        const nodes = this.nodes;
+        const edges = nodes.map(() => new Map());
+        const indegree = nodes.map(() => 0);
+        const addEdge = (from, to, resource) => {
+            if (from === to || edges[from.index].has(to.index)) return;
+            edges[from.index].set(to.index, resource);
+            indegree[to.index]++;
+        };
+
+        const writers = new Map();
+        nodes.forEach(node => node.writes.forEach(resource => {
+            if (!writers.has(resource)) writers.set(resource, []);
+            writers.get(resource).push(node);
+        }));
+        writers.forEach((list, resource) => list.slice(1).forEach((node, i) => addEdge(list[i], node, resource)));
+        nodes.forEach(node => {
+            node.reads.forEach(resource => {
+                if (node.writes.has(resource)) return;
+                (writers.get(resource) || []).forEach(writer => addEdge(writer, node, resource));
+            });
+            node.previous.forEach(resource => {
+                (writers.get(resource) || []).forEach(writer => addEdge(node, writer, resource));
+            });
+        });
+
+        // Kahn's algorithm, keeping the order passes were added in and running compute passes back to back
+        const order = [];
+        const ready = nodes.filter(node => indegree[node.index] === 0);
+        while (ready.length > 0) {
+            const last = order[order.length - 1];
+            let pick = 0;
+            if (last && isCompute(last.pass)) {
+                const compute = ready.findIndex(node => isCompute(node.pass));
+                if (compute !== -1) pick = compute;
+            }
+            const [node] = ready.splice(pick, 1);
+            order.push(node);
+            edges[node.index].forEach((resource, to) => {
+                if (--indegree[to] === 0) {
+                    const next = nodes[to];
+                    const at = ready.findIndex(other => other.index > next.index);
+                    ready.splice(at === -1 ? ready.length : at, 0, next);
+                }
+            });
+        }
+
+        if (order.length < nodes.length) {
+            const stuck = nodes.filter(node => !order.includes(node));
+            const reasons = [];
+            stuck.forEach(node => edges[node.index].forEach((resource, to) => {
+                if (stuck.includes(nodes[to])) reasons.push(`${nodes[to].name} reads ${resource.name} after ${node.name} writes it`);
+            }));
+            throw new FrameGraphHazardError(
+                `FrameGraph: Passes ${stuck.map(node => node.name).join(', ')} need each other's output (${reasons.join('; ')}). `
+                + 'Declare the resource in `previous` for the pass that should see last frame\'s contents.',
+                stuck.map(node => node.name));
+        }
+
+        if (this.warnUnwritten) {
+            order.forEach(node => node.reads.forEach(resource => {
+                if (!(resource instanceof Texture) || writers.has(resource) || this.warned.has(resource)) return;
+                this.warned.add(resource);
+                console.warn(`FrameGraph: ${node.name} reads texture ${resource.name}, which no pass writes this frame`);
+            }));
+        }
+
+        this.batches = [];
+        order.forEach(node => {
+            const batch = this.batches[this.batches.length - 1];
+            if (batch && isCompute(node.pass) && isCompute(batch[0])) batch.push(node.pass);
+            else this.batches.push([node.pass]);
+        });
+        return this.batches;
+    }
+
+    /**
+     * Passes in run order
+     * @type {Array<Object>}
+     */
+    get order() {
+        return this.compile().flat();
+    }
+
+    /**
+     * Record and submit the frame's passes
+     * @param {number} [repeats=1] - Number of times to repeat the passes
+     * @throws {FrameGraphHazardError} If passes need each other's output
+     */
+    run(repeats = 1) {
+        if (!device) {
+            throw new Error('FrameGraph.run: WebGPU device not initialized. Call initCanvas() first.');
+        }
+        const batches = this.compile();
+        advanceClock();
+        flushBufferWrites();
+
+        const encoder = device.createCommandEncoder();
+        for (let i = 0; i < repeats; i++) {
+            batches.forEach(batch => {
+                if (!isCompute(batch[0])) {
+                    batch[0].run(encoder);
+                    return;
+                }
+                const pass = encoder.beginComputePass();
+                batch.forEach(p => p.encode(pass));
+                pass.end();
+            });
+        }
+        device.queue.submit([encoder.finish()]);
+    }
+}
+
+/**
+ * Whether a pass can be recorded into a shared compute pass encoder
+ * @param {Object} pass - Pass
+ * @returns {boolean}
+ */
+function isCompute(pass) {
+    return typeof pass.encode === 'function';
+}
@@ -0,0 +1,70 @@
+/**
+ * @file Per-frame globals buffer
+ * A uniform `globalData` buffer holding the frame index, time, delta time, resolution, mouse
+ * position and a random seed. Any shader that mentions `globalData` gets it bound, and the
+ * library rewrites it on every tick of the frame clock.
+ */
+
+import { Struct, type_f32, type_vec2 } from './struct.js';
+import { width, height } from './canvas.js';
+import { registerAutoBinding } from './auto_bindings.js';
+import { clock, onTick } from './loop.js';
+import { mouseBuffer } from './utilities.js';
+import { trackSingleton } from './recovery.js';
+
+/**
+ * Layout of globalData, read in WGSL as `globalData[0].frame`, `globalData[0].resolution`, ...
+ * @type {Struct}
+ */
+export const globalsStruct = new Struct('Globals', [
+    { name: 'frame', type: type_f32 },
+    { name: 'time', type: type_f32 },
+    { name: 'deltaTime', type: type_f32 },
+    { name: 'seed', type: type_f32 },
+    { name: 'resolution', type: type_vec2 },
+    { name: 'mouse', type: type_vec2 },
+]);
+
+/**
+ * The globals buffer, created the first time a pass needs it
+ * @type {Buffer|null}
+ */
+export let globalsBuffer = null;
+
+/**
+ * Random seed shared by every shader for the session
+ * @type {number}
+ */
+const seed = Math.random();
+
+/**
+ * Current values of the globals
+ * @returns {Object} Globals struct values
+ */
+function globalValues() {
+    const mouse = mouseBuffer ? { x: mouseBuffer.data[0], y: mouseBuffer.data[1] } : { x: 0, y: 0 };
+    return {
+        frame: clock.frame,
+        time: clock.time,
+        deltaTime: clock.deltaTime,
+        seed,
+        resolution: { x: width || 0, y: height || 0 },
+        mouse,
+    };
+}
+
+/**
+ * Get the globals buffer, creating it on first use
+ * @returns {Buffer} Uniform buffer holding one Globals element
+ */
+export function getGlobalsBuffer() {
+    if (!globalsBuffer) {
+        globalsBuffer = globalsStruct.createBuffer('globalData', [globalValues()], { uniform: true });
+        trackSingleton('globalData', globalsBuffer);
+        onTick(() => globalsBuffer.update(globalsStruct.toArrayBuffer([globalValues()])));
+    }
+    return globalsBuffer;
+}
+
+// the factory only runs once a pass's code mentions globalData, other apps never allocate the buffer
+registerAutoBinding('globalData', getGlobalsBuffer, { global: true });
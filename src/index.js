@@ -10,13 +10,24 @@
  */
 export const VERSION = '0.1.0';
 
+export * from './auto_bindings.js';
 export * from './core.js';
+export * from './diagnostics.js';
+export * from './layouts.js';
 export * from './canvas.js';
 export * from './camera.js';
 export * from './noise.js';
 export * from './passes.js';
+export * from './frame_graph.js';
+export * from './globals.js';
+export * from './loop.js';
+export * from './pingpong.js';
+export * from './pipelines.js';
+export * from './png.js';
+export * from './recovery.js';
 export * from './render_passes.js';
 export * from './struct.js';
 export * from './raycasting.js';
+export * from './readback.js';
 export * from './utilities.js';
 export * from './wgsl.js';
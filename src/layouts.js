@@ -0,0 +1,122 @@
+/**
+ * @file Bind group and pipeline layout cache
+ * Layouts are generated from binding lists and shared between passes with the same bindings,
+ * so bind groups created for one pass can be used by every compatible pass.
+ */
+
+import { device } from './canvas.js';
+
+/**
+ * Bind group layouts by their entries
+ * @type {Map<string, GPUBindGroupLayout>}
+ */
+const bindGroupLayouts = new Map();
+
+/**
+ * Pipeline layouts by the keys of their bind group layouts
+ * @type {Map<string, GPUPipelineLayout>}
+ */
+const pipelineLayouts = new Map();
+
+/**
+ * Keys of the cached bind group layouts
+ * @type {WeakMap<GPUBindGroupLayout, string>}
+ */
+const layoutKeys = new WeakMap();
+
+/**
+ * Maximum number of cached bind groups, the oldest are dropped first
+ * @type {number}
+ */
+const MAX_BIND_GROUPS = 256;
+
+/**
+ * Bind groups by layout key and resource ids
+ * @type {Map<string, GPUBindGroup>}
+ */
+const bindGroups = new Map();
+
+/**
+ * Ids of the resources seen by getBindGroup
+ * @type {WeakMap<Object, number>}
+ */
+const resourceIds = new WeakMap();
+let nextResourceId = 0;
+
+function resourceId(resource) {
+    if (!resourceIds.has(resource)) resourceIds.set(resource, nextResourceId++);
+    return resourceIds.get(resource);
+}
+
+/**
+ * Get a bind group layout for a list of entries, shared with every other user of the same entries
+ * @param {Array<GPUBindGroupLayoutEntry>} entries - Layout entries
+ * @returns {GPUBindGroupLayout}
+ */
+export function getBindGroupLayout(entries) {
+    const key = JSON.stringify(entries);
+    if (!bindGroupLayouts.has(key)) {
+        const layout = device.createBindGroupLayout({ entries });
+        layoutKeys.set(layout, key);
+        bindGroupLayouts.set(key, layout);
+    }
+    return bindGroupLayouts.get(key);
+}
+
+/**
+ * Get a pipeline layout for a list of bind group layouts from getBindGroupLayout
+ * @param {Array<GPUBindGroupLayout>} groupLayouts - Bind group layouts, in group order
+ * @returns {GPUPipelineLayout}
+ */
+export function getPipelineLayout(groupLayouts) {
+    const key = groupLayouts.map(layout => layoutKeys.get(layout)).join('|');
+    if (!pipelineLayouts.has(key)) {
+        pipelineLayouts.set(key, device.createPipelineLayout({ bindGroupLayouts: groupLayouts }));
+    }
+    return pipelineLayouts.get(key);
+}
+
+/**
+ * Get a key identifying a pipeline layout, used to cache what is built on top of it
+ * @param {Array<GPUBindGroupLayout>} groupLayouts - Bind group layouts, in group order
+ * @returns {string}
+ */
+export function getLayoutKey(groupLayouts) {
+    return groupLayouts.map(layout => layoutKeys.get(layout)).join('|');
+}
+
+/**
+ * Get a bind group for a layout from getBindGroupLayout and a list of resources, one per binding index.
+ * Bind groups are cached by layout and resource set, so switching between sets of resources
+ * creates each bind group once.
+ * @param {GPUBindGroupLayout} layout - Bind group layout
+ * @param {Array<GPUBindingResource>} resources - Resources in binding order
+ * @returns {GPUBindGroup}
+ */
+export function getBindGroup(layout, resources) {
+    const key = layoutKeys.get(layout) + '|' + resources.map(resourceId).join();
+    if (bindGroups.has(key)) {
+        // move to the back so the groups in use are dropped last
+        const bindGroup = bindGroups.get(key);
+        bindGroups.delete(key);
+        bindGroups.set(key, bindGroup);
+        return bindGroup;
+    }
+
+    const bindGroup = device.createBindGroup({
+        layout,
+        entries: resources.map((resource, i) => ({ binding: i, resource })),
+    });
+    bindGroups.set(key, bindGroup);
+    if (bindGroups.size > MAX_BIND_GROUPS) bindGroups.delete(bindGroups.keys().next().value);
+    return bindGroup;
+}
+
+/**
+ * Forget every cached layout and bind group, e.g. after the device they were created on is gone
+ */
+export function clearLayoutCache() {
+    bindGroupLayouts.clear();
+    pipelineLayouts.clear();
+    bindGroups.clear();
+}
@@ -0,0 +1,201 @@
+/**
+ * @file Animation loop and frame clock
+ * One clock counts frames and time for the whole library. `loop()` drives it from
+ * requestAnimationFrame with optional FPS cap, fixed timestep and keyboard pause/step;
+ * sketches with their own animate() get it advanced once per frame by runPasses.
+ */
+
+/**
+ * Longest frame time fed to the clock, so a backgrounded tab doesn't produce one giant step
+ * @type {number}
+ */
+const MAX_DELTA_TIME = 0.25;
+
+/**
+ * The frame clock: frame index, number of steps run (more than the frames with substeps or fixed steps),
+ * seconds of running time (paused time excluded) and the last step's duration
+ * @type {{frame: number, steps: number, time: number, deltaTime: number}}
+ */
+export const clock = { frame: 0, steps: 0, time: 0, deltaTime: 0 };
+
+/**
+ * Functions called after every clock tick
+ * @type {Set<function(Object): void>}
+ */
+const tickListeners = new Set();
+
+/**
+ * The running loop, if any
+ * @type {Object|null}
+ */
+let activeLoop = null;
+
+/**
+ * Whether runPasses already advanced the clock this animation frame
+ * @type {boolean}
+ */
+let tickedThisFrame = false;
+let lastPassesTime = null;
+
+/**
+ * Call a function after every clock tick, e.g. to upload per-frame uniforms
+ * @param {function({frame: number, steps: number, time: number, deltaTime: number}): void} listener - Called with the clock
+ * @returns {function(): void} Removes the listener
+ */
+export function onTick(listener) {
+    tickListeners.add(listener);
+    return () => tickListeners.delete(listener);
+}
+
+/**
+ * Advance the clock by one step
+ * @param {number} deltaTime - Step duration in seconds
+ * @param {boolean} [newFrame=true] - Whether this is the first step of a frame; later substeps keep the frame index
+ */
+function tick(deltaTime, newFrame = true) {
+    if (newFrame) clock.frame++;
+    clock.steps++;
+    clock.deltaTime = deltaTime;
+    clock.time += deltaTime;
+    tickListeners.forEach(listener => listener(clock));
+}
+
+/**
+ * Advance the clock for sketches that run their own animation loop.
+ * Called by runPasses; ticks at most once per animation frame and never while loop() runs.
+ */
+export function advanceClock() {
+    if (activeLoop || tickedThisFrame) return;
+    const now = performance.now() / 1000;
+    const deltaTime = lastPassesTime === null ? 0 : Math.min(now - lastPassesTime, MAX_DELTA_TIME);
+    lastPassesTime = now;
+    tick(deltaTime);
+
+    tickedThisFrame = true;
+    if (typeof requestAnimationFrame === 'function') requestAnimationFrame(() => { tickedThisFrame = false; });
+    else setTimeout(() => { tickedThisFrame = false; }, 0);
+}
+
+/**
+ * Whether a loop() is currently running
+ * @returns {boolean}
+ */
+export function isLooping() {
+    return activeLoop !== null;
+}
+
+/**
+ * Controls of the running loop
+ * @returns {Object|null} The controls returned by loop(), or null when no loop runs
+ */
+export function currentLoop() {
+    return activeLoop;
+}
+
+/**
+ * Run a callback every animation frame, owning the frame clock.
+ * Space pauses and resumes, '.' or the right arrow advances a single step while paused.
+ * Starting a loop stops the previous one.
+ * @param {function({frame: number, steps: number, time: number, deltaTime: number, step: number}): void} callback - Called
+ * once per step with the clock and the index of the step within the frame. `frame` counts frames, `steps` every step
+ * @param {Object} [options] - Loop options
+ * @param {number} [options.fps] - Maximum frames per second, defaults to the display rate
+ * @param {number} [options.fixedStep] - Step duration in seconds; steps run as often as needed to keep up with real time
+ * @param {number} [options.substeps] - With fixedStep, the most steps run in one frame (default 4);
+ * otherwise the number of steps each frame is split into (default 1)
+ * @param {boolean} [options.keys=true] - Enable the pause and step keys, where there is a window to listen to
+ * @param {boolean} [options.paused=false] - Start paused
+ * @returns {{pause: function, resume: function, toggle: function, step: function, stop: function, paused: boolean}} Loop controls
+ * @example
+ * loop(() => runPasses([simulate, renderPass]), { fixedStep: 1 / 60 });
+ */
+export function loop(callback, options = {}) {
+    if (typeof callback !== 'function') {
+        throw new Error('loop: Expected a callback function');
+    }
+    const { fps, fixedStep } = options;
+    // workers have requestAnimationFrame but no window to listen to
+    const keys = options.keys !== false && typeof window !== 'undefined';
+    const substeps = options.substeps || (fixedStep ? 4 : 1);
+    if (fixedStep !== undefined && !(fixedStep > 0)) {
+        throw new Error('loop: fixedStep must be a positive number of seconds');
+    }
+    if (!Number.isInteger(substeps) || substeps < 1) {
+        throw new Error('loop: substeps must be a positive integer');
+    }
+
+    if (activeLoop) activeLoop.stop();
+
+    let frameId = null;
+    let lastTime = null;
+    let accumulator = 0;
+
+    const runStep = (deltaTime, step) => {
+        tick(deltaTime, step === 0);
+        callback({ ...clock, step });
+    };
+
+    const frame = (timestamp) => {
+        frameId = requestAnimationFrame(frame);
+        const now = timestamp / 1000;
+        const elapsed = lastTime === null ? 0 : now - lastTime;
+        // skip display frames under the FPS cap, with a little slack for timer jitter
+        if (fps && lastTime !== null && elapsed < 1 / fps - 0.002) return;
+        lastTime = now;
+        if (controls.paused) return;
+
+        const deltaTime = Math.min(elapsed, MAX_DELTA_TIME);
+        if (fixedStep) {
+            accumulator += deltaTime;
+            let step = 0;
+            while (accumulator >= fixedStep && step < substeps) {
+                runStep(fixedStep, step++);
+                accumulator -= fixedStep;
+            }
+            // drop the time we couldn't catch up on instead of spiralling
+            if (step === substeps) accumulator = Math.min(accumulator, fixedStep);
+        } else {
+            for (let step = 0; step < substeps; step++) runStep(deltaTime / substeps, step);
+        }
+    };
+
+    const onKey = (e) => {
+        if (e.target && /^(INPUT|TEXTAREA|SELECT)$/.test(e.target.tagName)) return;
+        if (e.key === ' ') {
+            e.preventDefault();
+            controls.toggle();
+        } else if (e.key === '.' || e.key === 'ArrowRight') {
+            controls.step();
+        }
+    };
+
+    const controls = {
+        paused: !!options.paused,
+        pause() {
+            controls.paused = true;
+        },
+        resume() {
+            controls.paused = false;
+            accumulator = 0;
+        },
+        toggle() {
+            if (controls.paused) controls.resume();
+            else controls.pause();
+        },
+        /** Run a single step while paused */
+        step() {
+            controls.pause();
+            runStep(fixedStep || clock.deltaTime || 1 / 60, 0);
+        },
+        stop() {
+            if (frameId !== null) cancelAnimationFrame(frameId);
+            if (keys) window.removeEventListener('keydown', onKey);
+            if (activeLoop === controls) activeLoop = null;
+        },
+    };
+
+    if (keys) window.addEventListener('keydown', onKey);
+    activeLoop = controls;
+    frameId = requestAnimationFrame(frame);
+    return controls;
+}
@@ -0,0 +1,414 @@
+/**
+ * @file Recording mock GPU device
+ * A stand-in for GPUDevice that runs anywhere (jsdom, Node) and records what the library asks of it:
+ * buffers and their contents, shader modules with their final WGSL, pipelines, bind groups and every
+ * dispatch and draw. Pass it to initDevice({ device }) to unit-test passes without a GPU.
+ */
+
+import { texelSize } from './readback.js';
+import { executeDispatch } from './cpu_executor.js';
+
+/**
+ * WebGPU flag constants, as defined by the spec
+ * @type {Object<string, Object<string, number>>}
+ */
+const GPU_CONSTANTS = {
+    GPUBufferUsage: {
+        MAP_READ: 0x0001, MAP_WRITE: 0x0002, COPY_SRC: 0x0004, COPY_DST: 0x0008, INDEX: 0x0010,
+        VERTEX: 0x0020, UNIFORM: 0x0040, STORAGE: 0x0080, INDIRECT: 0x0100, QUERY_RESOLVE: 0x0200,
+    },
+    GPUTextureUsage: {
+        COPY_SRC: 0x01, COPY_DST: 0x02, TEXTURE_BINDING: 0x04, STORAGE_BINDING: 0x08, RENDER_ATTACHMENT: 0x10,
+    },
+    GPUShaderStage: { VERTEX: 0x1, FRAGMENT: 0x2, COMPUTE: 0x4 },
+    GPUMapMode: { READ: 0x0001, WRITE: 0x0002 },
+};
+
+/**
+ * Limits reported by the mock device, the spec's defaults
+ * @type {Object<string, number>}
+ */
+const DEFAULT_LIMITS = {
+    maxBufferSize: 268435456,
+    maxStorageBufferBindingSize: 134217728,
+    maxUniformBufferBindingSize: 65536,
+    maxComputeWorkgroupsPerDimension: 65535,
+    maxComputeInvocationsPerWorkgroup: 256,
+    maxComputeWorkgroupSizeX: 256,
+    maxComputeWorkgroupSizeY: 256,
+    maxComputeWorkgroupSizeZ: 64,
+    maxBindGroups: 4,
+    maxStorageBuffersPerShaderStage: 8,
+};
+
+/**
+ * Define the WebGPU flag globals (GPUBufferUsage, GPUShaderStage, ...) where they are missing,
+ * keeping any values already defined
+ */
+export function installGPUConstants() {
+    Object.entries(GPU_CONSTANTS).forEach(([name, values]) => {
+        globalThis[name] = { ...values, ...(globalThis[name] || {}) };
+    });
+}
+
+/**
+ * Mock GPUBuffer, keeping its contents in an ArrayBuffer
+ * @class
+ */
+export class MockGPUBuffer {
+    /**
+     * @param {GPUBufferDescriptor} descriptor - Buffer descriptor
+     */
+    constructor({ label = '', size, usage, mappedAtCreation = false }) {
+        this.label = label;
+        this.size = size;
+        this.usage = usage;
+        this.data = new ArrayBuffer(size);
+        this.mapState = mappedAtCreation ? 'mapped' : 'unmapped';
+        this.mapped = [];
+        this.destroyed = false;
+    }
+
+    /**
+     * Map the buffer; resolves right away
+     * @async
+     * @returns {Promise<void>}
+     */
+    async mapAsync() {
+        this.mapState = 'mapped';
+    }
+
+    /**
+     * Get a copy of a range of the buffer, written back on unmap()
+     * @param {number} [offset=0] - Byte offset
+     * @param {number} [size] - Byte size, defaults to the rest of the buffer
+     * @returns {ArrayBuffer}
+     */
+    getMappedRange(offset = 0, size = this.size - offset) {
+        if (this.mapState !== 'mapped') {
+            throw new Error(`MockGPUBuffer: ${this.label} is not mapped`);
+        }
+        const range = this.data.slice(offset, offset + size);
+        this.mapped.push({ offset, range });
+        return range;
+    }
+
+    unmap() {
+        this.mapped.forEach(({ offset, range }) => new Uint8Array(this.data).set(new Uint8Array(range), offset));
+        this.mapped = [];
+        this.mapState = 'unmapped';
+    }
+
+    destroy() {
+        this.destroyed = true;
+    }
+}
+
+/**
+ * Mock GPUTexture, keeping its texels row by row in a Uint8Array
+ * @class
+ */
+export class MockGPUTexture {
+    /**
+     * @param {GPUTextureDescriptor} descriptor - Texture descriptor
+     */
+    constructor({ label = '', size, format, usage }) {
+        const [width, height = 1, depthOrArrayLayers = 1] = Array.isArray(size) ? size : [size.width, size.height, size.depthOrArrayLayers];
+        this.label = label;
+        this.width = width;
+        this.height = height;
+        this.depthOrArrayLayers = depthOrArrayLayers;
+        this.format = format;
+        this.usage = usage;
+        this.bytesPerTexel = texelSize(format);
+        this.data = new Uint8Array(width * height * this.bytesPerTexel);
+        this.destroyed = false;
+    }
+
+    /**
+     * @param {GPUTextureViewDescriptor} [descriptor] - View descriptor
+     * @returns {{texture: MockGPUTexture, label: string}}
+     */
+    createView(descriptor = {}) {
+        return { texture: this, label: descriptor.label || this.label };
+    }
+
+    destroy() {
+        this.destroyed = true;
+    }
+}
+
+/**
+ * Mock GPUCommandEncoder, recording commands that run when submitted
+ * @class
+ */
+class MockCommandEncoder {
+    constructor() {
+        this.commands = [];
+    }
+
+    beginComputePass() {
+        const state = { pipeline: null, bindGroups: [] };
+        const commands = this.commands;
+        return {
+            setPipeline: pipeline => { state.pipeline = pipeline; },
+            setBindGroup: (index, bindGroup) => { state.bindGroups[index] = bindGroup; },
+            dispatchWorkgroups: (x, y = 1, z = 1) => {
+                commands.push({ type: 'dispatch', pipeline: state.pipeline, bindGroups: state.bindGroups.slice(), workgroups: [x, y, z] });
+            },
+            end: () => {},
+        };
+    }
+
+    beginRenderPass(descriptor) {
+        const state = { pipeline: null, bindGroups: [] };
+        const commands = this.commands;
+        return {
+            setPipeline: pipeline => { state.pipeline = pipeline; },
+            setBindGroup: (index, bindGroup) => { state.bindGroups[index] = bindGroup; },
+            draw: (vertexCount, instanceCount = 1) => {
+                commands.push({ type: 'draw', pipeline: state.pipeline, bindGroups: state.bindGroups.slice(), vertexCount, instanceCount, descriptor });
+            },
+            end: () => {},
+        };
+    }
+
+    copyBufferToBuffer(source, sourceOffset, destination, destinationOffset, size) {
+        this.commands.push({ type: 'copy', run: () => {
+            new Uint8Array(destination.data).set(new Uint8Array(source.data, sourceOffset, size), destinationOffset);
+        } });
+    }
+
+    copyTextureToBuffer({ texture }, { buffer, offset = 0, bytesPerRow }, size) {
+        const [width, height = 1] = Array.isArray(size) ? size : [size.width, size.height];
+        this.commands.push({ type: 'copy', run: () => {
+            const rowSize = width * texture.bytesPerTexel;
+            const target = new Uint8Array(buffer.data);
+            for (let y = 0; y < height; y++) {
+                const start = y * texture.width * texture.bytesPerTexel;
+                target.set(texture.data.subarray(start, start + rowSize), offset + y * bytesPerRow);
+            }
+        } });
+    }
+
+    finish() {
+        return { commands: this.commands };
+    }
+}
+
+/**
+ * A GPUDevice that records everything created and run on it instead of using a GPU.
+ * Buffer contents, writes and copies behave like on a real device; dispatches and draws are recorded
+ * (and handed to `onDispatch` if set) but run no shader, unless `execute` is set: then compute shaders
+ * run on the CPU (see cpu_executor.js) and write their results to the mock buffers and textures.
+ * @class
+ * @example
+ * const device = new MockGPUDevice();
+ * await initDevice({ device, headless: true });
+ * const pass = new ComputePass(code, [particles], 1000);
+ * runPasses([pass]);
+ * device.dispatches[0].workgroups; // [16, 1, 1]
+ * device.dispatches[0].code;       // final WGSL, with bindings and workgroup size
+ */
+export class MockGPUDevice {
+    /**
+     * @param {Object} [options] - Mock options
+     * @param {Object<string, number>} [options.limits] - Limits overriding the spec defaults
+     * @param {function(Object): void} [options.onDispatch] - Called with each dispatch when it is submitted
+     * @param {boolean} [options.execute=false] - Run dispatched compute shaders on the CPU
+     */
+    constructor(options = {}) {
+        installGPUConstants();
+        this.label = 'MockGPUDevice';
+        this.limits = { ...DEFAULT_LIMITS, ...options.limits };
+        this.features = new Set();
+        this.onDispatch = options.onDispatch || null;
+        this.executeShaders = !!options.execute;
+        this.listeners = new Map();
+        this.lost = new Promise(resolve => { this.resolveLost = resolve; });
+        this.destroyed = false;
+        this.reset();
+
+        const device = this;
+        this.queue = {
+            writeBuffer(buffer, bufferOffset, data, dataOffset = 0, size) {
+                const bytes = ArrayBuffer.isView(data)
+                    ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+                    : new Uint8Array(data);
+                const length = size === undefined ? bytes.byteLength - dataOffset : size;
+                new Uint8Array(buffer.data).set(bytes.subarray(dataOffset, dataOffset + length), bufferOffset);
+                device.writes.push({ buffer, offset: bufferOffset, size: length });
+            },
+            writeTexture({ texture }, data, { offset = 0, bytesPerRow }, size) {
+                const [width, height = 1] = Array.isArray(size) ? size : [size.width, size.height];
+                const bytes = ArrayBuffer.isView(data) ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength) : new Uint8Array(data);
+                const rowSize = width * texture.bytesPerTexel;
+                for (let y = 0; y < height; y++) {
+                    texture.data.set(bytes.subarray(offset + y * bytesPerRow, offset + y * bytesPerRow + rowSize), y * texture.width * texture.bytesPerTexel);
+                }
+            },
+            submit(commandBuffers) {
+                device.submits++;
+                commandBuffers.forEach(({ commands }) => commands.forEach(command => device.execute(command)));
+            },
+            async onSubmittedWorkDone() {},
+        };
+    }
+
+    /**
+     * Forget everything recorded so far
+     */
+    reset() {
+        this.buffers = [];
+        this.textures = [];
+        this.shaderModules = [];
+        this.pipelines = [];
+        this.bindGroups = [];
+        this.dispatches = [];
+        this.draws = [];
+        this.writes = [];
+        this.submits = 0;
+    }
+
+    /**
+     * WGSL code of every shader module created, in order
+     * @type {Array<string>}
+     */
+    get shaderCode() {
+        return this.shaderModules.map(module => module.code);
+    }
+
+    /**
+     * Run a submitted command
+     * @param {Object} command - Recorded command
+     */
+    execute(command) {
+        if (command.type === 'copy') command.run();
+        else if (command.type === 'draw') this.draws.push(command);
+        else if (command.type === 'dispatch') {
+            const dispatch = {
+                pipeline: command.pipeline,
+                code: command.pipeline.code,
+                entryPoint: command.pipeline.entryPoint,
+                bindGroups: command.bindGroups,
+                workgroups: command.workgroups,
+            };
+            this.dispatches.push(dispatch);
+            if (this.executeShaders) executeDispatch(dispatch);
+            if (this.onDispatch) this.onDispatch(dispatch);
+        }
+    }
+
+    createBuffer(descriptor) {
+        const buffer = new MockGPUBuffer(descriptor);
+        this.buffers.push(buffer);
+        return buffer;
+    }
+
+    createTexture(descriptor) {
+        const texture = new MockGPUTexture(descriptor);
+        this.textures.push(texture);
+        return texture;
+    }
+
+    createSampler(descriptor = {}) {
+        return { ...descriptor };
+    }
+
+    createShaderModule({ code, label = '' }) {
+        const module = { code, label, getCompilationInfo: async () => ({ messages: [] }) };
+        this.shaderModules.push(module);
+        return module;
+    }
+
+    createBindGroupLayout({ entries, label = '' }) {
+        return { entries, label };
+    }
+
+    createPipelineLayout({ bindGroupLayouts, label = '' }) {
+        return { bindGroupLayouts, label };
+    }
+
+    createBindGroup({ layout, entries, label = '' }) {
+        const bindGroup = { layout, entries, label };
+        this.bindGroups.push(bindGroup);
+        return bindGroup;
+    }
+
+    createComputePipeline({ layout, compute, label = '' }) {
+        const pipeline = { type: 'compute', layout, label, module: compute.module, code: compute.module.code, entryPoint: compute.entryPoint };
+        this.pipelines.push(pipeline);
+        return pipeline;
+    }
+
+    async createComputePipelineAsync(descriptor) {
+        return this.createComputePipeline(descriptor);
+    }
+
+    createRenderPipeline({ layout, vertex, fragment, label = '' }) {
+        const pipeline = { type: 'render', layout, label, module: vertex.module, code: vertex.module.code, vertex, fragment };
+        this.pipelines.push(pipeline);
+        return pipeline;
+    }
+
+    async createRenderPipelineAsync(descriptor) {
+        return this.createRenderPipeline(descriptor);
+    }
+
+    createCommandEncoder() {
+        return new MockCommandEncoder();
+    }
+
+    addEventListener(type, listener) {
+        if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+        this.listeners.get(type).add(listener);
+    }
+
+    removeEventListener(type, listener) {
+        if (this.listeners.has(type)) this.listeners.get(type).delete(listener);
+    }
+
+    pushErrorScope() {}
+
+    async popErrorScope() {
+        return null;
+    }
+
+    /**
+     * Simulate losing the device, e.g. to test recovery
+     * @param {string} [message='Mock device lost'] - Message of the lost info
+     */
+    loseDevice(message = 'Mock device lost') {
+        this.resolveLost({ reason: 'unknown', message });
+    }
+
+    destroy() {
+        this.destroyed = true;
+        this.resolveLost({ reason: 'destroyed', message: 'Device was destroyed' });
+    }
+}
+
+/**
+ * A navigator.gpu compatible object handing out MockGPUDevices, for initDevice({ gpu }) and device-loss tests
+ * @param {Object} [options] - MockGPUDevice options
+ * @returns {{requestAdapter: function(): Promise<Object>, getPreferredCanvasFormat: function(): string, devices: Array<MockGPUDevice>}}
+ */
+export function createMockGPU(options = {}) {
+    installGPUConstants();
+    const gpu = {
+        devices: [],
+        async requestAdapter() {
+            return {
+                limits: { ...DEFAULT_LIMITS, ...options.limits },
+                features: new Set(),
+                async requestDevice() {
+                    const device = new MockGPUDevice(options);
+                    gpu.devices.push(device);
+                    return device;
+                },
+            };
+        },
+        getPreferredCanvasFormat: () => 'rgba8unorm',
+    };
+    return gpu;
+}
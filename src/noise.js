@@ -4,6 +4,8 @@
  */
 
 import { Buffer } from './core.js';
+import { registerAutoBinding } from './auto_bindings.js';
+import { trackSingleton } from './recovery.js';
 
 export let noiseBuffer;
 
@@ -15,6 +17,8 @@ export function getNoiseCode() {
   // Create a noise offset buffer if it doesn't exist
   if (!noiseBuffer) {
     noiseBuffer = new Buffer('noiseOffset', [Math.random() * 1000, Math.random() * 1000, Math.random() * 1000], 'noiseOffset');
+    registerAutoBinding('noiseOffset', noiseBuffer, { regex: /\bnoise[123]?\s*\(|\bnoiseOffset\b/, global: true });
+    trackSingleton('noiseOffset', noiseBuffer);
   }
 
   // Combine noise function implementations
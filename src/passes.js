@@ -1,15 +1,88 @@
 // RenderPass and ComputePass classes extracted from render.js
 
-import { device, ctx, canvasPresentationFormat, width, height } from './canvas.js';
-import { noiseBuffer } from './noise.js';
-import { renderTxtr, feedbackTxtr } from './render_passes.js';
-import { mouseBuffer, timeBuffer } from './utilities.js';
+import { device, ctx, canvasPresentationFormat, width, height, onCanvasResize } from './canvas.js';
+import { Buffer, Texture, flushBufferWrites } from './core.js';
+import { wgsl, writesToVariable, getSizedTemplate } from './wgsl.js';
+import { planCompute, planDispatch } from './dispatch.js';
+import { PingPong } from './pingpong.js';
+import { resolveAutoBindings, resolveGlobalBindings, getGlobalGroup, GLOBAL_GROUP } from './auto_bindings.js';
+import { getBindGroupLayout, getPipelineLayout, getLayoutKey, getBindGroup } from './layouts.js';
+import { getShaderModule, getComputePipeline, getComputePipelineAsync, getRenderPipeline, getRenderPipelineAsync } from './pipelines.js';
+import { checkShaderModule } from './diagnostics.js';
+import { advanceClock } from './loop.js';
+import { trackResource, untrackResource, RECOVERY_STAGE } from './recovery.js';
+
+/**
+ * Bind group index of a pass's own bindings
+ * @type {number}
+ */
+export const PASS_GROUP = 1;
+
+/**
+ * Option set by the async factories so the constructor leaves pipeline creation to them
+ * @type {symbol}
+ */
+const DEFER_PIPELINE = Symbol('deferPipeline');
+
+/**
+ * Compute passes to rebuild when the canvas is resized
+ * @type {Set<ComputePass>}
+ */
+const canvasPasses = new Set();
+let resizeSubscribed = false;
+
+/**
+ * Rebuild a compute pass whenever the canvas is resized
+ * @param {ComputePass} pass - Pass sized from the canvas
+ */
+function rebuildOnResize(pass) {
+    // subscribed on first use, canvas.js may not be initialized yet when this module loads
+    if (!resizeSubscribed) onCanvasResize(() => canvasPasses.forEach(p => p.rebuild()), 1);
+    resizeSubscribed = true;
+    canvasPasses.add(pass);
+}
+
+/**
+ * Keep track of a pass's shader compilation, so running the pass can throw the error once it is known
+ * @param {Promise<Array<Object>>} compiled - Promise from checkShaderModule
+ * @returns {{error: ShaderCompilationError|null}} Compilation state, shared with passes rebuilt from this one
+ */
+function watchCompilation(compiled) {
+    const compilation = { error: null };
+    compiled.catch(error => { compilation.error = error; });
+    return compilation;
+}
+
+/**
+ * Shared layout of a render pass's own group: a sampler and the texture it draws
+ * @returns {GPUBindGroupLayout}
+ */
+function renderPassLayout() {
+    return getBindGroupLayout([
+        { binding: 0, visibility: GPUShaderStage.FRAGMENT, sampler: { type: 'filtering' } },
+        { binding: 1, visibility: GPUShaderStage.FRAGMENT, texture: { sampleType: 'float' } },
+    ]);
+}
 
 export class RenderPass {
-    constructor(texture, code) {
+    /**
+     * Create a render pass drawing a texture to the canvas
+     * @param {Texture} texture - Texture to draw
+     * @param {string} code - WGSL code with `vs` and `fs` entry points. The sampler and texture are bound to
+     * @group(1) @binding(0) and @binding(1); global auto-bindings the code uses are declared in @group(0)
+     * @param {Object} [options] - Render pass options
+     * @param {'linear'|'nearest'} [options.filter='linear'] - How the texture is scaled to the canvas when their sizes
+     * differ, e.g. with initCanvas's renderScale. 'nearest' keeps pixels sharp
+     * Compilation errors are reported as for ComputePass: `pass.compiled` rejects with a ShaderCompilationError,
+     * which running the pass throws once compilation has failed.
+     */
+    constructor(texture, code, options = {}) {
         if (!device) {
             throw new Error('RenderPass: WebGPU device not initialized. Call initCanvas() first.');
         }
+        if (!ctx) {
+            throw new Error('RenderPass: No canvas to draw to. Headless, read the texture back with readTexture() instead.');
+        }
         if (!texture || typeof texture !== 'object') {
             throw new Error('RenderPass: Invalid texture');
         }
@@ -17,33 +90,79 @@ export class RenderPass {
             throw new Error('RenderPass: Shader code must be a non-empty string');
         }
         try {
-            this.module = device.createShaderModule({ code });
-            this.pipeline = device.createRenderPipeline({
-                layout: 'auto',
-                vertex: { module: this.module, entryPoint: 'vs' },
-                fragment: { module: this.module, entryPoint: 'fs', targets: [{ format: canvasPresentationFormat }] },
-            });
-            this.sampler = device.createSampler({ magFilter: 'linear', minFilter: 'linear' });
-            this.bindGroup = device.createBindGroup({
-                layout: this.pipeline.getBindGroupLayout(0),
-                entries: [
-                    { binding: 0, resource: this.sampler },
-                    { binding: 1, resource: texture.resource },
-                ],
-            });
+            this.texture = texture;
+            this.globalGroup = getGlobalGroup(code);
+            const input = code;
+            this.source = { code, options };
+            const globals = resolveGlobalBindings(code, [], this.globalGroup).code;
+            code = globals + code;
+            this.code = code;
+            this.layout = renderPassLayout();
+            const layouts = [this.globalGroup.layout, this.layout];
+            this.pipelineLayout = getPipelineLayout(layouts);
+            this.layoutKey = getLayoutKey(layouts);
+            this.module = getShaderModule(code);
+            this.compiled = checkShaderModule(this.module, 'RenderPass', { code, input, prefixLines: globals.split('\n').length - 1 });
+            this.compilation = watchCompilation(this.compiled);
+            if (!options[DEFER_PIPELINE]) {
+                this.pipeline = getRenderPipeline(code, canvasPresentationFormat, this.pipelineLayout, this.layoutKey);
+            }
+            const { filter = 'linear' } = options;
+            if (filter !== 'linear' && filter !== 'nearest') {
+                throw new Error(`filter must be 'linear' or 'nearest', got ${filter}`);
+            }
+            this.sampler = device.createSampler({ magFilter: filter, minFilter: filter });
+            this.bindGroup = this.getBindGroup();
             this.renderPassDescriptor = {
                 colorAttachments: [{ clearValue: [0, 0, 0, 1], loadOp: 'clear', storeOp: 'store' }],
             };
+            trackResource(this, RECOVERY_STAGE.pass);
         } catch (error) {
             throw new Error(`Failed to create RenderPass: ${error.message}`);
         }
     }
+
+    /**
+     * Create the pass's shader module, pipeline and sampler again on a new device after a device loss
+     */
+    recreate() {
+        const { code, options } = this.source;
+        const fresh = new RenderPass(this.texture, code, { ...options, [DEFER_PIPELINE]: false });
+        untrackResource(fresh);
+        Object.assign(this, fresh);
+    }
+
+    /**
+     * Create a render pass without blocking on shader compilation and pipeline creation
+     * @async
+     * @param {Texture} texture - Texture to draw
+     * @param {string} code - WGSL code with `vs` and `fs` entry points (see constructor)
+     * @param {Object} [options] - Render pass options (see constructor)
+     * @returns {Promise<RenderPass>}
+     * @throws {ShaderCompilationError} If the shader doesn't compile
+     */
+    static async create(texture, code, options = {}) {
+        const pass = new RenderPass(texture, code, { ...options, [DEFER_PIPELINE]: true });
+        await pass.compiled;
+        pass.pipeline = await getRenderPipelineAsync(pass.code, canvasPresentationFormat, pass.pipelineLayout, pass.layoutKey);
+        return pass;
+    }
+    /**
+     * Get the bind group for the texture's current GPU texture, which changes when it is resized
+     * @returns {GPUBindGroup}
+     */
+    getBindGroup() {
+        return getBindGroup(this.layout, [this.sampler, this.texture.resource]);
+    }
+
     run(encoder) {
+        if (this.compilation.error) throw this.compilation.error;
         try {
             this.renderPassDescriptor.colorAttachments[0].view = ctx.getCurrentTexture().createView();
             const pass = encoder.beginRenderPass(this.renderPassDescriptor);
             pass.setPipeline(this.pipeline);
-            pass.setBindGroup(0, this.bindGroup);
+            pass.setBindGroup(GLOBAL_GROUP, this.globalGroup.bindGroup);
+            pass.setBindGroup(PASS_GROUP, this.getBindGroup());
             pass.draw(6);
             pass.end();
         } catch (error) {
@@ -54,28 +173,31 @@ export class RenderPass {
 
 
 export class ComputePass {
-    constructor(code, bindings, dispatchSize, entryPoint = 'main') {
-
-        // inject auto-bindings
-        const Auto_Bindings = [
-            { binding: mouseBuffer, regex: /\bmouse(\.(pos|button))?\b/ },
-            { binding: timeBuffer, regex: /\btime\b/ },
-            { binding: renderTxtr, regex: /\brenderTxtr\b/, function: 'write' },
-            { binding: feedbackTxtr, regex: /\bfeedbackTxtr\b/, function: 'read' },
-        ];
-        Auto_Bindings.forEach(auto => {
-            if (code.match(auto.regex)) {
-                if (!bindings.some(b => b.name === auto.binding.name)) {
-                    const newBinding = auto.function ? auto.binding[auto.function]() : auto.binding;
-                    bindings.push(newBinding);
-                }
-            }
-        });
-
-        if (/\bnoise\s*\(|\bnoise2\s*\(|\bnoise3\s*\(/.test(code)) {
-            if (noiseBuffer) bindings.push(noiseBuffer)
-        }
-
+    /**
+     * Create a compute pass
+     * @param {string} code - WGSL code
+     * @param {Array} bindings - Buffers, textures and binding helpers used by the shader
+     * @param {number|Array<number>} dispatchSize - Number of invocations per dimension, e.g. a particle count or [width, height]
+     * @param {string|Object} [options] - Entry point name, or pass options
+     * @param {string} [options.entryPoint='main'] - Entry point function name
+     * @param {'auto'|number|Array<number>} [options.workgroupSize='auto'] - Workgroup size. With 'auto', @workgroup_size(1)
+     * becomes 64, 8x8 or 4x4x4 unless the shader relies on its workgroup size; shaders declaring another size keep it and
+     * dispatchSize counts their workgroups. A number or array replaces the declared size
+     * @param {boolean} [options.rawDispatch=false] - Treat dispatchSize as workgroup counts and leave the shader's workgroup size alone
+     * @param {boolean} [options.fitCanvas=false] - Dispatch one invocation per canvas pixel, ignoring dispatchSize, and rebuild
+     * the pass when the canvas is resized. Passes whose wgsl code used width or height are rebuilt as well
+     * The registered auto-bindings (see registerAutoBinding) the code uses are appended to the bindings;
+     * their names are listed in `pass.autoBindings`. The global auto-bindings the code uses are declared in
+     * @group(0), from a bind group shared by the passes using the same globals (listed in `pass.globalBindings`),
+     * everything else in @group(1).
+     * Compilation errors are reported with their location in the user's source: `pass.compiled` is a promise
+     * that rejects with a ShaderCompilationError, and running the pass throws it once compilation has failed.
+     * ComputePass.create() rejects with the same error.
+     */
+    constructor(code, bindings, dispatchSize, options = {}) {
+        if (typeof options === 'string') options = { entryPoint: options };
+        const { entryPoint = 'main', workgroupSize = 'auto', rawDispatch = false, fitCanvas = false } = options;
+        if (fitCanvas) dispatchSize = [width, height];
 
         if (bindings.some(b => Array.isArray(b))) {
             const multipleBuffer = bindings.find(b => Array.isArray(b))
@@ -83,54 +205,218 @@ export class ComputePass {
             return multipleBuffer.map((buffer, i) => {
                 const newBindings = bindings.slice()
                 newBindings[multipleBufferIndex] = buffer
-                return new ComputePass(code, newBindings, buffer.count, entryPoint)
+                return new ComputePass(code, newBindings, buffer.count, options)
             })
         }
 
-        let bindingsCode = ''
+        // kept to map compilation messages back to the user's lines, and to rebuild the pass after a resize
+        const input = code;
+        this.source = { code, bindings, dispatchSize, options };
+        this.sizedTemplate = getSizedTemplate(code);
+
+        // inject the registered auto-bindings the shader uses
+        const autoBindings = resolveAutoBindings(code, bindings);
+        this.autoBindings = autoBindings.map(b => b.name);
+        bindings = [...bindings, ...autoBindings];
+
+        // size workgroups, turn invocation counts into workgroup counts and fold dispatches over the limit
+        if (!Array.isArray(dispatchSize)) dispatchSize = [dispatchSize];
+        if (rawDispatch) {
+            ({ code, dispatch: this.dispatchSize } = planDispatch(code, dispatchSize, { entryPoint }));
+        } else {
+            ({ code, dispatch: this.dispatchSize, workgroupSize: this.workgroupSize } = planCompute(code, dispatchSize, { entryPoint, workgroupSize }));
+        }
+
+        // expand ping-pong pairs into the current/previous bindings the shader uses
+        this.pingPongs = bindings.filter(b => b instanceof PingPong);
+        bindings = bindings.flatMap(binding => {
+            if (!(binding instanceof PingPong)) return [binding];
+            return binding.bindings().filter(b => new RegExp(`\\b${b.name}\\b`).test(code));
+        })
+
+        // bind storage buffers the shader never writes to as read-only
+        bindings = bindings.map(binding => {
+            if (!(binding instanceof Buffer) || binding.uniform) return binding;
+            return writesToVariable(code, binding.name) ? binding : binding.read();
+        })
+
+        const planned = code;
+
+        // globals the code uses come from a shared group, the pass's own bindings go in PASS_GROUP
+        this.globalGroup = getGlobalGroup(code, bindings);
+        const globals = resolveGlobalBindings(code, bindings, this.globalGroup);
+        this.globalBindings = globals.names;
+
+        let bindingsCode = globals.code
         bindings.forEach((binding, i) => {
-            bindingsCode += binding.getBindingCode(i) + '\n';
+            bindingsCode += binding.getBindingCode(i, PASS_GROUP) + '\n';
         })
         code = bindingsCode + code;
 
+        // declare every struct used by the bindings once, dependencies first
+        const structs = [];
         bindings.forEach(binding => {
-            if (binding.struct) code = binding.struct.code + '\n' + code;
+            if (!binding.struct) return;
+            binding.struct.structs.forEach(struct => {
+                if (!structs.some(s => s.name === struct.name)) structs.push(struct);
+            });
         })
+        if (structs.length > 0) code = structs.map(struct => struct.declaration).join('\n') + '\n' + code;
+        const prefixLines = code.split('\n').length - planned.split('\n').length;
 
         this.code = code
 
-        this.module = device.createShaderModule({ code });
-        this.pipeline = device.createComputePipeline({
-            layout: 'auto',
-            compute: { module: this.module, entryPoint },
-        });
-        this.bindGroup = device.createBindGroup({
-            layout: this.pipeline.getBindGroupLayout(0),
-            entries: bindings.map((bind, i) => ({ binding: i, resource: bind.resource })),
-        });
+        this.entryPoint = entryPoint;
+        this.layout = getBindGroupLayout(bindings.map((binding, i) => binding.getLayoutEntry(i, GPUShaderStage.COMPUTE)));
+        const layouts = [this.globalGroup.layout, this.layout];
+        this.pipelineLayout = getPipelineLayout(layouts);
+        this.layoutKey = getLayoutKey(layouts);
+        this.module = getShaderModule(code);
+        this.compiled = checkShaderModule(this.module, 'ComputePass', { code, input, prefixLines });
+        this.compilation = watchCompilation(this.compiled);
+        if (!options[DEFER_PIPELINE]) {
+            this.pipeline = getComputePipeline(code, entryPoint, this.pipelineLayout, this.layoutKey);
+        }
+        this.bindings = bindings;
+        this.bindGroup = this.getBindGroup();
+
+        if (fitCanvas || this.sizedTemplate) rebuildOnResize(this);
+        trackResource(this, RECOVERY_STAGE.pass);
+    }
+
+    /**
+     * Build the pass again from its original arguments: wgsl code that used width or height is regenerated,
+     * and passes created with fitCanvas are dispatched over the new canvas size.
+     * Called for the affected passes when the canvas is resized.
+     */
+    rebuild() {
+        const { code, bindings, dispatchSize, options } = this.source;
+        const fresh = new ComputePass(this.sizedTemplate ? wgsl([this.sizedTemplate]) : code, bindings, dispatchSize, { ...options, [DEFER_PIPELINE]: false });
+        canvasPasses.delete(fresh);
+        untrackResource(fresh);
+        // keep resources swapped in with setBinding
+        const current = new Map(this.bindings.filter(binding => !binding.pingPong).map(binding => [binding.name, binding]));
+        fresh.bindings = fresh.bindings.map(binding => (!binding.pingPong && current.get(binding.name)) || binding);
+        fresh.bindGroup = fresh.getBindGroup();
+        Object.assign(this, fresh, { source: this.source, sizedTemplate: this.sizedTemplate });
+    }
+
+    /**
+     * Create the pass's shader module, pipeline and bind groups again on a new device after a device loss
+     */
+    recreate() {
+        this.rebuild();
+    }
 
-        this.dispatchSize = dispatchSize;
-        if (!Array.isArray(dispatchSize)) this.dispatchSize = [dispatchSize];
+    /**
+     * Stop rebuilding the pass on canvas resizes and device losses, e.g. when a sketch replaces it.
+     * Its bound buffers and textures are left alone.
+     */
+    destroy() {
+        canvasPasses.delete(this);
+        untrackResource(this);
+    }
+
+    /**
+     * Get the bind group for the pass's current resources, including the current state of its ping-pong pairs.
+     * Bind groups are cached per set of resources, so swapping or switching datasets costs no copies.
+     * @returns {GPUBindGroup}
+     */
+    getBindGroup() {
+        return getBindGroup(this.layout, this.bindings.map(binding => binding.resource));
+    }
+
+    /**
+     * Bind a different buffer or texture under one of the pass's binding names without recompiling.
+     * The new resource keeps the binding's access mode and must produce the same WGSL declaration
+     * (same struct or element type, uniform or storage, texture format).
+     * @param {string} name - WGSL name of the binding
+     * @param {Buffer|Texture|Object} resource - Buffer, Texture or binding helper to bind instead
+     * @returns {ComputePass} This pass
+     * @throws {Error} If the pass has no such binding or the resource doesn't match it
+     * @example
+     * const step = new ComputePass(code, [particlesA], count);
+     * step.setBinding(particlesA.name, particlesB);
+     */
+    setBinding(name, resource) {
+        const index = this.bindings.findIndex(binding => binding.name === name);
+        if (index === -1) {
+            throw new Error(`ComputePass.setBinding: No binding named ${name}`);
+        }
+        const current = this.bindings[index];
+        if (current.pingPong) {
+            throw new Error(`ComputePass.setBinding: ${name} belongs to PingPong ${current.pingPong.name}, call swap() instead`);
+        }
+
+        // unwrap binding helpers and rewrap with the original access mode and name
+        const target = resource && (resource.buffer instanceof Buffer ? resource.buffer : resource.texture instanceof Texture ? resource.texture : resource);
+        let binding;
+        if (target instanceof Buffer) binding = current.access === 'read' ? target.read(name) : target.readWrite(name);
+        else if (target instanceof Texture) binding = current.readOrWrite === 'write' ? target.write(name) : target.read(name);
+        else throw new Error(`ComputePass.setBinding: Expected a Buffer or Texture for ${name}`);
+
+        if (binding.getBindingCode(index, PASS_GROUP) !== current.getBindingCode(index, PASS_GROUP)) {
+            throw new Error(`ComputePass.setBinding: ${target.name} doesn't match the declaration of ${name}`);
+        }
+        this.bindings[index] = binding;
+        this.bindGroup = this.getBindGroup();
+        return this;
     }
 
     run(encoder) {
         const pass = encoder.beginComputePass();
-        pass.setPipeline(this.pipeline);
-        pass.setBindGroup(0, this.bindGroup);
-        pass.dispatchWorkgroups(...this.dispatchSize);
+        this.encode(pass);
         pass.end();
     }
 
+    /**
+     * Record this pass's dispatch into an open compute pass encoder, so several passes can share one
+     * @param {GPUComputePassEncoder} pass - Compute pass encoder
+     */
+    encode(pass) {
+        if (this.compilation.error) throw this.compilation.error;
+        pass.setPipeline(this.pipeline);
+        pass.setBindGroup(GLOBAL_GROUP, this.globalGroup.bindGroup);
+        pass.setBindGroup(PASS_GROUP, this.getBindGroup());
+        pass.dispatchWorkgroups(...this.dispatchSize);
+    }
 
+    /**
+     * Create a compute pass without blocking on shader compilation and pipeline creation.
+     * Takes the same arguments as the constructor.
+     * @async
+     * @param {string} code - WGSL code
+     * @param {Array} bindings - Buffers, textures and binding helpers used by the shader
+     * @param {number|Array<number>} dispatchSize - Number of invocations per dimension
+     * @param {string|Object} [options] - Entry point name, or pass options
+     * @returns {Promise<ComputePass|Array<ComputePass>>} The pass, or one pass per chunk for chunked buffers
+     * @throws {ShaderCompilationError} If the shader doesn't compile
+     * @example
+     * const [advect, project] = await Promise.all([
+     *     ComputePass.create(advectCode, [velocity], [width, height]),
+     *     ComputePass.create(projectCode, [velocity, pressure], [width, height]),
+     * ]);
+     */
+    static async create(code, bindings, dispatchSize, options = {}) {
+        if (typeof options === 'string') options = { entryPoint: options };
+        const created = new ComputePass(code, bindings, dispatchSize, { ...options, [DEFER_PIPELINE]: true });
+        const passes = Array.isArray(created) ? created : [created];
+        await Promise.all(passes.map(async pass => {
+            await pass.compiled;
+            pass.pipeline = await getComputePipelineAsync(pass.code, pass.entryPoint, pass.pipelineLayout, pass.layoutKey);
+        }));
+        return created;
+    }
 
     /**
      * Static methods
      */
-    static texture(code, bindings){
-        return new ComputePass(code, bindings, [width, height]);
+    static texture(code, bindings, options){
+        if (typeof options === 'string') options = { entryPoint: options };
+        return new ComputePass(code, bindings, [width, height], { ...options, fitCanvas: true });
     }
-    static compute(code, bindings, arr){
-        return new ComputePass(code, bindings, [arr.length]);
+    static compute(code, bindings, arr, options){
+        return new ComputePass(code, bindings, [arr.length], options);
     }
 }
 
@@ -149,6 +435,9 @@ export function runPasses(passes, repeats = 1) {
         passes = [passes];
 
     try {
+        advanceClock();
+        flushBufferWrites();
+
         const commandEncoder = device.createCommandEncoder();
         for (let i = 0; i < repeats; i++) {
             for (const pass of passes) {
@@ -0,0 +1,145 @@
+/**
+ * @file Double-buffered resources
+ * Pairs of buffers or textures where one holds last frame's state and the other receives
+ * this frame's, swapped by changing bind groups instead of copying.
+ */
+
+import { Buffer, Texture } from './core.js';
+
+/**
+ * A pair of buffers or textures used alternately as the previous and current state.
+ * Pass it to a ComputePass like any other binding: the shader sees the current resource
+ * under `current` (written) and the previous one under `previous` (read). Call swap()
+ * once per frame to exchange them.
+ * @class
+ * @example
+ * const state = PingPong.texture('state', width, height, 'rgba32float');
+ * const step = ComputePass.texture(wgsl`
+ *     let prev = textureLoad(statePrev, id.xy);
+ *     textureStore(state, id.xy, prev * 0.99);
+ * `, [state]);
+ * function animate() {
+ *     runPasses([step]);
+ *     state.swap();
+ *     requestAnimationFrame(animate);
+ * }
+ */
+export class PingPong {
+    /**
+     * Create a ping-pong pair from two matching resources
+     * @param {string} name - Name of the pair
+     * @param {Buffer|Texture} a - First resource, current after creation
+     * @param {Buffer|Texture} b - Second resource, previous after creation
+     * @param {Object} [options] - Ping-pong options
+     * @param {string} [options.current] - WGSL name of the current resource, defaults to the pair name
+     * @param {string} [options.previous] - WGSL name of the previous resource, defaults to the pair name + 'Prev'
+     * @throws {Error} If the resources don't match
+     */
+    constructor(name, a, b, options = {}) {
+        if (typeof name !== 'string' || name.trim() === '') {
+            throw new Error('PingPong: Name must be a non-empty string');
+        }
+        const bothBuffers = a instanceof Buffer && b instanceof Buffer;
+        const bothTextures = a instanceof Texture && b instanceof Texture;
+        if (!bothBuffers && !bothTextures) {
+            throw new Error('PingPong: Expected two Buffers or two Textures');
+        }
+        if (bothBuffers && (a.size !== b.size || a.struct !== b.struct)) {
+            throw new Error('PingPong: Buffers must have the same size and struct');
+        }
+        if (bothTextures && (a.width !== b.width || a.height !== b.height || a.format !== b.format)) {
+            throw new Error('PingPong: Textures must have the same size and format');
+        }
+
+        this.name = name;
+        this.resources = [a, b];
+        this.index = 0;
+        this.currentName = options.current || name;
+        this.previousName = options.previous || name + 'Prev';
+    }
+
+    /**
+     * Create a ping-pong pair of buffers holding the same initial data
+     * @param {string} name - Name of the pair
+     * @param {Float32Array|Int32Array|Uint32Array|ArrayBuffer|Array} data - Initial data of both buffers
+     * @param {Object} [options] - Buffer options (see {@link Buffer}) and ping-pong names (see constructor)
+     * @returns {PingPong}
+     */
+    static buffer(name, data, options = {}) {
+        return new PingPong(name, new Buffer(name + 'A', data, options), new Buffer(name + 'B', data, options), options);
+    }
+
+    /**
+     * Create a ping-pong pair of textures
+     * @param {string} name - Name of the pair
+     * @param {number} [width=512] - Texture width
+     * @param {number} [height=512] - Texture height
+     * @param {GPUTextureFormat} [format='rgba8unorm'] - Texture format
+     * @param {Object} [options] - Ping-pong names (see constructor)
+     * @param {boolean} [options.fitCanvas=false] - Size both textures to the canvas and resize them with it
+     * @returns {PingPong}
+     */
+    static texture(name, width, height, format, options = {}) {
+        const textureOptions = { fitCanvas: options.fitCanvas };
+        return new PingPong(name, new Texture(name + 'A', width, height, format, textureOptions), new Texture(name + 'B', width, height, format, textureOptions), options);
+    }
+
+    /**
+     * Create a ping-pong pair of struct buffers
+     * @param {string} name - Name of the pair
+     * @param {Struct} struct - Struct of each element
+     * @param {Array|Object} vals - Initial values of both buffers
+     * @param {Object} [options] - Buffer options (see {@link Buffer}) and ping-pong names (see constructor)
+     * @returns {PingPong}
+     */
+    static struct(name, struct, vals, options = {}) {
+        return new PingPong(name, struct.createBuffer(name + 'A', vals, options), struct.createBuffer(name + 'B', vals, options), options);
+    }
+
+    /**
+     * Resource receiving this frame's state
+     * @type {Buffer|Texture}
+     */
+    get current() {
+        return this.resources[this.index];
+    }
+
+    /**
+     * Resource holding last frame's state
+     * @type {Buffer|Texture}
+     */
+    get previous() {
+        return this.resources[1 - this.index];
+    }
+
+    /**
+     * Exchange the current and previous resources
+     */
+    swap() {
+        this.index = 1 - this.index;
+    }
+
+    /**
+     * Get the bindings of this pair: the current resource in write mode and the previous one in read mode.
+     * Their resource follows swap(), so a pass can rebuild its bind group without recompiling.
+     * @returns {Array<PingPongBinding>} Current and previous bindings
+     */
+    bindings() {
+        return [new PingPongBinding(this, 'current'), new PingPongBinding(this, 'previous')];
+    }
+}
+
+function PingPongBinding(pingPong, role) {
+    const first = pingPong.resources[0];
+    const name = role === 'current' ? pingPong.currentName : pingPong.previousName;
+    const helper = role === 'current' ? first.write(name) : first.read(name);
+
+    this.pingPong = pingPong;
+    this.role = role;
+    this.name = name;
+    this.struct = first.struct;
+    Object.defineProperty(this, 'resource', { get: () => pingPong[role].resource });
+
+    this.getBindingCode = (bindingIndex, group) => helper.getBindingCode(bindingIndex, group);
+    this.getLayoutEntry = (bindingIndex, visibility) => helper.getLayoutEntry(bindingIndex, visibility);
+}
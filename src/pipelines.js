@@ -0,0 +1,198 @@
+/**
+ * @file Shader module and pipeline cache
+ * Passes with the same final shader code, entry point and layout share one shader module and
+ * one pipeline, whether they were created synchronously or with the async factories.
+ */
+
+import { device } from './canvas.js';
+
+/**
+ * Maximum number of cached shader modules and of cached pipelines, the oldest are dropped first.
+ * Code baking in the canvas size gets new keys on every resize.
+ * @type {number}
+ */
+const MAX_CACHED = 128;
+
+/**
+ * Shader modules by code
+ * @type {Map<string, GPUShaderModule>}
+ */
+const shaderModules = new Map();
+
+/**
+ * Pipelines (or pipelines being created) by code, entry point and layout
+ * @type {Map<string, GPURenderPipeline|GPUComputePipeline|Promise<GPURenderPipeline|GPUComputePipeline>>}
+ */
+const pipelines = new Map();
+
+/**
+ * Look up a cache entry, moving it to the back so the entries in use are dropped last
+ * @param {Map<string, *>} cache - Cache to look in
+ * @param {string} key - Cache key
+ * @returns {*} The entry, or undefined
+ */
+function recall(cache, key) {
+    if (!cache.has(key)) return undefined;
+    const value = cache.get(key);
+    cache.delete(key);
+    cache.set(key, value);
+    return value;
+}
+
+/**
+ * Add a cache entry, dropping the oldest one when the cache is full
+ * @param {Map<string, *>} cache - Cache to add to
+ * @param {string} key - Cache key
+ * @param {*} value - Entry
+ */
+function remember(cache, key, value) {
+    cache.delete(key);
+    cache.set(key, value);
+    if (cache.size > MAX_CACHED) cache.delete(cache.keys().next().value);
+}
+
+/**
+ * Get the shader module for a piece of code, compiling it on first use
+ * @param {string} code - WGSL code
+ * @returns {GPUShaderModule}
+ */
+export function getShaderModule(code) {
+    let module = recall(shaderModules, code);
+    if (!module) {
+        module = device.createShaderModule({ code });
+        remember(shaderModules, code, module);
+    }
+    return module;
+}
+
+/**
+ * Get a cached pipeline, creating it synchronously if needed
+ * @param {string} key - Cache key
+ * @param {function(): GPUComputePipeline|GPURenderPipeline} create - Creates the pipeline
+ * @returns {GPUComputePipeline|GPURenderPipeline}
+ */
+function cachedPipeline(key, create) {
+    const cached = recall(pipelines, key);
+    // a pipeline still being created asynchronously can't be waited for here, so make our own
+    if (cached && !(cached instanceof Promise)) return cached;
+    const pipeline = create();
+    remember(pipelines, key, pipeline);
+    return pipeline;
+}
+
+/**
+ * Get a cached pipeline, creating it asynchronously if needed
+ * @async
+ * @param {string} key - Cache key
+ * @param {function(): Promise<GPUComputePipeline|GPURenderPipeline>} create - Creates the pipeline
+ * @returns {Promise<GPUComputePipeline|GPURenderPipeline>}
+ */
+async function cachedPipelineAsync(key, create) {
+    const cached = recall(pipelines, key);
+    if (cached) return cached;
+    const pending = create();
+    remember(pipelines, key, pending);
+    pending.then(
+        // replaced in place, unless it was dropped from the cache meanwhile
+        pipeline => { if (pipelines.get(key) === pending) pipelines.set(key, pipeline); },
+        () => { if (pipelines.get(key) === pending) pipelines.delete(key); },
+    );
+    return pending;
+}
+
+/**
+ * Describe a compute pipeline
+ * @param {string} code - WGSL code
+ * @param {string} entryPoint - Entry point function name
+ * @param {GPUPipelineLayout} layout - Pipeline layout
+ * @param {string} layoutKey - Key of the layout (see getLayoutKey)
+ * @returns {{key: string, descriptor: GPUComputePipelineDescriptor}}
+ */
+function computePipeline(code, entryPoint, layout, layoutKey) {
+    return {
+        key: `compute|${entryPoint}|${layoutKey}|${code}`,
+        descriptor: { layout, compute: { module: getShaderModule(code), entryPoint } },
+    };
+}
+
+/**
+ * Describe a render pipeline drawing with the `vs` and `fs` entry points
+ * @param {string} code - WGSL code
+ * @param {GPUTextureFormat} format - Format of the render target
+ * @param {GPUPipelineLayout} layout - Pipeline layout
+ * @param {string} layoutKey - Key of the layout (see getLayoutKey)
+ * @returns {{key: string, descriptor: GPURenderPipelineDescriptor}}
+ */
+function renderPipeline(code, format, layout, layoutKey) {
+    const module = getShaderModule(code);
+    return {
+        key: `render|${format}|${layoutKey}|${code}`,
+        descriptor: {
+            layout,
+            vertex: { module, entryPoint: 'vs' },
+            fragment: { module, entryPoint: 'fs', targets: [{ format }] },
+        },
+    };
+}
+
+/**
+ * Get a compute pipeline, shared by every pass with the same code, entry point and layout
+ * @param {string} code - WGSL code
+ * @param {string} entryPoint - Entry point function name
+ * @param {GPUPipelineLayout} layout - Pipeline layout
+ * @param {string} layoutKey - Key of the layout (see getLayoutKey)
+ * @returns {GPUComputePipeline}
+ */
+export function getComputePipeline(code, entryPoint, layout, layoutKey) {
+    const { key, descriptor } = computePipeline(code, entryPoint, layout, layoutKey);
+    return cachedPipeline(key, () => device.createComputePipeline(descriptor));
+}
+
+/**
+ * Get a compute pipeline without blocking, shared by every pass with the same code, entry point and layout
+ * @async
+ * @param {string} code - WGSL code
+ * @param {string} entryPoint - Entry point function name
+ * @param {GPUPipelineLayout} layout - Pipeline layout
+ * @param {string} layoutKey - Key of the layout (see getLayoutKey)
+ * @returns {Promise<GPUComputePipeline>}
+ */
+export function getComputePipelineAsync(code, entryPoint, layout, layoutKey) {
+    const { key, descriptor } = computePipeline(code, entryPoint, layout, layoutKey);
+    return cachedPipelineAsync(key, () => device.createComputePipelineAsync(descriptor));
+}
+
+/**
+ * Get a render pipeline, shared by every pass with the same code, target format and layout
+ * @param {string} code - WGSL code with `vs` and `fs` entry points
+ * @param {GPUTextureFormat} format - Format of the render target
+ * @param {GPUPipelineLayout} layout - Pipeline layout
+ * @param {string} layoutKey - Key of the layout (see getLayoutKey)
+ * @returns {GPURenderPipeline}
+ */
+export function getRenderPipeline(code, format, layout, layoutKey) {
+    const { key, descriptor } = renderPipeline(code, format, layout, layoutKey);
+    return cachedPipeline(key, () => device.createRenderPipeline(descriptor));
+}
+
+/**
+ * Get a render pipeline without blocking, shared by every pass with the same code, target format and layout
+ * @async
+ * @param {string} code - WGSL code with `vs` and `fs` entry points
+ * @param {GPUTextureFormat} format - Format of the render target
+ * @param {GPUPipelineLayout} layout - Pipeline layout
+ * @param {string} layoutKey - Key of the layout (see getLayoutKey)
+ * @returns {Promise<GPURenderPipeline>}
+ */
+export function getRenderPipelineAsync(code, format, layout, layoutKey) {
+    const { key, descriptor } = renderPipeline(code, format, layout, layoutKey);
+    return cachedPipelineAsync(key, () => device.createRenderPipelineAsync(descriptor));
+}
+
+/**
+ * Forget every cached shader module and pipeline, e.g. after the device they were created on is gone
+ */
+export function clearPipelineCache() {
+    shaderModules.clear();
+    pipelines.clear();
+}
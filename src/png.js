@@ -0,0 +1,157 @@
+/**
+ * @file PNG encoding
+ * Encodes RGBA pixels as PNG bytes, to save textures read back from the GPU.
+ * Uses CompressionStream where available, otherwise stores the pixels uncompressed.
+ */
+
+/**
+ * CRC32 of each byte value, for the chunk checksums
+ * @type {Uint32Array}
+ */
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c;
+});
+
+/**
+ * Largest block a stored deflate block can hold
+ * @type {number}
+ */
+const MAX_STORED_BLOCK = 65535;
+
+/**
+ * Compute the CRC32 of some bytes
+ * @param {Uint8Array} bytes - Bytes to checksum
+ * @returns {number}
+ */
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Compute the Adler32 checksum closing a zlib stream
+ * @param {Uint8Array} bytes - Uncompressed bytes
+ * @returns {number}
+ */
+function adler32(bytes) {
+    let a = 1;
+    let b = 0;
+    for (let i = 0; i < bytes.length; i++) {
+        a = (a + bytes[i]) % 65521;
+        b = (b + a) % 65521;
+    }
+    return ((b << 16) | a) >>> 0;
+}
+
+/**
+ * Wrap bytes in a zlib stream of uncompressed deflate blocks
+ * @param {Uint8Array} bytes - Bytes to wrap
+ * @returns {Uint8Array}
+ */
+function zlibStored(bytes) {
+    const blocks = Math.max(1, Math.ceil(bytes.length / MAX_STORED_BLOCK));
+    const out = new Uint8Array(2 + blocks * 5 + bytes.length + 4);
+    const view = new DataView(out.buffer);
+    out[0] = 0x78;
+    out[1] = 0x01;
+    let at = 2;
+    for (let i = 0; i < blocks; i++) {
+        const block = bytes.subarray(i * MAX_STORED_BLOCK, (i + 1) * MAX_STORED_BLOCK);
+        out[at] = i === blocks - 1 ? 1 : 0;
+        view.setUint16(at + 1, block.length, true);
+        view.setUint16(at + 3, ~block.length & 0xffff, true);
+        out.set(block, at + 5);
+        at += 5 + block.length;
+    }
+    view.setUint32(at, adler32(bytes));
+    return out;
+}
+
+/**
+ * Compress bytes into a zlib stream
+ * @async
+ * @param {Uint8Array} bytes - Bytes to compress
+ * @returns {Promise<Uint8Array>}
+ */
+async function zlib(bytes) {
+    if (typeof CompressionStream === 'undefined') return zlibStored(bytes);
+
+    const stream = new CompressionStream('deflate');
+    const writer = stream.writable.getWriter();
+    // read while writing: the write only resolves once the output is consumed
+    const written = writer.write(bytes).then(() => writer.close());
+    const chunks = [];
+    const read = (async () => {
+        const reader = stream.readable.getReader();
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            chunks.push(value);
+        }
+    })();
+    await Promise.all([written, read]);
+    const out = new Uint8Array(chunks.reduce((size, chunk) => size + chunk.length, 0));
+    chunks.reduce((at, chunk) => { out.set(chunk, at); return at + chunk.length; }, 0);
+    return out;
+}
+
+/**
+ * Build a PNG chunk: length, type, data and CRC
+ * @param {string} type - Four letter chunk type
+ * @param {Uint8Array} data - Chunk data
+ * @returns {Uint8Array}
+ */
+function chunk(type, data) {
+    const out = new Uint8Array(12 + data.length);
+    const view = new DataView(out.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i);
+    out.set(data, 8);
+    view.setUint32(8 + data.length, crc32(out.subarray(4, 8 + data.length)));
+    return out;
+}
+
+/**
+ * Encode 8 bit RGBA pixels as a PNG file
+ * @async
+ * @param {Uint8Array|Uint8ClampedArray} pixels - RGBA pixels, row by row from the top
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Promise<Uint8Array>} PNG file bytes
+ * @throws {Error} If the pixel count doesn't match the size
+ * @example
+ * const png = await encodePNG(imageData.data, imageData.width, imageData.height);
+ * const url = URL.createObjectURL(new Blob([png], { type: 'image/png' }));
+ */
+export async function encodePNG(pixels, width, height) {
+    if (pixels.length !== width * height * 4) {
+        throw new Error(`encodePNG: Expected ${width * height * 4} bytes of RGBA pixels, got ${pixels.length}`);
+    }
+
+    const header = new Uint8Array(13);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, width);
+    view.setUint32(4, height);
+    header[8] = 8; // bits per channel
+    header[9] = 6; // RGBA
+
+    // every row starts with its filter type, 0 for none
+    const rowSize = width * 4;
+    const raw = new Uint8Array((rowSize + 1) * height);
+    for (let y = 0; y < height; y++) {
+        raw.set(pixels.subarray(y * rowSize, (y + 1) * rowSize), y * (rowSize + 1) + 1);
+    }
+
+    const parts = [
+        new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        chunk('IHDR', header),
+        chunk('IDAT', await zlib(raw)),
+        chunk('IEND', new Uint8Array(0)),
+    ];
+    const png = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+    parts.reduce((at, part) => { png.set(part, at); return at + part.length; }, 0);
+    return png;
+}
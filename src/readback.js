@@ -0,0 +1,225 @@
+/**
+ * @file GPU to CPU readback
+ * Copies GPU buffers and textures into a pool of reusable MAP_READ staging buffers and maps them back to the CPU.
+ */
+
+import { device } from './canvas.js';
+
+/**
+ * Maximum number of idle staging buffers kept for reuse
+ * @type {number}
+ */
+const MAX_POOLED_STAGING_BUFFERS = 8;
+
+/**
+ * Rows of a texture copied into a buffer start at multiples of this many bytes
+ * @type {number}
+ */
+const BYTES_PER_ROW_ALIGNMENT = 256;
+
+/**
+ * Layout of the texture formats that can be read back: channels per texel, bytes per channel and how channels are encoded
+ * @type {Object<string, {channels: number, bytes: number, kind: 'unorm'|'snorm'|'uint'|'sint'|'float', bgra?: boolean}>}
+ */
+const TEXTURE_FORMATS = {};
+[['r', 1], ['rg', 2], ['rgba', 4]].forEach(([prefix, channels]) => {
+    [['8unorm', 1, 'unorm'], ['8snorm', 1, 'snorm'], ['8uint', 1, 'uint'], ['8sint', 1, 'sint'],
+        ['16uint', 2, 'uint'], ['16sint', 2, 'sint'], ['16float', 2, 'float'],
+        ['32uint', 4, 'uint'], ['32sint', 4, 'sint'], ['32float', 4, 'float']].forEach(([suffix, bytes, kind]) => {
+        TEXTURE_FORMATS[prefix + suffix] = { channels, bytes, kind };
+    });
+});
+TEXTURE_FORMATS['rgba8unorm-srgb'] = { channels: 4, bytes: 1, kind: 'unorm' };
+TEXTURE_FORMATS.bgra8unorm = { channels: 4, bytes: 1, kind: 'unorm', bgra: true };
+TEXTURE_FORMATS['bgra8unorm-srgb'] = { channels: 4, bytes: 1, kind: 'unorm', bgra: true };
+
+/**
+ * Get the layout of a texture format
+ * @param {GPUTextureFormat} format - Texture format
+ * @returns {{channels: number, bytes: number, kind: 'unorm'|'snorm'|'uint'|'sint'|'float', bgra?: boolean}}
+ * @throws {Error} If the format can't be read back
+ */
+export function textureFormatInfo(format) {
+    const info = TEXTURE_FORMATS[format];
+    if (!info) {
+        throw new Error(`textureFormatInfo: Reading back ${format} textures is not supported`);
+    }
+    return info;
+}
+
+/**
+ * Get the size of one texel of a texture format
+ * @param {GPUTextureFormat} format - Texture format
+ * @returns {number} Bytes per texel
+ * @throws {Error} If the format can't be read back
+ */
+export function texelSize(format) {
+    const { channels, bytes } = textureFormatInfo(format);
+    return channels * bytes;
+}
+
+/**
+ * Convert a 16 bit half float to a number
+ * @param {number} bits - Half float bits
+ * @returns {number}
+ */
+export function halfToFloat(bits) {
+    const sign = bits & 0x8000 ? -1 : 1;
+    const exponent = (bits >> 10) & 0x1f;
+    const fraction = bits & 0x3ff;
+    if (exponent === 0) return sign * 2 ** -14 * (fraction / 1024);
+    if (exponent === 0x1f) return fraction ? NaN : sign * Infinity;
+    return sign * 2 ** (exponent - 15) * (1 + fraction / 1024);
+}
+
+/**
+ * Typed array constructors holding each channel kind, by bytes per channel
+ * @type {Object<string, Object<number, Function>>}
+ */
+const CHANNEL_ARRAYS = {
+    unorm: { 1: Uint8Array },
+    snorm: { 1: Int8Array },
+    uint: { 1: Uint8Array, 2: Uint16Array, 4: Uint32Array },
+    sint: { 1: Int8Array, 2: Int16Array, 4: Int32Array },
+    float: { 2: Float32Array, 4: Float32Array },
+};
+
+/**
+ * View texels read back from a texture as a typed array of channel values.
+ * Normalized formats keep their raw bytes, half floats are converted to a Float32Array.
+ * @param {ArrayBuffer} data - Texels without row padding, as returned by readTexture
+ * @param {GPUTextureFormat} format - Texture format
+ * @returns {Uint8Array|Int8Array|Uint16Array|Int16Array|Uint32Array|Int32Array|Float32Array} One value per channel, in the format's channel order
+ * @throws {Error} If the format can't be read back
+ */
+export function decodeTexels(data, format) {
+    const { kind, bytes } = textureFormatInfo(format);
+    if (kind === 'float' && bytes === 2) {
+        return Float32Array.from(new Uint16Array(data), halfToFloat);
+    }
+    return new CHANNEL_ARRAYS[kind][bytes](data);
+}
+
+/**
+ * Idle staging buffers, ready to be reused
+ * @type {Array<GPUBuffer>}
+ */
+const stagingPool = [];
+
+/**
+ * Get a MAP_READ staging buffer of at least the given size, reusing an idle one when possible
+ * @param {number} size - Minimum size in bytes
+ * @returns {GPUBuffer} Unmapped staging buffer
+ */
+export function acquireStagingBuffer(size) {
+    let best = -1;
+    stagingPool.forEach((buffer, i) => {
+        if (buffer.size >= size && (best === -1 || buffer.size < stagingPool[best].size)) best = i;
+    });
+    if (best !== -1) return stagingPool.splice(best, 1)[0];
+
+    return device.createBuffer({
+        label: 'staging',
+        size: Math.ceil(size / 4) * 4,
+        usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ,
+    });
+}
+
+/**
+ * Return a staging buffer to the pool once it has been unmapped
+ * @param {GPUBuffer} buffer - Staging buffer from acquireStagingBuffer
+ */
+export function releaseStagingBuffer(buffer) {
+    stagingPool.push(buffer);
+    if (stagingPool.length > MAX_POOLED_STAGING_BUFFERS) {
+        // drop the smallest buffer, the larger ones can serve any request it could
+        stagingPool.sort((a, b) => b.size - a.size);
+        stagingPool.pop().destroy();
+    }
+}
+
+/**
+ * Destroy every idle staging buffer
+ */
+export function clearStagingBuffers() {
+    stagingPool.splice(0).forEach(buffer => buffer.destroy());
+}
+
+/**
+ * Copy a byte range of a GPU buffer back to the CPU
+ * @async
+ * @param {GPUBuffer} source - Buffer to read, created with COPY_SRC usage
+ * @param {number} [offset=0] - Byte offset to start reading from (multiple of 4)
+ * @param {number} [size] - Number of bytes to read (multiple of 4), defaults to the rest of the buffer
+ * @returns {Promise<ArrayBuffer>} Copy of the requested bytes
+ * @throws {Error} If the range is invalid
+ */
+export async function readBuffer(source, offset = 0, size = source.size - offset) {
+    if (!device) {
+        throw new Error('readBuffer: WebGPU device not initialized. Call initCanvas() first.');
+    }
+    if (offset % 4 !== 0 || size % 4 !== 0) {
+        throw new Error('readBuffer: Offset and size must be multiples of 4 bytes');
+    }
+    if (offset < 0 || size <= 0 || offset + size > source.size) {
+        throw new Error(`readBuffer: Range ${offset}-${offset + size} is outside the ${source.size} byte buffer`);
+    }
+
+    const staging = acquireStagingBuffer(size);
+    try {
+        const commandEncoder = device.createCommandEncoder();
+        commandEncoder.copyBufferToBuffer(source, offset, staging, 0, size);
+        device.queue.submit([commandEncoder.finish()]);
+
+        await staging.mapAsync(GPUMapMode.READ, 0, size);
+        const data = staging.getMappedRange(0, size).slice(0);
+        staging.unmap();
+        releaseStagingBuffer(staging);
+        return data;
+    } catch (error) {
+        staging.destroy();
+        throw error;
+    }
+}
+
+/**
+ * Copy a texture back to the CPU.
+ * Texture rows are padded to 256 bytes in the copy; the result has the padding removed.
+ * @async
+ * @param {Texture} texture - Texture to read
+ * @returns {Promise<ArrayBuffer>} Texels row by row, `texture.width * texelSize(texture.format)` bytes per row
+ * @throws {Error} If the device isn't initialized or the format can't be read back
+ * @example
+ * await init({ headless: true, width: 256, height: 256 });
+ * runPasses([drawPass]);
+ * const pixels = new Uint8Array(await readTexture(renderTxtr));
+ */
+export async function readTexture(texture) {
+    if (!device) {
+        throw new Error('readTexture: WebGPU device not initialized. Call initDevice() or initCanvas() first.');
+    }
+    const { width, height } = texture;
+    const rowSize = width * texelSize(texture.format);
+    const bytesPerRow = Math.ceil(rowSize / BYTES_PER_ROW_ALIGNMENT) * BYTES_PER_ROW_ALIGNMENT;
+    const size = bytesPerRow * height;
+
+    const staging = acquireStagingBuffer(size);
+    try {
+        const commandEncoder = device.createCommandEncoder();
+        commandEncoder.copyTextureToBuffer({ texture: texture.texture }, { buffer: staging, bytesPerRow, rowsPerImage: height }, [width, height, 1]);
+        device.queue.submit([commandEncoder.finish()]);
+
+        await staging.mapAsync(GPUMapMode.READ, 0, size);
+        const padded = new Uint8Array(staging.getMappedRange(0, size));
+        const data = new Uint8Array(rowSize * height);
+        for (let y = 0; y < height; y++) {
+            data.set(padded.subarray(y * bytesPerRow, y * bytesPerRow + rowSize), y * rowSize);
+        }
+        staging.unmap();
+        releaseStagingBuffer(staging);
+        return data.buffer;
+    } catch (error) {
+        staging.destroy();
+        throw error;
+    }
+}
@@ -0,0 +1,133 @@
+/**
+ * @file Device-lost recovery
+ * Keeps track of every buffer, texture and pass the library creates, so that after the GPU device
+ * is lost (driver reset, GPU process crash, long backgrounding) they can be recreated on a new device
+ * and the sketch carries on where it was.
+ */
+
+import { clearLayoutCache } from './layouts.js';
+import { clearPipelineCache } from './pipelines.js';
+import { clearGlobalGroup } from './auto_bindings.js';
+import { clearStagingBuffers } from './readback.js';
+import { currentLoop } from './loop.js';
+
+/**
+ * Recreate order of each kind of tracked object: GPU resources before the passes binding them
+ * @type {Object<string, number>}
+ */
+export const RECOVERY_STAGE = { resource: 0, pass: 1 };
+
+/**
+ * Tracked objects, held weakly so tracking doesn't keep unused resources alive
+ * @type {Set<{ref: WeakRef, stage: number}>}
+ */
+const tracked = new Set();
+
+/**
+ * Weak refs by tracked object, to untrack them
+ * @type {WeakMap<Object, Object>}
+ */
+const entries = new WeakMap();
+
+/**
+ * Library singletons by name (globals, time, mouse and noise buffers), shared by every sketch on the device
+ * @type {Map<string, {recreate: function(): void}>}
+ */
+const singletons = new Map();
+
+/**
+ * Functions called once everything has been recreated
+ * @type {Set<function(GPUDeviceLostInfo): (void|Promise<void>)>}
+ */
+const lostListeners = new Set();
+
+/**
+ * Track an object to recreate after a device loss
+ * @param {{recreate: function(): void}} object - Buffer, Texture, pass or anything with a recreate() method
+ * @param {number} [stage=RECOVERY_STAGE.resource] - Objects of lower stages are recreated first
+ */
+export function trackResource(object, stage = RECOVERY_STAGE.resource) {
+    if (entries.has(object)) return;
+    const entry = { ref: new WeakRef(object), stage };
+    entries.set(object, entry);
+    tracked.add(entry);
+}
+
+/**
+ * Stop tracking an object, e.g. when it was destroyed or replaced
+ * @param {Object} object - Tracked object
+ */
+export function untrackResource(object) {
+    tracked.delete(entries.get(object));
+    entries.delete(object);
+}
+
+/**
+ * Keep a library singleton on the current device: initDevice recreates it in place when it switches devices,
+ * so auto-bindings and tick listeners holding it keep working. Replaces the singleton tracked under the same name.
+ * @param {string} name - Singleton name
+ * @param {{recreate: function(): void}} object - Buffer or anything with a recreate() method
+ */
+export function trackSingleton(name, object) {
+    singletons.set(name, object);
+}
+
+/**
+ * Recreate the library singletons on a new device
+ */
+export function recreateSingletons() {
+    singletons.forEach(object => object.recreate());
+}
+
+/**
+ * Call a function after the device was lost and the library's resources were recreated,
+ * to restore state the library can't: textures' contents, buffers written by shaders, user pipelines.
+ * @param {function(GPUDeviceLostInfo): (void|Promise<void>)} listener - Called with the lost device's info
+ * @returns {function(): void} Removes the listener
+ */
+export function onDeviceLost(listener) {
+    lostListeners.add(listener);
+    return () => lostListeners.delete(listener);
+}
+
+/**
+ * Drop the layouts, pipelines, global bind groups and staging buffers cached for the previous device
+ */
+export function clearDeviceCaches() {
+    clearLayoutCache();
+    clearPipelineCache();
+    clearGlobalGroup();
+    clearStagingBuffers();
+}
+
+/**
+ * Recreate every tracked object on the current device, then call the onDeviceLost listeners.
+ * Buffers get their last known `data` (what was written from the CPU, not what shaders wrote since);
+ * textures come back cleared. The running loop is paused meanwhile.
+ * @async
+ * @param {GPUDeviceLostInfo} info - Info of the lost device
+ * @returns {Promise<void>}
+ */
+export async function recoverResources(info) {
+    const loop = currentLoop();
+    const wasPaused = !loop || loop.paused;
+    if (loop) loop.pause();
+
+    // everything cached was created on the lost device
+    clearDeviceCaches();
+
+    const objects = [...tracked]
+        .map(entry => ({ object: entry.ref.deref(), entry }))
+        .filter(({ object, entry }) => object || !tracked.delete(entry))
+        .sort((a, b) => a.entry.stage - b.entry.stage);
+    objects.forEach(({ object }) => {
+        try {
+            object.recreate();
+        } catch (error) {
+            console.error(`Failed to recreate ${object.name || object.constructor.name} after device loss: ${error.message}`);
+        }
+    });
+
+    for (const listener of lostListeners) await listener(info);
+    if (loop && !wasPaused) loop.resume();
+}
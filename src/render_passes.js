@@ -6,6 +6,7 @@
 import { RenderPass, ComputePass, runPasses } from './passes.js';
 import { Texture } from './core.js';
 import { width, height } from './canvas.js';
+import { registerAutoBinding } from './auto_bindings.js';
 
 /**
  * Global rendering parameters
@@ -27,6 +28,7 @@ export let renderPass, matchPass, clearPass;
  * @async
  * @param {Object} [options] - Render pass options
  * @param {Array<number>} [options.bgColor] - Background color [r, g, b] (0-255)
+ * @param {'linear'|'nearest'} [options.filter='linear'] - Filtering used to scale renderTxtr to the canvas
  * @returns {Promise<RenderPass>} The configured render pass
  */
 export async function createRenderPass(options = {}) {
@@ -36,9 +38,7 @@ export async function createRenderPass(options = {}) {
 
     await createTextures();
 
-    createClearPass()
-
-    renderPass = new RenderPass(renderTxtr, basicRenderCode);
+    renderPass = await RenderPass.create(renderTxtr, basicRenderCode, { filter: options.filter });
     return renderPass;
 }
 
@@ -49,20 +49,13 @@ export async function createRenderPass(options = {}) {
  */
 export async function createTextures() {
     try {
-        renderTxtr = new Texture('renderTxtr', width, height);
-        feedbackTxtr = new Texture('feedbackTxtr', width, height);
-
-        const code = `
-        @compute @workgroup_size(1)
-        fn main(@builtin(global_invocation_id) id: vec3<u32>) {
-          let x: i32 = i32(id.x);
-          let y: i32 = i32(id.y);
-          let clr = vec4f(${renderParams.bgColor[0] / 255},${renderParams.bgColor[1] / 255},${renderParams.bgColor[2] / 255},1.0);
-          textureStore(renderTxtr, vec2<i32>(x, y), clr);
-          textureStore(feedbackTxtr, vec2<i32>(x, y), clr);
-        }`;
-
-        const pass1 = new ComputePass(code, [renderTxtr.write(), feedbackTxtr.write()], [width, height]);
+        renderTxtr = Texture.fitCanvas('renderTxtr');
+        feedbackTxtr = Texture.fitCanvas('feedbackTxtr');
+        registerAutoBinding('renderTxtr', renderTxtr, { access: 'write' });
+        registerAutoBinding('feedbackTxtr', feedbackTxtr, { access: 'read', previous: true });
+
+        // the clear pass doubles as the initial fill
+        const pass1 = await createClearPass();
         runPasses([pass1]);
     } catch (error) {
         throw new Error(`Failed to create textures: ${error.message}`);
@@ -93,8 +86,8 @@ export const basicRenderCode = `
         return vsOutput;
     }
 
-    @group(0) @binding(0) var ourSampler: sampler;
-    @group(0) @binding(1) var ourTexture: texture_2d<f32>;
+    @group(1) @binding(0) var ourSampler: sampler;
+    @group(1) @binding(1) var ourTexture: texture_2d<f32>;
 
     @fragment fn fs(fsInput: OurVertexShaderOutput) -> @location(0) vec4f {
         return textureSample(ourTexture, ourSampler, fsInput.uv);
@@ -120,7 +113,7 @@ export async function createMatchPass() {
       textureStore(feedbackTxtr, vec2<i32>(x, y), vec4<f32>(clr.r, clr.g, clr.b, 1.0));
     }`;
 
-    matchPass = new ComputePass(code, [renderTxtr.read(), feedbackTxtr.write()], [width, height]);
+    matchPass = await ComputePass.create(code, [renderTxtr.read(), feedbackTxtr.write()], [width, height], { fitCanvas: true });
     return matchPass;
 }
 
@@ -146,7 +139,7 @@ export async function createClearPass() {
       textureStore(feedbackTxtr, vec2<i32>(x, y), clr);
     }`;
 
-    clearPass = new ComputePass(code, [renderTxtr.write(), feedbackTxtr.write()], [width, height]);
+    clearPass = await ComputePass.create(code, [renderTxtr.write(), feedbackTxtr.write()], [width, height], { fitCanvas: true });
     return clearPass;
 }
 
@@ -1,4 +1,11 @@
-import { Buffer } from './core.js';
+import { Buffer } from './buffer.js';
+import { roundUp, alignOf, asFieldType } from './types.js';
+
+export {
+  type_f32, type_vec2, type_vec3, type_vec4, type_color, type_i32, type_u32,
+  type_vec2i, type_vec3i, type_vec4i, type_vec2u, type_vec3u, type_vec4u,
+  type_atomic_u32, type_atomic_i32, type_mat, type_mat2x2, type_mat3x3, type_mat4x4, type_array
+} from './types.js';
 
 /**
  * A WebGPU compatible data structure for defining structured buffers
@@ -15,39 +22,73 @@ export class Struct {
     }
 
     this.name = name;
-    this.data = data;
-
-    // Add padding if needed to align to vec4 (16 bytes)
-    if (this.floatSize % 4 != 0) {
-      const fillerCount = 4 - (this.floatSize % 4);
-      for (let i = 0; i < fillerCount; i++) {
-        this.data.push({ name: `FILLER___${i}`, type: type_f32 });
-      }
-    }
+    this.data = data.map(field => ({ ...field, type: asFieldType(field.type) }));
+    this.cachedLayout = null;
   }
 
   /**
    * Add a field to the struct
    * @param {string} name - Field name
-   * @param {Object} type - Field type (one of the predefined types e.g. type_f32, type_vec2)
+   * @param {Object} type - Field type (one of the predefined types e.g. type_f32, type_vec2), or a custom
+   * type with size and either write/read or toFloat32Array/fromFloat32Array
    */
   add(name, type) {
     if (typeof name !== 'string' || name.trim() === '') {
       throw new Error('Struct.add: Field name must be a non-empty string');
     }
-    if (!type || typeof type !== 'object' || !('size' in type)) {
+    if (!type || typeof type !== 'object' || !('size' in type) ||
+      (typeof type.write !== 'function' && typeof type.toFloat32Array !== 'function')) {
       throw new Error('Struct.add: Invalid type provided');
     }
 
-    this.data.push({ name, type });
+    this.data.push({ name, type: asFieldType(type) });
+    this.cachedLayout = null;
+  }
+
+  /**
+   * Compute the memory layout of this struct following the WGSL layout rules.
+   * Each field is placed at the next multiple of its alignment, the struct is
+   * aligned to its most aligned field and its size is rounded up to that alignment.
+   * Computed once and again after add(); add fields to nested structs before using them in another struct.
+   * @returns {{fields: Array<{name: string, type: Object, offset: number, size: number, align: number}>, size: number, align: number}}
+   */
+  get layout() {
+    if (this.cachedLayout) return this.cachedLayout;
+    let offset = 0;
+    let align = 4;
+    const fields = this.data.map(({ name, type }) => {
+      const fieldAlign = alignOf(type);
+      offset = roundUp(fieldAlign, offset);
+      const field = { name, type, offset, size: type.size, align: fieldAlign };
+      offset += type.size;
+      align = Math.max(align, fieldAlign);
+      return field;
+    });
+    this.cachedLayout = { fields, size: roundUp(align, offset), align };
+    return this.cachedLayout;
+  }
+
+  /**
+   * Get the byte offset of a field inside the struct
+   * @param {string} name - Field name
+   * @returns {number} Offset in bytes
+   * @throws {Error} If the struct has no such field
+   */
+  offsetOf(name) {
+    const field = this.layout.fields.find(f => f.name === name);
+    if (!field) {
+      throw new Error(`Struct.offsetOf: No field named ${name} in struct ${this.name}`);
+    }
+    return field.offset;
   }
 
   /**
-   * Get the size of the struct in bytes
+   * Get the size of the struct in bytes, including trailing padding.
+   * This is also the stride between consecutive elements of an array of this struct.
    * @returns {number} Size in bytes
    */
   get byteSize() {
-    return this.data.reduce((acc, cur) => acc + cur.type.size, 0);
+    return this.layout.size;
   }
 
   /**
@@ -59,18 +100,67 @@ export class Struct {
   }
 
   /**
-   * Get the WGSL code representation of this struct
+   * Size in bytes when this struct is used as a field type
+   * @returns {number}
+   */
+  get size() {
+    return this.layout.size;
+  }
+
+  /**
+   * Alignment in bytes when this struct is used as a field type
+   * @returns {number}
+   */
+  get align() {
+    return this.layout.align;
+  }
+
+  /**
+   * WGSL type name when this struct is used as a field type
+   * @returns {string}
+   */
+  get wgsl() {
+    return this.name;
+  }
+
+  /**
+   * Get every struct this struct depends on, dependencies first and this struct last.
+   * Each struct appears once, so the list can be declared in order.
+   * @returns {Array<Struct>} Ordered unique structs
+   */
+  get structs() {
+    const structs = [];
+    const visit = (type) => {
+      if (type.element) return visit(type.element);
+      if (!(type instanceof Struct) || structs.includes(type)) return;
+      type.data.forEach(field => visit(field.type));
+      structs.push(type);
+    };
+    visit(this);
+    return structs;
+  }
+
+  /**
+   * Get the WGSL declaration of this struct alone, without the structs it depends on
    * @returns {string} WGSL struct declaration
    */
-  get code() {
+  get declaration() {
     let str = 'struct ' + this.name + ' {\n';
     this.data.forEach(({ name, type }) => {
-      str += type.code(name) + ',\n';
+      str += `${name}: ${type.wgsl}` + ',\n';
     });
     str = str.slice(0, -2); // Remove last comma and newline
     return str + '\n};';
   }
 
+  /**
+   * Get the WGSL code representation of this struct, preceded by the declarations of the structs it uses
+   * @returns {string} WGSL struct declarations
+   */
+  get code() {
+    return this.structs.map(struct => struct.declaration).join('\n');
+  }
+
   /**
    * Create a JavaScript object matching this struct with default values
    * @returns {Object} Default object instance
@@ -84,41 +174,109 @@ export class Struct {
   }
 
   /**
-   * Convert JavaScript objects to Float32Array for GPU upload
+   * Write a single object into a DataView at the given byte offset.
+   * Used when this struct is a field of another struct or an element of an array.
+   * @param {DataView} view - Destination view
+   * @param {number} offset - Byte offset of the struct
+   * @param {Object} val - Object to write
+   * @throws {Error} If the object is invalid or a field is missing
+   */
+  write(view, offset, val) {
+    if (!val || typeof val !== 'object') {
+      throw new Error(`Struct.write: Expected an object for struct ${this.name}`);
+    }
+    this.layout.fields.forEach(({ name, type, offset: fieldOffset }) => {
+      if (val[name] === undefined) {
+        throw new Error(`Struct.write: Missing field ${name} in struct ${this.name}`);
+      }
+      type.write(view, offset + fieldOffset, val[name]);
+    });
+  }
+
+  /**
+   * Read a single object from a DataView at the given byte offset
+   * @param {DataView} view - Source view
+   * @param {number} offset - Byte offset of the struct
+   * @returns {Object} Decoded object
+   */
+  read(view, offset) {
+    const val = {};
+    this.layout.fields.forEach(({ name, type, offset: fieldOffset }) => {
+      val[name] = type.read(view, offset + fieldOffset);
+    });
+    return val;
+  }
+
+  /**
+   * Pack JavaScript objects into an ArrayBuffer following the struct layout
    * @param {Object|Array} vals - Object(s) to convert
-   * @returns {Float32Array} Packed Float32Array ready for GPU upload
+   * @returns {ArrayBuffer} Packed bytes ready for GPU upload
    * @throws {Error} If input is invalid
    */
-  toFloat32Array(vals) {
+  toArrayBuffer(vals) {
     if (!vals) {
-      throw new Error('Struct.toFloat32Array: Input values are required');
+      throw new Error('Struct.toArrayBuffer: Input values are required');
     }
 
     if (!(vals instanceof Array)) vals = [vals];
-    const arr = new Float32Array(this.floatSize * vals.length);
-    let offset = 0;
+    const { fields, size } = this.layout;
+    const buffer = new ArrayBuffer(size * vals.length);
+    const view = new DataView(buffer);
 
     vals.forEach((val, i) => {
       if (!val || typeof val !== 'object') {
-        throw new Error(`Struct.toFloat32Array: Invalid value at index ${i}`);
+        throw new Error(`Struct.toArrayBuffer: Invalid value at index ${i}`);
       }
 
-      this.data.forEach(({ name, type }) => {
+      fields.forEach(({ name, type, offset }) => {
         const value = val[name];
         if (value === undefined) {
-          throw new Error(`Struct.toFloat32Array: Missing field ${name} at index ${i}`);
+          throw new Error(`Struct.toArrayBuffer: Missing field ${name} at index ${i}`);
         }
-
-        if (type instanceof Struct) {
-          arr.set(type.toFloat32Array(value), offset);
-        } else {
-          arr.set(type.toFloat32Array(value), offset);
-        }
-        offset += type.size / 4;
+        type.write(view, i * size + offset, value);
       });
     });
 
-    return arr;
+    return buffer;
+  }
+
+  /**
+   * Unpack JavaScript objects from bytes laid out with this struct
+   * @param {ArrayBuffer|ArrayBufferView} data - Bytes to convert
+   * @returns {Array} Array of JavaScript objects
+   * @throws {Error} If the input is not an ArrayBuffer or typed array
+   */
+  fromArrayBuffer(data) {
+    let view;
+    if (data instanceof ArrayBuffer) view = new DataView(data);
+    else if (ArrayBuffer.isView(data)) view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    else throw new Error('Struct.fromArrayBuffer: Input must be an ArrayBuffer or typed array');
+
+    const { size } = this.layout;
+    if (view.byteLength % size !== 0) {
+      throw new Error('Struct.fromArrayBuffer: Data too short for struct layout');
+    }
+
+    const vals = [];
+    for (let base = 0; base < view.byteLength; base += size) {
+      vals.push(this.read(view, base));
+    }
+
+    return vals;
+  }
+
+  /**
+   * Convert JavaScript objects to Float32Array for GPU upload.
+   * Integer fields keep their bit pattern, so the result can be uploaded as-is.
+   * @param {Object|Array} vals - Object(s) to convert
+   * @returns {Float32Array} Packed Float32Array ready for GPU upload
+   * @throws {Error} If input is invalid
+   */
+  toFloat32Array(vals) {
+    if (!vals) {
+      throw new Error('Struct.toFloat32Array: Input values are required');
+    }
+    return new Float32Array(this.toArrayBuffer(vals));
   }
 
   /**
@@ -131,72 +289,88 @@ export class Struct {
     if (!(arr instanceof Float32Array)) {
       throw new Error('Struct.fromFloat32Array: Input must be a Float32Array');
     }
+    if (arr.byteLength % this.byteSize !== 0) {
+      throw new Error('Struct.fromFloat32Array: Array too short for struct layout');
+    }
+    return this.fromArrayBuffer(arr);
+  }
 
-    const vals = [];
-    let offset = 0;
+  /**
+   * Check that this struct can be used in the uniform address space.
+   * Struct and array members must start at a multiple of 16 bytes, arrays need a
+   * 16 byte element stride, a member following a struct must start 16-byte aligned
+   * past its end, and atomics are not allowed.
+   * @throws {Error} Describing the first field that breaks a uniform rule
+   */
+  validateUniform() {
+    const fields = this.layout.fields;
+    fields.forEach(({ name, type, offset }, i) => {
+      const fail = (reason) => {
+        throw new Error(`Struct.validateUniform: Field ${name} of ${this.name} ${reason}`);
+      };
 
-    while (offset < arr.length) {
-      const val = {};
-      this.data.forEach(({ name, type }) => {
-        if (offset + type.size / 4 > arr.length) {
-          throw new Error('Struct.fromFloat32Array: Array too short for struct layout');
-        }
+      if (type.wgsl.startsWith('atomic')) fail(`is ${type.wgsl}, atomics are only allowed in storage buffers`);
+      if ((type instanceof Struct || type.element) && offset % 16 !== 0) {
+        fail(`is at offset ${offset}, uniform struct and array members must start at a multiple of 16`);
+      }
+      if (type.element && type.stride % 16 !== 0) {
+        fail(`has a ${type.stride} byte array stride, uniform arrays need a multiple of 16`);
+      }
 
-        if (type instanceof Struct) {
-          val[name] = type.fromFloat32Array(arr.slice(offset, offset + type.size / 4));
-        } else {
-          val[name] = type.fromFloat32Array(arr.slice(offset, offset + type.size / 4));
-        }
-        offset += type.size / 4;
-      });
-      vals.push(val);
-    }
+      const previous = fields[i - 1];
+      if (previous && previous.type instanceof Struct && offset - previous.offset < roundUp(16, previous.size)) {
+        fail(`follows struct member ${previous.name} too closely, it must start at offset ${previous.offset + roundUp(16, previous.size)}`);
+      }
 
-    return vals;
+      let element = type;
+      while (element.element) element = element.element;
+      if (element instanceof Struct) element.validateUniform();
+    });
   }
 
   /**
-   * Create a WebGPU buffer from JavaScript objects
-   * @param {Array|Object} vals - Values to store in the buffer
+   * Create a WebGPU buffer from JavaScript objects.
+   * Arrays are stored in a single buffer, up to the device's maxStorageBufferBindingSize.
    * @param {string} name - Buffer name
-   * @returns {Buffer|Array<Buffer>} Buffer or array of buffers if data exceeds size limit
+   * @param {Array|Object} vals - Values to store in the buffer
+   * @param {Object} [options] - Buffer options (e.g. { uniform: true }), see {@link Buffer}
+   * @param {number} [options.chunkSize] - Opt in to splitting arrays into several buffers of at most
+   * this many elements; a ComputePass given the resulting array runs once per chunk
+   * @returns {Buffer|Array<Buffer>} Buffer, or array of buffers when chunkSize is set
    * @throws {Error} If input is invalid
    */
-  createBuffer(name, vals) {
+  createBuffer(name, vals, options = {}) {
     if (!vals) {
       throw new Error('Struct.createBuffer: Values are required');
     }
 
+    const { chunkSize, ...bufferOptions } = options;
+
     if (!Array.isArray(vals)) {
-      const newBuffer = new Buffer(name, this.toFloat32Array([vals]));
-      newBuffer.struct = this;
-      return newBuffer;
+      return new Buffer(name, this.toArrayBuffer([vals]), { ...bufferOptions, struct: this });
     }
 
     if (vals.length < 1) {
       throw new Error('Struct.createBuffer: Empty values array');
     }
 
-    if (vals.length < 65000) {
+    if (!chunkSize) {
       try {
-        const newBuffer = new Buffer(name, this.toFloat32Array(vals));
-        newBuffer.struct = this;
-        newBuffer.isArray = true
+        const newBuffer = new Buffer(name, this.toArrayBuffer(vals), { ...bufferOptions, struct: this, isArray: true });
+        newBuffer.count = vals.length;
         return newBuffer;
       } catch (error) {
         throw new Error(`Struct.createBuffer: Failed to create buffer: ${error.message}`);
       }
     }
 
-    // Split into multiple buffers if too large
+    // Split into multiple buffers
     const buffers = [];
-    for (let i = 0; i < vals.length; i += 65000) {
-      const nextData = vals.slice(i, i + 65000);
+    for (let i = 0; i < vals.length; i += chunkSize) {
+      const nextData = vals.slice(i, i + chunkSize);
       try {
-        const nextBuffer = new Buffer(name, this.toFloat32Array(nextData));
+        const nextBuffer = new Buffer(name, this.toArrayBuffer(nextData), { ...bufferOptions, struct: this, isArray: true });
         nextBuffer.count = nextData.length;
-        nextBuffer.struct = this;
-        nextBuffer.isArray = true;
         buffers.push(nextBuffer);
       } catch (error) {
         throw new Error(`Struct.createBuffer: Failed to create buffer chunk ${i}: ${error.message}`);
@@ -204,85 +378,15 @@ export class Struct {
     }
     return buffers;
   }
-}
-
-/**
- * Float (f32) type definition for WGSL
- */
-export const type_f32 = {
-  size: 4,
-  toFloat32Array: (val) => {
-    if (typeof val !== 'number') {
-      throw new Error('type_f32.toFloat32Array: Expected a number');
-    }
-    return new Float32Array([val]);
-  },
-  fromFloat32Array: (arr) => arr[0],
-  code: (name) => `${name}: f32`,
-  object: () => 0
-};
-
-/**
- * 2D vector (vec2<f32>) type definition for WGSL
- */
-export const type_vec2 = {
-  size: 8,
-  toFloat32Array: (val) => {
-    if (!val || typeof val !== 'object' || !('x' in val) || !('y' in val)) {
-      throw new Error('type_vec2.toFloat32Array: Expected an object with x and y properties');
-    }
-    return new Float32Array([val.x, val.y]);
-  },
-  fromFloat32Array: (arr) => ({ x: arr[0], y: arr[1] }),
-  code: (name) => `${name}: vec2<f32>`,
-  object: () => ({ x: 0, y: 0 })
-};
-
-/**
- * 3D vector (vec3<f32>) type definition for WGSL
- */
-export const type_vec3 = {
-  size: 12,
-  toFloat32Array: (val) => {
-    if (!val || typeof val !== 'object' || !('x' in val) || !('y' in val) || !('z' in val)) {
-      throw new Error('type_vec3.toFloat32Array: Expected an object with x, y, and z properties');
-    }
-    return new Float32Array([val.x, val.y, val.z]);
-  },
-  fromFloat32Array: (arr) => ({ x: arr[0], y: arr[1], z: arr[2] }),
-  code: (name) => `${name}: vec3<f32>`,
-  object: () => ({ x: 0, y: 0, z: 0 })
-};
-
-/**
- * 4D vector (vec4<f32>) type definition for WGSL
- */
-export const type_vec4 = {
-  size: 16,
-  toFloat32Array: (val) => {
-    if (!val || typeof val !== 'object' || !('x' in val) || !('y' in val) || !('z' in val) || !('w' in val)) {
-      throw new Error('type_vec4.toFloat32Array: Expected an object with x, y, z, and w properties');
-    }
-    return new Float32Array([val.x, val.y, val.z, val.w]);
-  },
-  fromFloat32Array: (arr) => ({ x: arr[0], y: arr[1], z: arr[2], w: arr[3] }),
-  code: (name) => `${name}: vec4<f32>`,
-  object: () => ({ x: 0, y: 0, z: 0, w: 0 })
-};
 
-/**
- * RGBA color (vec4<f32>) type definition for WGSL
- * Used for color values with r,g,b,a components
- */
-export const type_color = {
-  size: 16,
-  toFloat32Array: (val) => {
-    if (!val || typeof val !== 'object' || !('r' in val) || !('g' in val) || !('b' in val) || !('a' in val)) {
-      throw new Error('type_color.toFloat32Array: Expected an object with r, g, b, and a properties');
-    }
-    return new Float32Array([val.r, val.g, val.b, val.a]);
-  },
-  fromFloat32Array: (arr) => ({ r: arr[0], g: arr[1], b: arr[2], a: arr[3] }),
-  code: (name) => `${name}: vec4<f32>`,
-  object: () => ({ r: 0, g: 0, b: 0, a: 1 })
-};
+  /**
+   * Create a uniform buffer from JavaScript objects
+   * @param {string} name - Buffer name
+   * @param {Array|Object} vals - Values to store in the buffer
+   * @returns {Buffer} Uniform buffer bound as var<uniform>
+   * @throws {Error} If input is invalid or the struct breaks a uniform layout rule
+   */
+  createUniformBuffer(name, vals) {
+    return this.createBuffer(name, vals, { uniform: true });
+  }
+}
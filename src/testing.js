@@ -0,0 +1,8 @@
+/**
+ * WebGPU Utils testing entry
+ * The recording mock device and the CPU WGSL executor, kept out of the main entry so sketches don't ship them.
+ * @module webgpu-utils/testing
+ */
+
+export * from './mock_device.js';
+export * from './cpu_executor.js';
@@ -0,0 +1,288 @@
+/**
+ * @file Struct field types
+ * WGSL scalar, vector, matrix and array types used as Struct fields, with their size, alignment and
+ * DataView packing. Kept free of other imports so buffers and structs can both build on it.
+ */
+
+/**
+ * Round a value up to the next multiple of an alignment
+ * @param {number} align - Alignment in bytes
+ * @param {number} value - Value to round
+ * @returns {number} Rounded value
+ */
+export function roundUp(align, value) {
+  return Math.ceil(value / align) * align;
+}
+
+/**
+ * Get the WGSL alignment of a field type, falling back to its size for types without an explicit alignment
+ * @param {Object} type - Field type
+ * @returns {number} Alignment in bytes
+ */
+export function alignOf(type) {
+  return type.align || type.size;
+}
+
+/**
+ * Add the Float32Array conversions and field declaration shared by every field type
+ * @param {Object} type - Field type with size, wgsl, read and write
+ * @returns {Object} The same type, completed
+ */
+function fieldType(type) {
+  type.toFloat32Array = (val) => {
+    const arr = new Float32Array(type.size / 4);
+    type.write(new DataView(arr.buffer), 0, val);
+    return arr;
+  };
+  type.fromFloat32Array = (arr) => type.read(new DataView(arr.buffer, arr.byteOffset, arr.byteLength), 0);
+  type.code = (name) => `${name}: ${type.wgsl}`;
+  return type;
+}
+
+/**
+ * Adapt a field type that only converts to and from Float32Arrays (`toFloat32Array`, `fromFloat32Array`,
+ * `code(name)`), as custom types were written before DataView packing, to the interface Struct packs with.
+ * Types that already have `write` are returned as they are.
+ * @param {Object} type - Field type
+ * @returns {Object} Field type with wgsl, align, write and read
+ * @throws {Error} If the WGSL type can't be told from `wgsl` or `code(name)`
+ */
+export function asFieldType(type) {
+  if (typeof type.write === 'function') return type;
+  const wgsl = type.wgsl || (typeof type.code === 'function' ? type.code('_').replace(/^_:\s*/, '') : '');
+  if (!wgsl) {
+    throw new Error('asFieldType: Custom field types need a wgsl type or a code(name) function returning the declaration');
+  }
+  const floats = type.size / 4;
+  return {
+    ...type,
+    align: type.align || Math.min(16, 2 ** Math.ceil(Math.log2(type.size))),
+    wgsl,
+    write: (view, offset, val) => {
+      type.toFloat32Array(val).forEach((v, i) => view.setFloat32(offset + 4 * i, v, true));
+    },
+    read: (view, offset) => {
+      const arr = new Float32Array(floats);
+      for (let i = 0; i < floats; i++) arr[i] = view.getFloat32(offset + 4 * i, true);
+      return type.fromFloat32Array ? type.fromFloat32Array(arr) : arr;
+    },
+  };
+}
+
+/**
+ * DataView accessors for each WGSL scalar type
+ */
+const scalarAccessors = {
+  f32: { get: 'getFloat32', set: 'setFloat32' },
+  i32: { get: 'getInt32', set: 'setInt32' },
+  u32: { get: 'getUint32', set: 'setUint32' },
+};
+
+/**
+ * Build a field type definition for a WGSL scalar or vector
+ * @param {string} typeName - Name used in error messages
+ * @param {string} scalar - Scalar type ('f32', 'i32' or 'u32')
+ * @param {Array<string>|null} keys - Component names of a vector, or null for a scalar
+ * @param {Object} [options]
+ * @param {string} [options.wgsl] - WGSL type, defaults to the scalar or vecN<scalar>
+ * @param {Array<number>} [options.defaults] - Default component values for object()
+ * @returns {Object} Field type definition
+ */
+function numericType(typeName, scalar, keys, options = {}) {
+  const { get, set } = scalarAccessors[scalar];
+  const count = keys ? keys.length : 1;
+  const size = 4 * count;
+  const wgsl = options.wgsl || (keys ? `vec${count}<${scalar}>` : scalar);
+  const defaults = options.defaults || new Array(count).fill(0);
+  const integer = scalar !== 'f32';
+
+  const check = (val) => {
+    if (!keys) {
+      if (typeof val !== 'number' || (integer && !Number.isInteger(val))) {
+        throw new Error(`${typeName}.write: Expected ${integer ? 'an integer' : 'a number'}`);
+      }
+      return;
+    }
+    if (!val || typeof val !== 'object' || keys.some(key => !(key in val))) {
+      throw new Error(`${typeName}.write: Expected an object with ${keys.join(', ')} properties`);
+    }
+  };
+
+  return fieldType({
+    size,
+    align: count === 3 ? 16 : size,
+    wgsl,
+    write: (view, offset, val) => {
+      check(val);
+      if (!keys) view[set](offset, val, true);
+      else keys.forEach((key, i) => view[set](offset + 4 * i, val[key], true));
+    },
+    read: (view, offset) => {
+      if (!keys) return view[get](offset, true);
+      const val = {};
+      keys.forEach((key, i) => { val[key] = view[get](offset + 4 * i, true); });
+      return val;
+    },
+    object: () => {
+      if (!keys) return defaults[0];
+      const val = {};
+      keys.forEach((key, i) => { val[key] = defaults[i]; });
+      return val;
+    }
+  });
+}
+
+const xy = ['x', 'y'];
+const xyz = ['x', 'y', 'z'];
+const xyzw = ['x', 'y', 'z', 'w'];
+
+/**
+ * Float (f32) type definition for WGSL
+ */
+export const type_f32 = numericType('type_f32', 'f32', null);
+
+/**
+ * 2D vector (vec2<f32>) type definition for WGSL
+ */
+export const type_vec2 = numericType('type_vec2', 'f32', xy);
+
+/**
+ * 3D vector (vec3<f32>) type definition for WGSL
+ */
+export const type_vec3 = numericType('type_vec3', 'f32', xyz);
+
+/**
+ * 4D vector (vec4<f32>) type definition for WGSL
+ */
+export const type_vec4 = numericType('type_vec4', 'f32', xyzw);
+
+/**
+ * RGBA color (vec4<f32>) type definition for WGSL
+ * Used for color values with r,g,b,a components
+ */
+export const type_color = numericType('type_color', 'f32', ['r', 'g', 'b', 'a'], { defaults: [0, 0, 0, 1] });
+
+/**
+ * Signed integer (i32) type definition for WGSL
+ */
+export const type_i32 = numericType('type_i32', 'i32', null);
+
+/**
+ * Unsigned integer (u32) type definition for WGSL
+ */
+export const type_u32 = numericType('type_u32', 'u32', null);
+
+/**
+ * Signed integer vectors (vec2<i32>, vec3<i32>, vec4<i32>) type definitions for WGSL
+ */
+export const type_vec2i = numericType('type_vec2i', 'i32', xy);
+export const type_vec3i = numericType('type_vec3i', 'i32', xyz);
+export const type_vec4i = numericType('type_vec4i', 'i32', xyzw);
+
+/**
+ * Unsigned integer vectors (vec2<u32>, vec3<u32>, vec4<u32>) type definitions for WGSL
+ */
+export const type_vec2u = numericType('type_vec2u', 'u32', xy);
+export const type_vec3u = numericType('type_vec3u', 'u32', xyz);
+export const type_vec4u = numericType('type_vec4u', 'u32', xyzw);
+
+/**
+ * Atomic counters (atomic<u32>, atomic<i32>) type definitions for WGSL.
+ * Only valid in storage buffers; packed like their underlying integer type.
+ */
+export const type_atomic_u32 = numericType('type_atomic_u32', 'u32', null, { wgsl: 'atomic<u32>' });
+export const type_atomic_i32 = numericType('type_atomic_i32', 'i32', null, { wgsl: 'atomic<i32>' });
+
+/**
+ * Build a matrix (matCxR<f32>) type definition for WGSL.
+ * Values are flat, column-major arrays of cols * rows numbers; each column is padded like a vecR.
+ * @param {number} cols - Number of columns (2-4)
+ * @param {number} rows - Number of rows (2-4)
+ * @returns {Object} Field type definition
+ */
+export function type_mat(cols, rows) {
+  if (![2, 3, 4].includes(cols) || ![2, 3, 4].includes(rows)) {
+    throw new Error('type_mat: Columns and rows must be 2, 3 or 4');
+  }
+  const typeName = `type_mat${cols}x${rows}`;
+  const align = rows === 3 ? 16 : 4 * rows;
+  const stride = roundUp(align, 4 * rows);
+
+  return fieldType({
+    size: cols * stride,
+    align,
+    wgsl: `mat${cols}x${rows}<f32>`,
+    write: (view, offset, val) => {
+      if (!val || val.length !== cols * rows) {
+        throw new Error(`${typeName}.write: Expected an array of ${cols * rows} numbers in column-major order`);
+      }
+      for (let c = 0; c < cols; c++) {
+        for (let r = 0; r < rows; r++) {
+          view.setFloat32(offset + c * stride + 4 * r, val[c * rows + r], true);
+        }
+      }
+    },
+    read: (view, offset) => {
+      const val = [];
+      for (let c = 0; c < cols; c++) {
+        for (let r = 0; r < rows; r++) {
+          val.push(view.getFloat32(offset + c * stride + 4 * r, true));
+        }
+      }
+      return val;
+    },
+    object: () => {
+      const val = [];
+      for (let c = 0; c < cols; c++) {
+        for (let r = 0; r < rows; r++) val.push(c === r ? 1 : 0);
+      }
+      return val;
+    }
+  });
+}
+
+/**
+ * Square matrix (mat2x2<f32>, mat3x3<f32>, mat4x4<f32>) type definitions for WGSL
+ */
+export const type_mat2x2 = type_mat(2, 2);
+export const type_mat3x3 = type_mat(3, 3);
+export const type_mat4x4 = type_mat(4, 4);
+
+/**
+ * Build a fixed-size array (array<T, N>) type definition for WGSL.
+ * Elements are placed at a stride of the element size rounded up to its alignment.
+ * @param {Object|Struct} element - Element type (any field type, including a Struct)
+ * @param {number} length - Number of elements
+ * @returns {Object} Field type definition
+ */
+export function type_array(element, length) {
+  if (!element || (typeof element.write !== 'function' && typeof element.toFloat32Array !== 'function')) {
+    throw new Error('type_array: Invalid element type provided');
+  }
+  element = asFieldType(element);
+  if (!Number.isInteger(length) || length < 1) {
+    throw new Error('type_array: Length must be a positive integer');
+  }
+  const stride = roundUp(alignOf(element), element.size);
+
+  return fieldType({
+    element,
+    length,
+    stride,
+    size: length * stride,
+    align: alignOf(element),
+    wgsl: `array<${element.wgsl}, ${length}>`,
+    write: (view, offset, val) => {
+      if (!Array.isArray(val) || val.length !== length) {
+        throw new Error(`type_array.write: Expected an array of ${length} elements`);
+      }
+      val.forEach((item, i) => element.write(view, offset + i * stride, item));
+    },
+    read: (view, offset) => {
+      const val = [];
+      for (let i = 0; i < length; i++) val.push(element.read(view, offset + i * stride));
+      return val;
+    },
+    object: () => Array.from({ length }, () => element.object())
+  });
+}
@@ -1,6 +1,9 @@
-import { Buffer } from './core.js';
+import { UniformBuffer } from './buffer.js';
 import { Struct, type_f32, type_vec2 } from './struct.js';
 import { canvas, height, width } from './canvas.js';
+import { registerAutoBinding } from './auto_bindings.js';
+import { clock, onTick } from './loop.js';
+import { trackSingleton } from './recovery.js';
 
 /**
  * Generates a random number between two values
@@ -48,7 +51,7 @@ export const map = (val, inMin, inMax, outMin, outMax) =>
 
 /**
  * Creates a mouse position buffer that updates on mouse movement
- * @returns {Buffer} Mouse position buffer with x, y coordinates and button state
+ * @returns {Buffer} Mouse position uniform buffer with x, y coordinates and button state
  * @throws {Error} If canvas is not defined
  * @example
  * createMouseBuffer();
@@ -64,7 +67,9 @@ export function createMouseBuffer() {
         { name: 'pos', type: type_vec2 },
         { name: 'button', type: type_f32 }
     ])
-    mouseBuffer = mouseStruct.createBuffer('mouse', mouseStruct.object())
+    mouseBuffer = mouseStruct.createUniformBuffer('mouse', mouseStruct.object())
+    registerAutoBinding('mouse', mouseBuffer, { global: true })
+    trackSingleton('mouse', mouseBuffer)
     const mouseEvent = (e) => {
         const rect = canvas.getBoundingClientRect()
         const mouseIsDown = e.buttons == 1 ? 0 : 1
@@ -81,13 +86,20 @@ export function createMouseBuffer() {
 }
 
 
-/** * Creates a time buffer that updates with the current time in seconds
- * @returns {Buffer} Time buffer that updates with the current time
+/** * Creates a time buffer that updates with the frame clock's time in seconds (see loop)
+ * @returns {Buffer} Time uniform buffer that updates every frame
  * @example
  * createTimeBuffer();
  * // This will create a buffer that updates with the current time in seconds
  */
 export let timeBuffer = null;
+
+/**
+ * Stops the clock updates of the current time buffer
+ * @type {function(): void|null}
+ */
+let stopTimeUpdates = null;
+
 export function getTimeBuffer() {
     if (!timeBuffer) {
         throw new Error('getTimeBuffer: Time buffer has not been created yet');
@@ -95,9 +107,11 @@ export function getTimeBuffer() {
     return timeBuffer;
 }
 export function createTimeBuffer() {
-    timeBuffer = new Buffer('time', new Float32Array([0]))
-    setInterval(() => {
-        timeBuffer.update(new Float32Array([performance.now() / 1000]))
-    }, 1000 / 60) // Update at 60 FPS
+    if (stopTimeUpdates) stopTimeUpdates()
+    timeBuffer = new UniformBuffer('time', new Float32Array([clock.time]))
+    registerAutoBinding('time', timeBuffer, { global: true })
+    trackSingleton('time', timeBuffer)
+    // follow the frame clock so time only moves with rendered frames and stops while paused
+    stopTimeUpdates = onTick(() => timeBuffer.update(new Float32Array([clock.time])))
     return timeBuffer
 }
\ No newline at end of file
@@ -2,6 +2,7 @@
 
 import { height, width } from './canvas.js';
 import { getNoiseCode } from './noise.js';
+import { registerShaderSource } from './diagnostics.js';
 
 class WGSLParser {
   constructor(code) {
@@ -9,6 +10,16 @@ class WGSLParser {
     this.position = 0;
     this.functions = [];
     this.body = [];
+    this.functionLines = [];
+    this.bodyLines = [];
+  }
+
+  lineAt(position) {
+    let line = 0;
+    for (let i = 0; i < position; i++) {
+      if (this.code[i] === '\n') line++;
+    }
+    return line;
   }
 
   peek(offset = 0) {
@@ -201,9 +212,11 @@ class WGSLParser {
       
       if (this.position >= this.code.length) break;
       
+      const fnStart = this.position;
       const fnCode = this.parseFunction();
       if (fnCode) {
         this.functions.push(fnCode);
+        this.functionLines.push(this.lineAt(fnStart));
       } else {
         // Not a function, add to body
         const lineStart = this.position;
@@ -215,13 +228,16 @@ class WGSLParser {
         const line = this.code.slice(lineStart, this.position).trim();
         if (line) {
           this.body.push(line);
+          this.bodyLines.push(this.lineAt(lineStart));
         }
       }
     }
     
     return {
       functions: this.functions,
-      body: this.body.join('\n')
+      body: this.body.join('\n'),
+      functionLines: this.functionLines,
+      bodyLines: this.bodyLines
     };
   }
 }
@@ -268,6 +284,50 @@ export function extractFunctionsAndBody(code) {
   }
 }
 
+/**
+ * Check whether WGSL code may write to a module-scope variable.
+ * Looks for assignments, compound assignments and increments to the variable or any
+ * of its elements/members, and for its address being taken (e.g. atomicAdd(&counter, 1)).
+ * @param {string} code - WGSL code
+ * @param {string} name - Variable name
+ * @returns {boolean} True if the code may write to the variable
+ */
+export function writesToVariable(code, name) {
+  // drop comments so commented-out assignments don't count
+  code = code.replace(/\/\*[\s\S]*?\*\//g, '').replace(/\/\/.*$/gm, '');
+
+  const identifier = new RegExp(`\\b${name}\\b`, 'g');
+  let match;
+  while ((match = identifier.exec(code))) {
+    let before = match.index - 1;
+    while (before >= 0 && /\s/.test(code[before])) before--;
+    if (code[before] === '.') continue; // a member of another variable
+    if (code[before] === '&' && code[before - 1] !== '&' && !/arrayLength\s*\(\s*$/.test(code.slice(0, before))) return true;
+
+    // skip element and member accessors
+    let i = match.index + name.length;
+    for (;;) {
+      while (i < code.length && /\s/.test(code[i])) i++;
+      if (code[i] === '[') {
+        let depth = 0;
+        do {
+          if (code[i] === '[') depth++;
+          else if (code[i] === ']') depth--;
+          i++;
+        } while (i < code.length && depth > 0);
+      } else if (code[i] === '.') {
+        i++;
+        while (i < code.length && /[\s\w]/.test(code[i])) i++;
+      } else break;
+    }
+
+    const rest = code.slice(i, i + 3);
+    if (/^=[^=]/.test(rest)) return true;
+    if (/^([-+*/%&|^]=|<<=|>>=|\+\+|--)/.test(rest)) return true;
+  }
+  return false;
+}
+
 class WGSLBuilder {
   constructor() {
     this.functions = [];
@@ -348,32 +408,92 @@ class WGSLBuilder {
   }
 }
 
+/**
+ * Templates of wgsl code that baked in the canvas width or height, by produced code
+ * @type {Map<string, string>}
+ */
+const sizedTemplates = new Map();
+const MAX_SIZED_TEMPLATES = 128;
+
+/**
+ * Remember the template of wgsl code, if it used the canvas size
+ * @param {string} code - Code produced by wgsl
+ * @param {string|null} template - Template, or null if it didn't use width or height
+ */
+function rememberSizedTemplate(code, template) {
+  if (template === null) return;
+  sizedTemplates.delete(code);
+  sizedTemplates.set(code, template);
+  if (sizedTemplates.size > MAX_SIZED_TEMPLATES) sizedTemplates.delete(sizedTemplates.keys().next().value);
+}
+
+/**
+ * Get the template of wgsl code that depends on the canvas size
+ * @param {string} code - Code produced by wgsl
+ * @returns {string|undefined} Template to pass to wgsl again after a resize, if the code used width or height
+ */
+export function getSizedTemplate(code) {
+  return sizedTemplates.get(code);
+}
+
+/**
+ * Map each line of the code wgsl() assembled to the template line it came from
+ * @param {Array<string>} functions - Helper functions, in the order they were placed before main
+ * @param {Array<number>} functionLines - Line of the code each function started on
+ * @param {Array<number>} bodyLines - Line of the code each body line came from
+ * @param {function(number): number|null} templateLine - Converts a line of the code to a template line
+ * @returns {Array<{line: number}|null>} Per assembled line (0-based): the 1-based template line, or null for generated lines
+ */
+function assembledLineMap(functions, functionLines, bodyLines, templateLine) {
+  const lines = [];
+  functions.forEach((fn, i) => {
+    fn.split('\n').forEach((_, j) => lines.push(templateLine(functionLines[i] + j)));
+    lines.push(null);
+  });
+  // @compute attribute and fn main header
+  lines.push(null, null);
+  bodyLines.forEach(line => lines.push(templateLine(line)));
+  // closing brace
+  lines.push(null);
+  return lines.map(line => line === null ? null : { line: line + 1 });
+}
+
 // Original template literal function
 export function wgsl(strings, ...values) {
   let code = String.raw({ raw: strings }, ...values);
+  const source = code;
+  const template = /\b(width|height)\b/.test(code) ? code : null;
 
   // Replace width and height placeholders
   code = code.replace(/\bwidth\b/g, width.toFixed(2));
   code = code.replace(/\bheight\b/g, height.toFixed(2));
 
   // If code uses noise or noise2, inject the noise function implementation
+  let addedLines = 0;
   if (/\bnoise\s*\(|\bnoise2\s*\(|\bnoise3\s*\(/.test(code)) {
     // Only add if not already present
     if (!/fn\s+noise\s*\(/.test(code) && !/fn\s+noise2\s*\(/.test(code) && !/fn\s+noise3\s*\(/.test(code)) {
-      code = getNoiseCode() + '\n\n' + code;
+      const noiseCode = getNoiseCode() + '\n\n';
+      addedLines = noiseCode.split('\n').length - 1;
+      code = noiseCode + code;
     }
   }
 
   // Remove leading/trailing whitespace but preserve internal structure
+  const trimmedLines = code.slice(0, code.length - code.trimStart().length).split('\n').length - 1;
   code = code.trim();
+  // line of the trimmed code to line of the template, null for the noise code
+  const templateLine = (line) => line + trimmedLines - addedLines < 0 ? null : line + trimmedLines - addedLines;
   
   // If user already wrote main function, return as-is
   if (/fn\s+main\s*\(/.test(code)) {
+    registerShaderSource(code, source, code.split('\n').map((_, i) => templateLine(i) === null ? null : { line: templateLine(i) + 1 }));
+    rememberSizedTemplate(code, template);
     return code;
   }
   
   // Extract helper functions and body
-  const { functions, body } = extractFunctionsAndBody(code);
+  const { functions, body, functionLines, bodyLines } = extractFunctionsAndBody(code);
   
   // Build the final WGSL code
   let result = '';
@@ -396,7 +516,10 @@ export function wgsl(strings, ...values) {
   }
   
   result += '}';
-  
+
+  // the fallback parser keeps no positions, diagnostics then match lines by their text
+  registerShaderSource(result, source, functionLines && assembledLineMap(functions, functionLines, bodyLines, templateLine));
+  rememberSizedTemplate(result, template);
   return result;
 }
 
@@ -0,0 +1,130 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { registerAutoBinding, unregisterAutoBinding, getAutoBindings, resolveAutoBindings, resolveGlobalBindings, getGlobalGroup, initDevice, UniformBuffer, Buffer, ComputePass, runPasses } from '../src/index';
+import { MockGPUDevice } from '../src/testing';
+
+const fakeResource = (name) => ({
+  name,
+  read: () => ({ name, access: 'read' }),
+  write: () => ({ name, access: 'write' }),
+});
+
+describe('Auto-binding registry', () => {
+  afterEach(() => {
+    getAutoBindings().forEach(({ name }) => unregisterAutoBinding(name));
+  });
+
+  test('should inject used bindings in registration order', () => {
+    const palette = fakeResource('palette');
+    const spectrum = fakeResource('spectrum');
+    registerAutoBinding('spectrum', spectrum);
+    registerAutoBinding('palette', palette);
+    registerAutoBinding('unused', fakeResource('unused'));
+
+    const added = resolveAutoBindings('let c = palette[0] * spectrum[1];', []);
+    expect(added).toEqual([spectrum, palette]);
+  });
+
+  test('should skip names already bound explicitly', () => {
+    registerAutoBinding('palette', fakeResource('palette'));
+    const explicit = fakeResource('palette');
+
+    expect(resolveAutoBindings('palette[0]', [explicit])).toEqual([]);
+  });
+
+  test('should apply the access mode and resolve factories lazily', () => {
+    let texture = null;
+    registerAutoBinding('history', () => texture, { access: 'read', regex: /\bhistory\b/ });
+
+    expect(resolveAutoBindings('textureLoad(history, id.xy)', [])).toEqual([]);
+    texture = fakeResource('history');
+    expect(resolveAutoBindings('textureLoad(history, id.xy)', [])).toEqual([{ name: 'history', access: 'read' }]);
+  });
+
+  test('should keep the original position when a name is registered again', () => {
+    registerAutoBinding('a', fakeResource('a'));
+    registerAutoBinding('b', fakeResource('b'));
+    registerAutoBinding('a', fakeResource('a'));
+
+    expect(getAutoBindings().map(b => b.name)).toEqual(['a', 'b']);
+  });
+
+  test('should leave global bindings to the shared group', () => {
+    registerAutoBinding('time', fakeResource('time'), { global: true });
+    registerAutoBinding('palette', fakeResource('palette'));
+
+    expect(resolveAutoBindings('palette[0] * time', []).map(b => b.name)).toEqual(['palette']);
+    expect(getAutoBindings().find(b => b.name === 'time')).toMatchObject({ global: true, access: 'read' });
+    expect(() => registerAutoBinding('state', fakeResource('state'), { global: true, access: 'write' })).toThrow();
+  });
+
+  test('should declare the used globals at their shared binding index', () => {
+    const global = (name) => ({ name, getBindingCode: (i, group) => `@group(${group}) @binding(${i}) var<uniform> ${name}: f32;` });
+    const group = { bindings: [global('time'), global('mouse')], regexes: [/\btime\b/, /\bmouse\b/] };
+
+    const resolved = resolveGlobalBindings('let m = mouse;', [], group);
+    expect(resolved.names).toEqual(['mouse']);
+    expect(resolved.code).toBe('@group(0) @binding(1) var<uniform> mouse: f32;\n');
+    expect(resolveGlobalBindings('let m = mouse;', [{ name: 'mouse' }], group).names).toEqual([]);
+  });
+});
+
+describe('Global bind groups', () => {
+  let device;
+
+  beforeEach(async () => {
+    device = new MockGPUDevice();
+    await initDevice({ device, headless: true, width: 8, height: 8 });
+  });
+
+  afterEach(() => {
+    getAutoBindings().forEach(({ name }) => unregisterAutoBinding(name));
+  });
+
+  const passCode = (body) => `@compute @workgroup_size(1)
+fn main(@builtin(global_invocation_id) id: vec3<u32>) {
+  ${body}
+}`;
+
+  test('should only hold the globals a pass uses', () => {
+    const time = new UniformBuffer('time', [0, 0, 0, 0]);
+    const scale = new UniformBuffer('scale', [1, 1, 1, 1]);
+    registerAutoBinding('time', time, { global: true });
+    registerAutoBinding('scale', scale, { global: true });
+    const out = new Buffer('out', new Float32Array(4), { isArray: true });
+
+    const plain = new ComputePass(passCode('out[id.x] = 1.0;'), [out], 4);
+    const scaled = new ComputePass(passCode('out[id.x] = scale.x;'), [out], 4);
+    runPasses([plain, scaled]);
+
+    expect(plain.globalGroup.bindings).toEqual([]);
+    expect(plain.code).not.toContain('@group(0)');
+    expect(scaled.globalBindings).toEqual(['scale']);
+    expect(scaled.code).toContain('@group(0) @binding(0) var<uniform> scale: vec4<f32>;');
+    expect(device.dispatches[1].bindGroups[0].entries.map(entry => entry.resource.buffer)).toEqual([scale.buffer]);
+  });
+
+  test('should share a group between passes using the same globals', () => {
+    registerAutoBinding('time', new UniformBuffer('time', [0, 0, 0, 0]), { global: true });
+    registerAutoBinding('scale', new UniformBuffer('scale', [1, 1, 1, 1]), { global: true });
+
+    expect(getGlobalGroup('time.x * scale.x')).toBe(getGlobalGroup('scale.y + time.y'));
+    expect(getGlobalGroup('time.x')).not.toBe(getGlobalGroup('time.x * scale.x'));
+    expect(getGlobalGroup('time.x * scale.x').bindings.map(binding => binding.name)).toEqual(['time', 'scale']);
+    expect(getGlobalGroup('time.x', [{ name: 'time' }]).bindings).toEqual([]);
+  });
+
+  test('should resolve global factories only once a shader uses them', () => {
+    const factory = jest.fn(() => new UniformBuffer('noise', [0, 0, 0, 0]));
+    registerAutoBinding('noise', factory, { global: true });
+
+    new ComputePass(passCode('let x = 1.0;'), [], 4);
+    expect(factory).not.toHaveBeenCalled();
+
+    new ComputePass(passCode('let x = noise.x;'), [], 4);
+    new ComputePass(passCode('let y = noise.y;'), [], 4);
+    expect(factory).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { initDevice, Buffer, Struct, flushBufferWrites, type_f32, type_u32, type_vec2, type_vec4i } from '../src/index';
+import { MockGPUDevice } from '../src/testing';
+
+describe('Buffer.getData()', () => {
+  let device;
+
+  beforeEach(async () => {
+    device = new MockGPUDevice();
+    await initDevice({ device, headless: true, width: 8, height: 8 });
+  });
+
+  test('should return the typed array matching the element type', async () => {
+    const floats = new Buffer('floats', [0.5, 1.5, 2.5]);
+    const counts = new Buffer('counts', [1, 2, 3, 4], { type: type_u32 });
+    const cells = new Buffer('cells', new Int32Array([-1, 2, -3, 4]), { type: type_vec4i });
+
+    expect(await floats.getData()).toEqual(new Float32Array([0.5, 1.5, 2.5]));
+    expect(await counts.getData()).toEqual(new Uint32Array([1, 2, 3, 4]));
+    expect(await cells.getData()).toEqual(new Int32Array([-1, 2, -3, 4]));
+  });
+
+  test('should store custom field types by their wgsl type', async () => {
+    const type_pair = { size: 8, toFloat32Array: (val) => new Float32Array(val), code: (name) => `${name}: vec2<u32>` };
+    const pairs = new Buffer('pairs', [1, 2, 3, 4], { type: type_pair });
+
+    expect(await pairs.getData()).toEqual(new Uint32Array([1, 2, 3, 4]));
+    expect(pairs.type.wgsl).toBe('vec2<u32>');
+    expect(() => new Buffer('pairs', [1, 2], { type: { size: 8, toFloat32Array: () => {} } })).toThrow('need a wgsl type');
+  });
+
+  test('should read a sub-range', async () => {
+    const counts = new Uint32Array([10, 20, 30, 40]);
+    const buffer = new Buffer('counts', counts);
+
+    expect(await buffer.getData({ offset: 4, size: 8 })).toEqual(new Uint32Array([20, 30]));
+    expect(await buffer.getData({ offset: 8 })).toEqual(new Uint32Array([30, 40]));
+  });
+
+  test('should decode struct buffers into objects', async () => {
+    const Particle = new Struct('Particle', [
+      { name: 'pos', type: type_vec2 },
+      { name: 'id', type: type_u32 },
+      { name: 'mass', type: type_f32 },
+    ]);
+    const particles = Particle.createBuffer('particles', [
+      { pos: { x: 1, y: 2 }, id: 7, mass: 0.5 },
+      { pos: { x: 3, y: 4 }, id: 8, mass: 1.5 },
+    ]);
+    const single = Particle.createBuffer('single', { pos: { x: 5, y: 6 }, id: 9, mass: 2 });
+
+    expect(await particles.getData()).toEqual([
+      { pos: { x: 1, y: 2 }, id: 7, mass: 0.5 },
+      { pos: { x: 3, y: 4 }, id: 8, mass: 1.5 },
+    ]);
+    expect(await particles.getData({ offset: Particle.byteSize, size: Particle.byteSize })).toEqual([
+      { pos: { x: 3, y: 4 }, id: 8, mass: 1.5 },
+    ]);
+    expect(await single.getData()).toEqual({ pos: { x: 5, y: 6 }, id: 9, mass: 2 });
+    await expect(particles.getData({ offset: 4 })).rejects.toThrow('whole Particle elements');
+  });
+
+  test('should see data written on the GPU and reuse its staging buffer', async () => {
+    const buffer = new Buffer('values', new Float32Array(4));
+    await buffer.getData();
+    const created = device.buffers.length;
+
+    new Float32Array(buffer.buffer.data).set([1, 2, 3, 4]);
+    expect(await buffer.getData()).toEqual(new Float32Array([1, 2, 3, 4]));
+    expect(device.buffers).toHaveLength(created);
+  });
+});
+
+describe('Buffer partial writes', () => {
+  let device;
+
+  beforeEach(async () => {
+    device = new MockGPUDevice();
+    await initDevice({ device, headless: true, width: 8, height: 8 });
+  });
+
+  const uploads = (buffer) => device.writes.filter(write => write.buffer === buffer.buffer).map(({ offset, size }) => [offset, size]);
+
+  test('should batch writes until flushBufferWrites', () => {
+    const buffer = new Buffer('values', new Float32Array(16));
+    buffer.writeRange(0, [1, 2]);
+    buffer.writeRange(8, new Float32Array([3]));
+
+    expect(uploads(buffer)).toEqual([]);
+    expect(Array.from(buffer.data.subarray(0, 3))).toEqual([1, 2, 3]);
+
+    flushBufferWrites();
+    expect(uploads(buffer)).toEqual([[0, 12]]);
+    expect(Array.from(new Float32Array(buffer.buffer.data, 0, 3))).toEqual([1, 2, 3]);
+
+    flushBufferWrites();
+    expect(uploads(buffer)).toHaveLength(1);
+  });
+
+  test('should keep separate ranges apart', () => {
+    const buffer = new Buffer('values', new Float32Array(16));
+    buffer.writeRange(48, [4]);
+    buffer.writeRange(0, [1]);
+    buffer.writeRange(16, [2, 3]);
+    buffer.writeRange(20, [5, 6]);
+    flushBufferWrites();
+
+    expect(uploads(buffer)).toEqual([[0, 4], [16, 12], [48, 4]]);
+    expect(Array.from(new Float32Array(buffer.buffer.data, 16, 3))).toEqual([2, 5, 6]);
+  });
+
+  test('should upload only the bytes of a struct element', async () => {
+    const Particle = new Struct('Particle', [
+      { name: 'pos', type: type_vec2 },
+      { name: 'id', type: type_u32 },
+      { name: 'mass', type: type_f32 },
+    ]);
+    const particles = Particle.createBuffer('particles', [Particle.object(), Particle.object(), Particle.object()]);
+    particles.setElement(1, { pos: { x: 3, y: 4 }, id: 8, mass: 1.5 });
+
+    expect(await particles.getData()).toEqual([Particle.object(), { pos: { x: 3, y: 4 }, id: 8, mass: 1.5 }, Particle.object()]);
+    expect(uploads(particles)).toEqual([[Particle.byteSize, Particle.byteSize]]);
+    expect(() => particles.setElement(3, Particle.object())).toThrow('out of range');
+  });
+
+  test('should reject writes outside the buffer', () => {
+    const buffer = new Buffer('values', new Float32Array(4));
+
+    expect(() => buffer.writeRange(2, [1])).toThrow('multiple of 4');
+    expect(() => buffer.writeRange(12, [1, 2])).toThrow('overflows');
+    expect(() => new Buffer('plain', [1]).setElement(0, {})).toThrow('not created from a Struct');
+  });
+
+  test('should keep write() a binding accessor', () => {
+    const buffer = new Buffer('values', new Float32Array(4));
+    const binding = buffer.write('out');
+
+    expect(binding.access).toBe('read_write');
+    expect(binding.name).toBe('out');
+    expect(device.writes).toHaveLength(0);
+  });
+
+  test('should drop pending writes covered by a full update', () => {
+    const buffer = new Buffer('values', new Float32Array(4));
+    buffer.writeRange(4, [1]);
+    buffer.update(new Float32Array([5, 6, 7, 8]));
+    flushBufferWrites();
+
+    expect(uploads(buffer)).toEqual([[0, 16]]);
+  });
+});
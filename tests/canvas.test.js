@@ -0,0 +1,257 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import * as lib from '../src/index';
+import { MockGPUDevice, createMockGPU } from '../src/testing';
+
+const { initDevice } = lib;
+
+describe('initDevice()', () => {
+  const fakeDevice = () => ({
+    limits: {},
+    addEventListener: () => {},
+    lost: new Promise(() => {}),
+  });
+  const fakeGPU = (device) => ({
+    requestAdapter: async () => device && { limits: {}, requestDevice: async () => device },
+  });
+
+  test('should fail without WebGPU or an adapter', async () => {
+    await expect(initDevice()).rejects.toThrow('not supported');
+    await expect(initDevice({ gpu: fakeGPU(null) })).rejects.toThrow('adapter');
+  });
+
+  test('should run headless on an injected gpu object', async () => {
+    const device = fakeDevice();
+    const result = await initDevice({ gpu: fakeGPU(device), headless: true, width: 64, height: 32 });
+
+    expect(result).toEqual({ device, width: 64, height: 32 });
+    expect(lib.device).toBe(device);
+    expect(lib.canvas).toBeNull();
+    expect(lib.ctx).toBeNull();
+  });
+
+  test('should drop what was cached for the previous device', async () => {
+    const code = `@compute @workgroup_size(1)
+fn main(@builtin(global_invocation_id) id: vec3<u32>) {
+  values[id.x] = globalData[0].time;
+}`;
+    const run = async (device) => {
+      await initDevice({ device, headless: true, width: 8, height: 8 });
+      const values = new lib.Buffer('values', new Float32Array(4), { isArray: true });
+      lib.runPasses([new lib.ComputePass(code, [values], 4)]);
+      await values.getData();
+    };
+    const first = new MockGPUDevice();
+    const second = new MockGPUDevice();
+    await run(first);
+    await run(second);
+
+    expect(second.shaderModules).toHaveLength(1);
+    expect(second.pipelines).toHaveLength(1);
+    expect(second.dispatches[0].pipeline).toBe(second.pipelines[0]);
+    expect(second.dispatches[0].bindGroups.every(group => second.bindGroups.includes(group))).toBe(true);
+    expect(first.buffers.every(buffer => !second.buffers.includes(buffer))).toBe(true);
+    const entries = second.dispatches[0].bindGroups.flatMap(group => group.entries);
+    expect(entries.map(entry => entry.resource.buffer.label)).toEqual(['globalData', 'values']);
+    expect(entries.every(entry => second.buffers.includes(entry.resource.buffer))).toBe(true);
+  });
+});
+
+// a canvas whose webgpu context only records configure()
+const canvasElement = () => {
+  const element = document.createElement('canvas');
+  element.getContext = () => ({ configure: jest.fn() });
+  return element;
+};
+
+describe('initCanvas()', () => {
+  test('should work on an injected device without navigator.gpu', async () => {
+    const device = new MockGPUDevice();
+    const { canvas } = await lib.initCanvas({ device, canvas: canvasElement(), width: 40, height: 20 });
+
+    expect(canvas.width).toBe(80);
+    expect(lib.canvasPresentationFormat).toBe('rgba8unorm');
+    expect(lib.ctx.configure).toHaveBeenCalledWith({ device, format: 'rgba8unorm', alphaMode: 'premultiplied' });
+  });
+
+  test('should use the format option over the preferred format', async () => {
+    const gpu = { ...createMockGPU(), getPreferredCanvasFormat: () => 'bgra8unorm' };
+    await lib.initCanvas({ gpu, canvas: canvasElement(), width: 40, height: 20 });
+    expect(lib.canvasPresentationFormat).toBe('bgra8unorm');
+
+    await lib.initCanvas({ gpu, canvas: canvasElement(), width: 40, height: 20, format: 'rgba16float' });
+    expect(lib.canvasPresentationFormat).toBe('rgba16float');
+  });
+});
+
+describe('Canvas resize', () => {
+  let device;
+  let resized;
+
+  beforeEach(async () => {
+    resized = [];
+    await lib.initCanvas({ gpu: createMockGPU(), canvas: canvasElement(), width: 40, height: 20, pixelDensity: 1, onResize: (w, h) => resized.push([w, h]) });
+    device = lib.device;
+  });
+
+  const fill = `@compute @workgroup_size(1)
+fn main(@builtin(global_invocation_id) id: vec3<u32>) {
+  cells[id.x] = 1.0;
+}`;
+
+  test('should resize canvas-sized textures', () => {
+    const field = lib.Texture.fitCanvas('field');
+    const fixed = new lib.Texture('fixed', 40, 20);
+    const texture = field.texture;
+    expect([field.width, field.height]).toEqual([40, 20]);
+
+    lib.resizeCanvas(30, 10);
+    expect([field.width, field.height]).toEqual([30, 10]);
+    expect([field.texture.width, field.texture.height]).toEqual([30, 10]);
+    expect(texture.destroyed).toBe(true);
+    expect([fixed.width, fixed.height]).toEqual([40, 20]);
+  });
+
+  test('should dispatch fitCanvas passes over the new size', () => {
+    const cells = new lib.Buffer('cells', new Float32Array(4), { isArray: true });
+    const pass = new lib.ComputePass(fill, [cells], 0, { fitCanvas: true, rawDispatch: true });
+    lib.runPasses([pass]);
+    lib.resizeCanvas(30, 10);
+    lib.runPasses([pass]);
+
+    expect(device.dispatches.map(dispatch => dispatch.workgroups)).toEqual([[40, 20, 1], [30, 10, 1]]);
+  });
+
+  test('should stop following the canvas once destroyed', () => {
+    const field = lib.Texture.fitCanvas('field');
+    const cells = new lib.Buffer('cells', new Float32Array(4), { isArray: true });
+    const pass = new lib.ComputePass(fill, [cells], 0, { fitCanvas: true, rawDispatch: true });
+    const texture = field.texture;
+    const rebuild = jest.spyOn(pass, 'rebuild');
+    field.destroy();
+    pass.destroy();
+    expect(texture.destroyed).toBe(true);
+
+    lib.resizeCanvas(30, 10);
+    expect([field.width, field.height]).toEqual([40, 20]);
+    expect(device.textures.filter(created => created.label === 'field')).toHaveLength(1);
+    expect(rebuild).not.toHaveBeenCalled();
+  });
+
+  test('should regenerate wgsl code that used width or height', () => {
+    const sizes = new lib.Buffer('sizes', new Float32Array(4), { isArray: true });
+    const cells = new lib.Buffer('cells', new Float32Array(4), { isArray: true });
+    const sized = new lib.ComputePass(lib.wgsl`@compute @workgroup_size(1)
+fn main(@builtin(global_invocation_id) id: vec3<u32>) {
+  sizes[id.x] = width * height;
+}`, [sizes], 4);
+    const fixed = new lib.ComputePass(lib.wgsl`${fill}`, [cells], 4);
+    const pipeline = fixed.pipeline;
+    expect(sized.code).toContain('sizes[id.x] = 40.00 * 20.00;');
+
+    lib.resizeCanvas(30, 10);
+    lib.runPasses([sized]);
+    expect(sized.code).toContain('sizes[id.x] = 30.00 * 10.00;');
+    expect(device.dispatches[0].code).toContain('30.00 * 10.00');
+    expect(device.dispatches[0].bindGroups[1].entries[0].resource.buffer).toBe(sizes.buffer);
+    expect(fixed.pipeline).toBe(pipeline);
+  });
+
+  test('should call onResize after updating, and skip resizes to the same size', () => {
+    const field = lib.Texture.fitCanvas('field');
+    lib.resizeCanvas(40, 20);
+    expect(resized).toEqual([]);
+
+    lib.resizeCanvas(25.4, 12.6);
+    expect(resized).toEqual([[25, 13]]);
+    expect([lib.width, lib.height, field.width]).toEqual([25, 13, 25]);
+  });
+
+  test('should follow the container once per frame with the resize option', async () => {
+    const { ResizeObserver, requestAnimationFrame } = global;
+    const frames = [];
+    let observed = null;
+    global.ResizeObserver = class {
+      constructor(callback) { this.callback = callback; }
+      observe(target) { observed = { target, callback: this.callback }; }
+      disconnect() {}
+    };
+    global.requestAnimationFrame = (callback) => frames.push(callback);
+    try {
+      const container = document.createElement('div');
+      container.id = 'stage';
+      Object.defineProperties(container, { clientWidth: { value: 64, configurable: true }, clientHeight: { value: 32, configurable: true } });
+      document.body.appendChild(container);
+      await lib.initCanvas({ gpu: createMockGPU(), canvas: canvasElement(), containerId: 'stage', pixelDensity: 1, resize: true });
+      expect(observed.target).toBe(container);
+      expect([lib.width, lib.height]).toEqual([64, 32]);
+
+      Object.defineProperties(container, { clientWidth: { value: 48 }, clientHeight: { value: 24 } });
+      observed.callback();
+      observed.callback();
+      expect(frames).toHaveLength(1);
+      frames[0]();
+      expect([lib.width, lib.height]).toEqual([48, 24]);
+      container.remove();
+    } finally {
+      global.ResizeObserver = ResizeObserver;
+      global.requestAnimationFrame = requestAnimationFrame;
+    }
+  });
+});
+
+describe('Pixel density and render scale', () => {
+  const init = (options) => lib.initCanvas({ gpu: createMockGPU(), canvas: canvasElement(), width: 40, height: 20, ...options });
+
+  afterEach(() => {
+    delete window.devicePixelRatio;
+  });
+
+  test('should size the drawing buffer by the pixel density and render at renderScale of it', async () => {
+    const { canvas, width, height } = await init({ renderScale: 0.5 });
+
+    expect([lib.displayWidth, lib.displayHeight]).toEqual([40, 20]);
+    expect([canvas.style.width, canvas.style.height]).toEqual(['40px', '20px']);
+    expect([canvas.width, canvas.height]).toEqual([80, 40]);
+    expect([width, height, lib.pixelDensity, lib.renderScale]).toEqual([40, 20, 2, 0.5]);
+    expect(lib.Texture.fitCanvas('render').width).toBe(40);
+
+    lib.resizeCanvas(30, 15);
+    expect([canvas.width, canvas.height, lib.width, lib.height]).toEqual([60, 30, 30, 15]);
+  });
+
+  test('should follow devicePixelRatio with \'auto\'', async () => {
+    Object.defineProperty(window, 'devicePixelRatio', { value: 3, configurable: true });
+    const { canvas } = await init({ pixelDensity: 'auto' });
+    expect([canvas.width, canvas.height, lib.pixelDensity]).toEqual([120, 60, 3]);
+
+    // moved to another screen: the same CSS size picks up the new density
+    Object.defineProperty(window, 'devicePixelRatio', { value: 1.5, configurable: true });
+    lib.resizeCanvas(40, 20);
+    expect([canvas.width, canvas.height, lib.width, lib.height]).toEqual([60, 30, 60, 30]);
+  });
+
+  test('should reject invalid densities and scales', async () => {
+    await expect(init({ pixelDensity: 0 })).rejects.toThrow("pixelDensity must be a positive number or 'auto', got 0");
+    await expect(init({ pixelDensity: 'high' })).rejects.toThrow('pixelDensity must be');
+    await expect(init({ renderScale: -1 })).rejects.toThrow('renderScale must be a positive number, got -1');
+  });
+
+  test('should scale the render texture with the chosen filter', async () => {
+    await init({ renderScale: 0.5 });
+    const texture = lib.Texture.fitCanvas('render');
+    const code = `@vertex fn vs(@builtin(vertex_index) i: u32) -> @builtin(position) vec4<f32> {
+  return vec4<f32>(0.0, 0.0, 0.0, 1.0);
+}
+
+@fragment fn fs() -> @location(0) vec4<f32> {
+  return vec4<f32>(1.0);
+}`;
+
+    expect(new lib.RenderPass(texture, code).sampler).toMatchObject({ magFilter: 'linear', minFilter: 'linear' });
+    expect(new lib.RenderPass(texture, code, { filter: 'nearest' }).sampler).toMatchObject({ magFilter: 'nearest', minFilter: 'nearest' });
+    expect(() => new lib.RenderPass(texture, code, { filter: 'cubic' })).toThrow("filter must be 'linear' or 'nearest', got cubic");
+  });
+});
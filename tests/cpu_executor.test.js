@@ -0,0 +1,159 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { initDevice, Buffer, ComputePass, runPasses, readBuffer, wgsl } from '../src/index';
+import { runComputeShader, WGSLExecutionError, MockGPUDevice, MockGPUTexture } from '../src/testing';
+
+/**
+ * Run a shader with one storage buffer bound at group 0, binding 0, and return its contents
+ */
+function runWithBuffer(code, data, workgroups = [1, 1, 1]) {
+  const buffer = { data: data.buffer.slice(0), size: data.byteLength };
+  runComputeShader(code, { workgroups, resource: (group, binding) => (group === 0 && binding === 0 ? { buffer } : null) });
+  return new data.constructor(buffer.data);
+}
+
+describe('runComputeShader()', () => {
+  test('should follow WGSL integer and float semantics', () => {
+    const result = runWithBuffer(`
+      @group(0) @binding(0) var<storage, read_write> out: array<u32>;
+      @compute @workgroup_size(1)
+      fn main() {
+        let big = 0xffffffffu;
+        out[0] = big + 2u;
+        out[1] = u32(-1i * 7i / 2i);
+        out[2] = 7u / 0u;
+        out[3] = bitcast<u32>(1.0f);
+        out[4] = u32(round(2.5)) + u32(round(3.5));
+        out[5] = countOneBits(0xf0u) << 4u;
+      }
+    `, new Uint32Array(6));
+
+    expect(Array.from(result)).toEqual([1, (-3) >>> 0, 7, 0x3f800000, 6, 64]);
+  });
+
+  test('should lay out structs in buffers like the GPU does', () => {
+    const data = new Float32Array(16);
+    const result = runWithBuffer(`
+      struct Particle {
+        pos: vec3f,
+        mass: f32,
+        vel: vec2<f32>,
+      }
+      @group(0) @binding(0) var<storage, read_write> particles: array<Particle>;
+      @compute @workgroup_size(2)
+      fn main(@builtin(global_invocation_id) id: vec3u) {
+        var p = particles[id.x];
+        p.pos = vec3(f32(id.x), 2.0, 3.0);
+        p.mass = 4.0;
+        p.vel.y = f32(arrayLength(&particles));
+        particles[id.x] = p;
+      }
+    `, data);
+
+    expect(Array.from(result)).toEqual([0, 2, 3, 4, 0, 2, 0, 0, 1, 2, 3, 4, 0, 2, 0, 0]);
+  });
+
+  test('should run loops, switches and user functions', () => {
+    const result = runWithBuffer(`
+      @group(0) @binding(0) var<storage, read_write> out: array<i32>;
+      fn fib(n: i32) -> i32 {
+        var a = 0;
+        var b = 1;
+        for (var i = 0; i < n; i++) {
+          let next = a + b;
+          a = b;
+          b = next;
+        }
+        return a;
+      }
+      @compute @workgroup_size(4)
+      fn main(@builtin(local_invocation_index) i: u32) {
+        var total = 0;
+        var k = 0;
+        loop {
+          k += 1;
+          if (k % 2 == 0) { continue; }
+          total += k;
+          continuing { break if k >= 9; }
+        }
+        switch (i) {
+          case 0u: { out[i] = fib(10); }
+          case 1u, 2u: { out[i] = total; }
+          default: { out[i] = -1; }
+        }
+      }
+    `, new Int32Array(4));
+
+    expect(Array.from(result)).toEqual([55, 25, 25, -1]);
+  });
+
+  test('should load and store texels of CPU-side textures', () => {
+    const source = new MockGPUTexture({ size: [4, 1], format: 'r32float' });
+    new Float32Array(source.data.buffer).set([0.5, 1, 1.5, 2]);
+    const target = new MockGPUTexture({ size: [4, 1], format: 'rgba8unorm' });
+    runComputeShader(`
+      @group(0) @binding(0) var source: texture_2d<f32>;
+      @group(0) @binding(1) var target: texture_storage_2d<rgba8unorm, write>;
+      @compute @workgroup_size(4)
+      fn main(@builtin(global_invocation_id) id: vec3u) {
+        let v = textureLoad(source, vec2i(id.xy), 0).r;
+        textureStore(target, vec2u(id.x, 0u), vec4f(v / 2.0, 0.0, 1.0, f32(textureDimensions(source).x) / 4.0));
+      }
+    `, { resource: (group, binding) => [source.createView(), target.createView()][binding] });
+
+    expect(Array.from(target.data)).toEqual([64, 0, 255, 255, 128, 0, 255, 255, 191, 0, 255, 255, 255, 0, 255, 255]);
+  });
+
+  test('should report the line of unsupported code', () => {
+    const code = `
+      @compute @workgroup_size(1)
+      fn main() {
+        workgroupBarrier();
+      }
+    `;
+    expect(() => runComputeShader(code)).toThrow(WGSLExecutionError);
+    expect(() => runComputeShader(code)).toThrow('(line 4)');
+  });
+});
+
+describe('MockGPUDevice with execute', () => {
+  let device;
+
+  beforeEach(async () => {
+    device = new MockGPUDevice({ execute: true });
+    await initDevice({ device, headless: true, width: 8, height: 4 });
+  });
+
+  test('should move particles when running passes', async () => {
+    const positions = new Buffer('positions', new Float32Array([0, 10, 20, 30]), { isArray: true });
+    const speeds = new Buffer('speeds', new Float32Array([1, 2, 3, 4]), { isArray: true });
+    const step = new ComputePass(`
+      @compute @workgroup_size(1)
+      fn main(@builtin(global_invocation_id) id: vec3u) {
+        positions[id.x] = positions[id.x] + speeds[id.x];
+      }
+    `, [positions, speeds], 4);
+    runPasses([step], 5);
+
+    expect(device.dispatches).toHaveLength(5);
+    expect(Array.from(new Float32Array(await readBuffer(positions.buffer)))).toEqual([5, 20, 35, 50]);
+  });
+
+  test('should run the noise functions', async () => {
+    const values = new Buffer('values', new Float32Array(8), { isArray: true });
+    const pass = new ComputePass(wgsl`
+      @compute @workgroup_size(1)
+      fn main(@builtin(global_invocation_id) id: vec3u) {
+        let p = f32(id.x) * 0.37;
+        values[id.x] = noise2(vec2f(p, p * 2.0));
+      }
+    `, [values], 8);
+    runPasses([pass]);
+
+    const noise = Array.from(new Float32Array(await readBuffer(values.buffer)));
+    noise.forEach(v => expect(Math.abs(v)).toBeLessThanOrEqual(1));
+    expect(new Set(noise).size).toBeGreaterThan(1);
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { createSourceMap, mapCompilationMessage, formatDiagnostic, ShaderCompilationError, getShaderSource, wgsl, initDevice } from '../src/index';
+import { MockGPUDevice } from '../src/testing';
+
+describe('Shader diagnostics', () => {
+  const source = `
+    fn helper() -> f32 { return 1.0; }
+    let x = foo + 1.0;
+  `;
+  // what the wgsl template makes of it: helpers hoisted, body wrapped and re-indented
+  const input = `fn helper() -> f32 { return 1.0; }
+
+@compute @workgroup_size(1)
+fn main(@builtin(global_invocation_id) id: vec3<u32>) {
+  let x = foo + 1.0;
+}`;
+
+  test('should match generated lines to source lines by text', () => {
+    const map = createSourceMap(input, source);
+    expect(map[0]).toEqual({ line: 2, shift: 4 });
+    expect(map[3]).toBeNull();
+    expect(map[4]).toEqual({ line: 3, shift: 2 });
+  });
+
+  test('should map a message through prepended bindings and edited lines', () => {
+    const prefix = '@group(1) @binding(0) var<storage, read> data: array<f32>;\n';
+    const code = prefix + input.replace('@workgroup_size(1)', '@workgroup_size(64)');
+    const message = { type: 'error', message: "unresolved value 'foo'", lineNum: 6, linePos: 11, length: 3 };
+
+    const diagnostic = mapCompilationMessage(message, { code, input, prefixLines: 1, source });
+    expect(diagnostic).toMatchObject({ line: 3, column: 13, inSource: true, text: '    let x = foo + 1.0;' });
+    expect(formatDiagnostic(diagnostic).split('\n').slice(2)).toEqual([
+      '  3 |     let x = foo + 1.0;',
+      '    |             ^^^',
+    ]);
+  });
+
+  test('should report generated lines in generated coordinates', () => {
+    const code = input + '\nfn linearInvocationIndex(gid: vec3<u32>) -> u32 { return gid.x; }';
+    const message = { type: 'error', message: 'bad', lineNum: 7, linePos: 1, length: 2 };
+
+    const diagnostic = mapCompilationMessage(message, { code, input, source });
+    expect(diagnostic).toMatchObject({ line: 7, inSource: false });
+    const error = new ShaderCompilationError('ComputePass', [diagnostic, { ...diagnostic, type: 'warning' }], code);
+    expect(error.message).toMatch(/failed with 1 error\n/);
+    expect(error.message).toMatch(/of the generated shader/);
+  });
+});
+
+describe('Diagnostics of wgsl code', () => {
+  beforeAll(async () => {
+    await initDevice({ device: new MockGPUDevice(), headless: true, width: 800, height: 600 });
+  });
+
+  const messageAt = (code, text, search) => {
+    const lines = code.split('\n');
+    const lineNum = lines.findIndex(line => line.includes(text)) + 1;
+    return { type: 'error', message: 'bad', lineNum, linePos: lines[lineNum - 1].indexOf(search) + 1, length: search.length };
+  };
+
+  test('should map lines where they were assembled from, even when their text repeats', () => {
+    const source = `
+      total += 1.0;
+      fn helper() -> f32 {
+        var total = 0.0;
+        total += 1.0;
+        return total;
+      }
+    `;
+    const code = wgsl([source]);
+    // the helper is placed before main, its copy of the repeated line comes first
+    const lines = code.split('\n');
+    const helperLine = lines.findIndex(line => line.includes('total += 1.0;')) + 1;
+    const bodyLine = lines.lastIndexOf('  total += 1.0;') + 1;
+
+    const message = (lineNum) => ({ type: 'error', message: 'bad', lineNum, linePos: lines[lineNum - 1].indexOf('total') + 1, length: 5 });
+    expect(mapCompilationMessage(message(helperLine), { code, input: code })).toMatchObject({ line: 5, column: 9, inSource: true });
+    expect(mapCompilationMessage(message(bodyLine), { code, input: code })).toMatchObject({ line: 2, column: 7, inSource: true });
+  });
+
+  test('should point into the template as written, before the canvas size was substituted', () => {
+    const source = `
+      let aspect = width / height + foo;
+    `;
+    const code = wgsl([source]);
+    expect(code).toContain('800.00 / 600.00');
+    expect(getShaderSource(code)).toBe(source);
+
+    const diagnostic = mapCompilationMessage(messageAt(code, 'aspect', 'foo'), { code, input: code });
+    expect(diagnostic).toMatchObject({ line: 2, column: 37, inSource: true, text: '      let aspect = width / height + foo;' });
+  });
+
+  test('should skip the injected noise code', () => {
+    const source = `let n = noise(vec3f(1.0)) + foo;`;
+    const code = wgsl([source]);
+
+    const diagnostic = mapCompilationMessage(messageAt(code, 'let n', 'foo'), { code, input: code });
+    expect(diagnostic).toMatchObject({ line: 1, column: 29, inSource: true });
+    expect(mapCompilationMessage({ ...messageAt(code, 'fn noise', 'noise'), linePos: 1 }, { code, input: code }).inSource).toBe(false);
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { foldDispatch, planDispatch, planCompute } from '../src/dispatch';
+
+describe('Dispatch planning', () => {
+  test('should keep dispatches under the limit as they are', () => {
+    expect(foldDispatch(1000, 65535)).toEqual([1000, 1, 1]);
+    expect(planDispatch('fn main() {}', [1000, 800]).dispatch).toEqual([1000, 800]);
+  });
+
+  test('should fold large dispatches into 2D and 3D', () => {
+    const [x, y, z] = foldDispatch(500000, 65535);
+    expect(z).toBe(1);
+    expect(x).toBeLessThanOrEqual(65535);
+    expect(x * y).toBeGreaterThanOrEqual(500000);
+
+    const folded = foldDispatch(501, 10);
+    expect(folded[2]).toBeGreaterThan(1);
+    expect(folded.every(count => count <= 10)).toBe(true);
+    expect(folded[0] * folded[1] * folded[2]).toBeGreaterThanOrEqual(501);
+    expect(() => foldDispatch(1001, 10)).toThrow("foldDispatch: 1001 workgroups can't fit");
+  });
+
+  test('should rebuild a linear index and guard the tail in the entry point', () => {
+    const code = `@compute @workgroup_size(1)
+fn main(@builtin(global_invocation_id) id: vec3<u32>) {
+  particles[id.x].pos += 1.0;
+}`;
+    const plan = planDispatch(code, [500000]);
+
+    expect(plan.dispatch[1]).toBeGreaterThan(1);
+    expect(plan.code).toContain('fn main(@builtin(global_invocation_id) rawInvocationId: vec3<u32>) { let id = vec3<u32>(linearInvocationIndex(rawInvocationId), 0u, 0u); if (id.x >= 500000u) { return; }');
+    expect(plan.code).toContain(`return gid.x + gid.y * ${plan.dispatch[0]}u`);
+    // the user's lines keep their line numbers
+    expect(plan.code.split('\n')[2]).toBe('  particles[id.x].pos += 1.0;');
+  });
+
+  test('should refuse multi-dimensional dispatches over the limit', () => {
+    expect(() => planDispatch('fn main() {}', [70000, 2])).toThrow('planDispatch: Dispatch [70000, 2]');
+  });
+});
+
+describe('Workgroup sizing', () => {
+  const wgslMain = (body) => `@compute @workgroup_size(1)
+fn main(@builtin(global_invocation_id) id: vec3<u32>) {
+  ${body}
+}`;
+
+  test('should pick a 64 wide workgroup for 1D passes and guard the tail', () => {
+    const plan = planCompute(wgslMain('particles[id.x].pos += 1.0;'), [1000]);
+
+    expect(plan.workgroupSize).toEqual([64, 1, 1]);
+    expect(plan.dispatch).toEqual([16]);
+    expect(plan.code).toContain('@workgroup_size(64, 1, 1)');
+    expect(plan.code).toContain('{ if (id.x >= 1000u) { return; }');
+  });
+
+  test('should pick 8x8 workgroups for texture passes', () => {
+    const plan = planCompute(wgslMain('textureStore(renderTxtr, id.xy, vec4f(1.0));'), [1000, 800]);
+
+    expect(plan.workgroupSize).toEqual([8, 8, 1]);
+    expect(plan.dispatch).toEqual([125, 100]);
+    // both dimensions divide evenly, so no guard is needed
+    expect(plan.code).not.toContain('return;');
+  });
+
+  test('should keep a workgroup size written in the shader and count workgroups', () => {
+    const code = wgslMain('let x = id.x;').replace('@workgroup_size(1)', '@workgroup_size(256)');
+    const plan = planCompute(code, [1000]);
+
+    expect(plan.workgroupSize).toEqual([256, 1, 1]);
+    expect(plan.dispatch).toEqual([1000]);
+    expect(plan.code).toBe(code);
+  });
+
+  test('should use a configured workgroup size', () => {
+    const plan = planCompute(wgslMain('let x = id.x;'), [1024], { workgroupSize: 128 });
+
+    expect(plan.code).toContain('@workgroup_size(128, 1, 1)');
+    expect(plan.dispatch).toEqual([8]);
+  });
+
+  test('should divide a declared size only when asked to', () => {
+    const code = wgslMain('let x = id.x;').replace('@workgroup_size(1)', '@workgroup_size(256)');
+    const plan = planCompute(code, [1000], { workgroupSize: 256 });
+
+    expect(plan.dispatch).toEqual([4]);
+    expect(plan.code).toContain('{ if (id.x >= 1000u) { return; }');
+  });
+
+  test('should leave shaders that depend on their workgroup size alone', () => {
+    const shaders = [
+      wgslMain('let x = id.x;').replace('id: vec3<u32>', 'id: vec3<u32>, @builtin(workgroup_id) group: vec3<u32>'),
+      wgslMain('let x = id.x;').replace('id: vec3<u32>', 'id: vec3<u32>, @builtin(local_invocation_id) local: vec3<u32>'),
+      wgslMain('let x = id.x;').replace('id: vec3<u32>', 'id: vec3<u32>, @builtin(num_workgroups) groups: vec3<u32>'),
+      'var<workgroup> tile: array<f32, 64>;\n' + wgslMain('tile[0] = 1.0;'),
+      wgslMain('workgroupBarrier();'),
+    ];
+    shaders.forEach(code => {
+      const plan = planCompute(code, [1000]);
+      expect(plan.code).toBe(code);
+      expect(plan.dispatch).toEqual([1000]);
+      expect(plan.workgroupSize).toEqual([1, 1, 1]);
+    });
+  });
+
+  test('should refuse to guard partial workgroups of shaders that use barriers', () => {
+    const code = wgslMain('workgroupBarrier();');
+
+    expect(() => planCompute(code, [1000], { workgroupSize: 64 })).toThrow('uses barriers');
+    expect(planCompute(code, [1024], { workgroupSize: 64 }).code).not.toContain('return;');
+  });
+
+  test('should require a literal workgroup size to replace', () => {
+    const code = wgslMain('let x = id.x;').replace('@workgroup_size(1)', '@workgroup_size(SIZE)');
+
+    expect(planCompute(code, [1000]).dispatch).toEqual([1000]);
+    expect(() => planCompute(code, [1000], { workgroupSize: 64 })).toThrow('planCompute: workgroupSize needs a @workgroup_size of integer literals');
+    expect(() => planCompute('fn main() {}', [1000], { workgroupSize: 64 })).toThrow('integer literals');
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { FrameGraph, FrameGraphHazardError, inferPassAccess, initDevice, Buffer, Texture, PingPong, ComputePass } from '../src/index';
+import { MockGPUDevice } from '../src/testing';
+
+const resource = (name) => ({ name });
+const computePass = (name) => ({ name, run() {}, encode() {} });
+const renderPass = (name) => ({ name, run() {} });
+
+describe('FrameGraph', () => {
+  const names = (batches) => batches.map(batch => batch.map(pass => pass.name));
+
+  test('should run writers before readers whatever the order they were added in', () => {
+    const particles = resource('particles');
+    const image = resource('image');
+    const canvas = resource('canvas');
+    const graph = new FrameGraph()
+      .addPass(renderPass('render'), { reads: [image], writes: [canvas] })
+      .addPass(computePass('draw'), { reads: [particles], writes: [image] })
+      .addPass(computePass('move'), { reads: [particles], writes: [particles] });
+
+    expect(names(graph.compile())).toEqual([['move', 'draw'], ['render']]);
+  });
+
+  test('should keep writers of one resource in order and batch independent compute passes', () => {
+    const a = resource('a');
+    const b = resource('b');
+    const graph = new FrameGraph()
+      .addPass(computePass('fillA'), { reads: [], writes: [a] })
+      .addPass(renderPass('blit'), { reads: [a], writes: [] })
+      .addPass(computePass('fillB'), { reads: [], writes: [b] })
+      .addPass(computePass('blurA'), { reads: [a], writes: [a] });
+
+    expect(graph.order.map(pass => pass.name)).toEqual(['fillA', 'fillB', 'blurA', 'blit']);
+    expect(names(graph.compile())).toEqual([['fillA', 'fillB', 'blurA'], ['blit']]);
+  });
+
+  test('should run passes reading previous state before the passes writing it', () => {
+    const image = resource('image');
+    const feedback = resource('feedback');
+    const graph = new FrameGraph()
+      .addPass(computePass('copy'), { reads: [image], writes: [feedback] })
+      .addPass(computePass('draw'), { reads: [], writes: [image], previous: [feedback] });
+
+    expect(graph.order.map(pass => pass.name)).toEqual(['draw', 'copy']);
+  });
+
+  test('should report passes that need each other\'s output', () => {
+    const a = resource('a');
+    const b = resource('b');
+    const graph = new FrameGraph()
+      .addPass(computePass(), { name: 'first', reads: [b], writes: [a] })
+      .addPass(computePass(), { name: 'second', reads: [a], writes: [b] });
+
+    expect(() => graph.compile()).toThrow(FrameGraphHazardError);
+    expect(() => graph.compile()).toThrow(/second reads a after first writes it/);
+  });
+
+  test('should reject objects that are not passes', () => {
+    expect(() => new FrameGraph().addPass({})).toThrow();
+  });
+});
+
+describe('FrameGraph with compute passes', () => {
+  let device;
+
+  beforeEach(async () => {
+    device = new MockGPUDevice();
+    await initDevice({ device, headless: true, width: 8, height: 8 });
+  });
+
+  const move = `@compute @workgroup_size(1)
+fn main(@builtin(global_invocation_id) id: vec3<u32>) {
+  particles[id.x] = particles[id.x] + speeds[id.x] * state[id.x];
+  state[id.x] = statePrev[id.x];
+}`;
+  const draw = `@compute @workgroup_size(1)
+fn main(@builtin(global_invocation_id) id: vec3<u32>) {
+  textureStore(image, vec2<i32>(i32(id.x), 0), vec4<f32>(particles[id.x]));
+}`;
+
+  const resources = () => ({
+    particles: new Buffer('particles', new Float32Array(8), { isArray: true }),
+    speeds: new Buffer('speeds', new Float32Array(8), { isArray: true }),
+    state: PingPong.buffer('state', new Float32Array(8), { isArray: true }),
+    image: new Texture('image', 8, 1),
+  });
+
+  test('should infer reads and writes from the bindings', () => {
+    const { particles, speeds, state, image } = resources();
+    const movePass = new ComputePass(move, [particles, speeds, state], 8);
+    const drawPass = new ComputePass(draw, [particles.read(), image.write()], 8);
+
+    const access = inferPassAccess(movePass);
+    expect(access.reads).toEqual([particles, speeds]);
+    expect(access.writes).toEqual([particles, state]);
+    expect(access.previous).toEqual([state]);
+    expect(inferPassAccess(drawPass)).toEqual({ reads: [particles], writes: [image], previous: [] });
+
+    const graph = new FrameGraph().addPass(drawPass, { name: 'draw' }).addPass(movePass, { name: 'move' });
+    expect(graph.order).toEqual([movePass, drawPass]);
+  });
+
+  test('should reject a pass binding a resource it writes twice', () => {
+    const { particles } = resources();
+    const pass = new ComputePass(`@compute @workgroup_size(1)
+fn main(@builtin(global_invocation_id) id: vec3<u32>) {
+  particles[id.x] = alias[id.x] + 1.0;
+}`, [particles, particles.read('alias')], 8);
+
+    expect(() => inferPassAccess(pass)).toThrow(FrameGraphHazardError);
+    expect(() => new FrameGraph().addPass(pass)).toThrow('particles is bound more than once in a pass that writes it');
+  });
+
+  test('should record consecutive compute passes into one compute pass encoder', () => {
+    const { particles, speeds, state, image } = resources();
+    const movePass = new ComputePass(move, [particles, speeds, state], 8);
+    const drawPass = new ComputePass(draw, [particles.read(), image.write()], 8);
+    const blit = { run: jest.fn() };
+    jest.spyOn(movePass, 'run');
+
+    const createCommandEncoder = device.createCommandEncoder.bind(device);
+    let computePasses = 0;
+    device.createCommandEncoder = () => {
+      const encoder = createCommandEncoder();
+      const beginComputePass = encoder.beginComputePass.bind(encoder);
+      encoder.beginComputePass = () => { computePasses++; return beginComputePass(); };
+      return encoder;
+    };
+
+    new FrameGraph()
+      .addPass(blit, { name: 'blit', reads: [image], writes: [] })
+      .addPass(drawPass)
+      .addPass(movePass)
+      .run();
+
+    expect(computePasses).toBe(1);
+    expect(device.submits).toBe(1);
+    expect(movePass.run).not.toHaveBeenCalled();
+    expect(blit.run).toHaveBeenCalledTimes(1);
+    expect(device.dispatches.map(dispatch => dispatch.pipeline)).toEqual([movePass.pipeline, drawPass.pipeline]);
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import * as lib from '../src/index';
+import { MockGPUDevice } from '../src/testing';
+
+const { globalsStruct, getAutoBindings, initDevice, Buffer, ComputePass, runPasses } = lib;
+
+describe('globalData', () => {
+  test('should lay out the globals as a valid uniform struct', () => {
+    expect(globalsStruct.byteSize).toBe(32);
+    expect(globalsStruct.offsetOf('resolution')).toBe(16);
+    expect(() => globalsStruct.validateUniform()).not.toThrow();
+  });
+
+  test('should be a global auto-binding picked up by name', () => {
+    const auto = getAutoBindings().find(b => b.name === 'globalData');
+    expect(auto).toMatchObject({ global: true, access: 'read' });
+    expect(auto.regex.test('let angle = globalData[0].frame * 0.01;')).toBe(true);
+    expect(auto.regex.test('let g = myGlobalData;')).toBe(false);
+  });
+});
+
+describe('globalData in passes', () => {
+  let device;
+
+  beforeAll(async () => {
+    device = new MockGPUDevice();
+    await initDevice({ device, headless: true, width: 64, height: 32 });
+  });
+
+  const passCode = (body) => `@compute @workgroup_size(1)
+fn main(@builtin(global_invocation_id) id: vec3<u32>) {
+  ${body}
+}`;
+
+  test('should not be created or bound for passes that don\'t use it', () => {
+    const out = new Buffer('out', new Float32Array(4), { isArray: true });
+    const pass = new ComputePass(passCode('out[id.x] = 1.0;'), [out], 4);
+    runPasses([pass]);
+
+    expect(lib.globalsBuffer).toBeNull();
+    expect(pass.globalBindings).toEqual([]);
+    expect(device.dispatches[0].bindGroups[0].entries).toEqual([]);
+  });
+
+  test('should be created and bound once a pass uses it, and follow the clock', async () => {
+    const out = new Buffer('out', new Float32Array(4), { isArray: true });
+    const pass = new ComputePass(passCode('out[id.x] = globalData[0].time;'), [out], 4);
+    runPasses([pass]);
+
+    expect(lib.globalsBuffer).not.toBeNull();
+    expect(pass.globalBindings).toEqual(['globalData']);
+    expect(pass.code).toContain('@group(0) @binding(0) var<uniform> globalData: array<Globals, 1>;');
+    expect(device.dispatches[1].bindGroups[0].entries.map(entry => entry.resource.buffer)).toEqual([lib.globalsBuffer.buffer]);
+    const [values] = await lib.globalsBuffer.getData();
+    expect(values.frame).toBe(lib.clock.frame);
+    expect(values.resolution).toEqual({ x: 64, y: 32 });
+  });
+});
@@ -2,7 +2,10 @@
  * @jest-environment jsdom
  */
 
-import { VERSION } from '../src/index';
+import * as lib from '../src/index';
+import * as testing from '../src/testing';
+
+const { VERSION } = lib;
 
 describe('WebGPU Utils', () => {
   test('should have a version number', () => {
@@ -10,4 +13,9 @@ describe('WebGPU Utils', () => {
     expect(typeof VERSION).toBe('string');
     expect(VERSION).toMatch(/^\d+\.\d+\.\d+$/);  // Semantic versioning format
   });
+
+  test('should keep the mock device and CPU executor in the testing entry', () => {
+    expect(Object.keys(testing)).toEqual(expect.arrayContaining(['MockGPUDevice', 'createMockGPU', 'runComputeShader', 'WGSLExecutionError']));
+    expect(Object.keys(testing).filter(name => name in lib)).toEqual([]);
+  });
 });
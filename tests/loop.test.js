@@ -0,0 +1,113 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { loop, clock, onTick, isLooping } from '../src/index';
+
+describe('loop()', () => {
+  let frames;
+  let controls;
+
+  // drive requestAnimationFrame by hand, with timestamps in milliseconds
+  const runFrame = (ms) => {
+    const pending = frames;
+    frames = [];
+    pending.forEach(callback => callback(ms));
+  };
+
+  beforeEach(() => {
+    frames = [];
+    window.requestAnimationFrame = (callback) => frames.push(callback);
+    window.cancelAnimationFrame = () => { frames = []; };
+  });
+
+  afterEach(() => {
+    if (controls) controls.stop();
+  });
+
+  test('should tick the clock once per frame and pass it to the callback', () => {
+    const steps = [];
+    const ticks = [];
+    const stopListening = onTick(({ frame }) => ticks.push(frame));
+    const start = clock.frame;
+    controls = loop(step => steps.push(step));
+
+    runFrame(1000);
+    runFrame(1016);
+    stopListening();
+
+    expect(isLooping()).toBe(true);
+    expect(steps.map(step => step.frame)).toEqual([start + 1, start + 2]);
+    expect(steps[1].deltaTime).toBeCloseTo(0.016);
+    expect(ticks).toEqual([start + 1, start + 2]);
+  });
+
+  test('should run fixed steps to keep up with real time, up to the substep limit', () => {
+    const steps = [];
+    controls = loop(step => steps.push(step), { fixedStep: 0.01, substeps: 3 });
+
+    runFrame(0);
+    runFrame(25);
+    expect(steps.map(step => step.step)).toEqual([0, 1]);
+    expect(steps.every(step => step.deltaTime === 0.01)).toBe(true);
+
+    runFrame(125);
+    expect(steps.length).toBe(5);
+  });
+
+  test('should count frames and steps separately', () => {
+    const steps = [];
+    const start = { frame: clock.frame, steps: clock.steps };
+    controls = loop(step => steps.push(step), { substeps: 3 });
+
+    runFrame(0);
+    runFrame(30);
+    expect(steps.map(step => step.frame - start.frame)).toEqual([1, 1, 1, 2, 2, 2]);
+    expect(steps.map(step => step.steps - start.steps)).toEqual([1, 2, 3, 4, 5, 6]);
+    expect(steps[3].deltaTime).toBeCloseTo(0.01);
+
+    controls.step();
+    expect([clock.frame - start.frame, clock.steps - start.steps]).toEqual([3, 7]);
+  });
+
+  test('should skip frames over the FPS cap', () => {
+    let count = 0;
+    controls = loop(() => count++, { fps: 30 });
+
+    [0, 16, 33, 50, 66].forEach(runFrame);
+    expect(count).toBe(3);
+  });
+
+  test('should pause, step and resume from the keyboard', () => {
+    let count = 0;
+    controls = loop(() => count++);
+    const press = (key) => window.dispatchEvent(new KeyboardEvent('keydown', { key }));
+
+    runFrame(0);
+    press(' ');
+    runFrame(16);
+    expect(controls.paused).toBe(true);
+    expect(count).toBe(1);
+
+    press('.');
+    expect(count).toBe(2);
+    press(' ');
+    runFrame(32);
+    expect(count).toBe(3);
+  });
+
+  test('should stop listening to the keyboard when stopped', () => {
+    const stopped = loop(() => {});
+    stopped.stop();
+    window.dispatchEvent(new KeyboardEvent('keydown', { key: ' ' }));
+
+    expect(stopped.paused).toBe(false);
+  });
+
+  test('should stop the previous loop when a new one starts', () => {
+    const first = loop(() => {});
+    controls = loop(() => {});
+    first.stop();
+    expect(isLooping()).toBe(true);
+  });
+});
@@ -0,0 +1,32 @@
+/**
+ * @jest-environment node
+ */
+
+// loop() in a worker: requestAnimationFrame exists, window doesn't
+import { loop } from '../src/loop';
+
+describe('loop() without a window', () => {
+  let frames;
+
+  beforeEach(() => {
+    frames = [];
+    globalThis.requestAnimationFrame = (callback) => frames.push(callback);
+    globalThis.cancelAnimationFrame = () => { frames = []; };
+  });
+
+  afterEach(() => {
+    delete globalThis.requestAnimationFrame;
+    delete globalThis.cancelAnimationFrame;
+  });
+
+  test('should run and stop without the pause keys', () => {
+    let count = 0;
+    const controls = loop(() => count++);
+    frames.splice(0).forEach(callback => callback(0));
+    controls.stop();
+
+    expect(typeof window).toBe('undefined');
+    expect(count).toBe(1);
+    expect(frames).toEqual([]);
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import * as lib from '../src/index';
+import { MockGPUDevice, createMockGPU } from '../src/testing';
+
+const { initDevice, onDeviceLost, Buffer, Texture, ComputePass, runPasses, readBuffer, readTexture } = lib;
+
+describe('MockGPUDevice', () => {
+  let device;
+
+  beforeEach(async () => {
+    device = new MockGPUDevice();
+    await initDevice({ device, headless: true, width: 64, height: 32 });
+  });
+
+  test('should hold buffer contents and read them back', async () => {
+    const buffer = new Buffer('values', new Float32Array([1, 2, 3, 4]));
+    buffer.update(new Float32Array([5, 6, 7, 8]));
+
+    expect(device.buffers).toContain(buffer.buffer);
+    expect(device.writes).toHaveLength(1);
+    expect(Array.from(new Float32Array(await readBuffer(buffer.buffer)))).toEqual([5, 6, 7, 8]);
+  });
+
+  test('should record the generated WGSL, binding order and dispatch size of a pass', async () => {
+    const positions = new Buffer('positions', new Float32Array(1000), { isArray: true });
+    const speeds = new Buffer('speeds', new Float32Array(1000), { isArray: true });
+    const pass = new ComputePass(`
+      @compute @workgroup_size(1)
+      fn main(@builtin(global_invocation_id) id: vec3u) {
+        positions[id.x] = positions[id.x] + speeds[id.x];
+      }
+    `, [positions, speeds], 1000);
+    runPasses([pass]);
+
+    expect(device.dispatches).toHaveLength(1);
+    const [dispatch] = device.dispatches;
+    expect(dispatch.workgroups).toEqual([16, 1, 1]);
+    expect(dispatch.entryPoint).toBe('main');
+    expect(dispatch.code).toContain('@group(1) @binding(0) var<storage, read_write> positions: array<f32>;');
+    expect(dispatch.code).toContain('@group(1) @binding(1) var<storage, read> speeds: array<f32>;');
+    expect(dispatch.code).toContain('@workgroup_size(64, 1, 1)');
+    expect(device.shaderCode).toContain(dispatch.code);
+    expect(dispatch.bindGroups[1].entries.map(entry => entry.resource.buffer)).toEqual([positions.buffer, speeds.buffer]);
+  });
+
+  test('should remove the row padding when reading a texture back', async () => {
+    const texture = new Texture('field', 3, 2, 'rgba8unorm');
+    const pixels = Uint8Array.from({ length: 3 * 2 * 4 }, (_, i) => i);
+    device.queue.writeTexture({ texture: texture.texture }, pixels, { bytesPerRow: 12 }, [3, 2]);
+
+    expect(Array.from(new Uint8Array(await readTexture(texture)))).toEqual(Array.from(pixels));
+  });
+
+  test('should use the spec values of the usage flags', () => {
+    const texture = new Texture('field', 4, 4);
+
+    expect(GPUTextureUsage).toMatchObject({ COPY_SRC: 0x01, COPY_DST: 0x02, TEXTURE_BINDING: 0x04, STORAGE_BINDING: 0x08, RENDER_ATTACHMENT: 0x10 });
+    expect(GPUBufferUsage).toMatchObject({ COPY_DST: 0x0008, UNIFORM: 0x0040, STORAGE: 0x0080 });
+    expect(texture.texture.usage).toBe(0x0f);
+  });
+});
+
+describe('device loss with a mock gpu', () => {
+  test('should recreate buffers on the new device with their data', async () => {
+    const gpu = createMockGPU();
+    await initDevice({ gpu, headless: true });
+    const buffer = new Buffer('state', new Float32Array([1, 2, 3]));
+    const recovered = new Promise(resolve => {
+      const remove = onDeviceLost(info => { remove(); resolve(info); });
+    });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    gpu.devices[0].loseDevice('driver reset');
+    const info = await recovered;
+    console.warn.mockRestore();
+
+    expect(info.message).toBe('driver reset');
+    expect(lib.device).toBe(gpu.devices[1]);
+    expect(gpu.devices[1].buffers).toContain(buffer.buffer);
+    expect(Array.from(new Float32Array(buffer.buffer.data))).toEqual([1, 2, 3]);
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { initDevice, Buffer, Texture, PingPong, Struct, type_f32, ComputePass, runPasses, ShaderCompilationError } from '../src/index';
+import { MockGPUDevice } from '../src/testing';
+
+describe('ComputePass.setBinding()', () => {
+  let device;
+
+  beforeEach(async () => {
+    device = new MockGPUDevice();
+    await initDevice({ device, headless: true, width: 8, height: 8 });
+  });
+
+  const code = `@compute @workgroup_size(1)
+fn main(@builtin(global_invocation_id) id: vec3<u32>) {
+  values[id.x] = weights[id.x] * 2.0;
+}`;
+
+  const boundBuffers = (dispatch) => dispatch.bindGroups[1].entries.map(entry => entry.resource.buffer);
+
+  test('should bind another buffer without recompiling', () => {
+    const values = new Buffer('values', new Float32Array(16), { isArray: true });
+    const weights = new Buffer('weights', new Float32Array(16), { isArray: true });
+    const otherWeights = new Buffer('otherWeights', new Float32Array(16), { isArray: true });
+    const pass = new ComputePass(code, [values, weights], 16);
+    runPasses([pass]);
+    const compiled = [device.shaderModules.length, device.pipelines.length];
+
+    expect(pass.setBinding('weights', otherWeights)).toBe(pass);
+    runPasses([pass]);
+
+    expect(boundBuffers(device.dispatches[1])).toEqual([values.buffer, otherWeights.buffer]);
+    expect([device.shaderModules.length, device.pipelines.length]).toEqual(compiled);
+    // keeps the read-only access inferred for the original binding
+    expect(pass.bindings[1].access).toBe('read');
+  });
+
+  test('should reuse the bind group of a resource set seen before', () => {
+    const values = new Buffer('values', new Float32Array(16), { isArray: true });
+    const weightsA = new Buffer('weightsA', new Float32Array(16), { isArray: true });
+    const weightsB = new Buffer('weightsB', new Float32Array(16), { isArray: true });
+    const pass = new ComputePass(code.replace(/weights/g, 'weightsA'), [values, weightsA], 16);
+    const first = pass.bindGroup;
+
+    pass.setBinding('weightsA', weightsB);
+    expect(pass.bindGroup).not.toBe(first);
+    pass.setBinding('weightsA', weightsA);
+    expect(pass.bindGroup).toBe(first);
+  });
+
+  test('should reject resources that don\'t match the declaration', () => {
+    const values = new Buffer('values', new Float32Array(16), { isArray: true });
+    const weights = new Buffer('weights', new Float32Array(16), { isArray: true });
+    const pass = new ComputePass(code, [values, weights], 16);
+    const Weight = new Struct('Weight', [{ name: 'w', type: type_f32 }]);
+
+    expect(() => pass.setBinding('missing', weights)).toThrow('No binding named missing');
+    expect(() => pass.setBinding('weights', new Buffer('ints', new Int32Array(16), { isArray: true }))).toThrow("ints doesn't match the declaration of weights");
+    expect(() => pass.setBinding('weights', Weight.createBuffer('structs', [{ w: 1 }, { w: 2 }]))).toThrow("doesn't match");
+    expect(() => pass.setBinding('weights', new Texture('image', 4, 4))).toThrow("doesn't match");
+    expect(() => pass.setBinding('weights', { name: 'weights' })).toThrow('Expected a Buffer or Texture');
+  });
+
+  test('should refuse to replace ping-pong bindings', () => {
+    const values = PingPong.buffer('values', new Float32Array(16), { isArray: true });
+    const pass = new ComputePass(code.replace(/weights/g, 'valuesPrev'), [values], 16);
+
+    expect(() => pass.setBinding('values', new Buffer('other', new Float32Array(16), { isArray: true }))).toThrow('call swap() instead');
+  });
+
+  test('should keep a swapped-in resource when the pass is rebuilt', () => {
+    const values = new Buffer('values', new Float32Array(16), { isArray: true });
+    const weights = new Buffer('weights', new Float32Array(16), { isArray: true });
+    const otherWeights = new Buffer('otherWeights', new Float32Array(16), { isArray: true });
+    const pass = new ComputePass(code, [values, weights], 16);
+
+    pass.setBinding('weights', otherWeights.read());
+    pass.rebuild();
+    runPasses([pass]);
+
+    expect(boundBuffers(device.dispatches[0])).toEqual([values.buffer, otherWeights.buffer]);
+  });
+});
+
+describe('Pipeline cache', () => {
+  let device;
+
+  beforeEach(async () => {
+    device = new MockGPUDevice();
+    await initDevice({ device, headless: true, width: 8, height: 8 });
+  });
+
+  // sized in the shader, so both entry points compile from the same code
+  const counter = (name) => `@compute @workgroup_size(64)
+fn main(@builtin(global_invocation_id) id: vec3<u32>) {
+  ${name}[id.x] = ${name}[id.x] + 1.0;
+}
+
+@compute @workgroup_size(64)
+fn reset(@builtin(global_invocation_id) id: vec3<u32>) {
+  ${name}[id.x] = 0.0;
+}`;
+
+  test('should share shader modules and pipelines between identical passes', async () => {
+    const a = new Buffer('cacheA', new Float32Array(16), { isArray: true });
+    const b = new Buffer('cacheA', new Float32Array(16), { isArray: true });
+    const first = new ComputePass(counter('cacheA'), [a], 16);
+    const second = new ComputePass(counter('cacheA'), [b], 16);
+    const created = await ComputePass.create(counter('cacheA'), [a], 16);
+
+    expect(device.shaderModules).toHaveLength(1);
+    expect(device.pipelines).toHaveLength(1);
+    expect(second.pipeline).toBe(first.pipeline);
+    expect(created.pipeline).toBe(first.pipeline);
+    expect(second.module).toBe(first.module);
+  });
+
+  test('should share the module but not the pipeline across entry points', () => {
+    const values = new Buffer('cacheB', new Float32Array(16), { isArray: true });
+    const step = new ComputePass(counter('cacheB'), [values], 16);
+    const reset = new ComputePass(counter('cacheB'), [values], 16, { entryPoint: 'reset' });
+
+    expect(reset.module).toBe(step.module);
+    expect(reset.pipeline).not.toBe(step.pipeline);
+    expect(device.pipelines.map(pipeline => pipeline.entryPoint)).toEqual(['main', 'reset']);
+  });
+
+  test('should drop the least recently used modules and pipelines', () => {
+    const values = new Buffer('cacheD', new Float32Array(16), { isArray: true });
+    const pass = (i) => new ComputePass(counter('cacheD').replace('+ 1.0', `+ ${i}.0`), [values], 16);
+    const first = pass(0);
+    const modules = device.shaderModules.length;
+    for (let i = 1; i <= 200; i++) {
+      pass(i);
+      // kept in use, so never the oldest
+      if (i % 50 === 0) pass(0);
+    }
+
+    expect(device.shaderModules.length - modules).toBe(200);
+    expect(pass(0).pipeline).toBe(first.pipeline);
+    expect(pass(1).module).not.toBe(device.shaderModules[modules]);
+    expect(device.shaderModules.length - modules).toBe(201);
+  });
+
+  test('should share a pipeline being created asynchronously', async () => {
+    const values = new Buffer('cacheC', new Float32Array(16), { isArray: true });
+    const [first, second] = await Promise.all([
+      ComputePass.create(counter('cacheC'), [values], 16),
+      ComputePass.create(counter('cacheC'), [values], 16),
+    ]);
+
+    expect(second.pipeline).toBe(first.pipeline);
+    expect(device.pipelines).toHaveLength(1);
+  });
+});
+
+describe('Shader compilation errors', () => {
+  let device;
+
+  beforeEach(async () => {
+    device = new MockGPUDevice();
+    // report an error wherever the code mentions an undefined name
+    const createShaderModule = device.createShaderModule.bind(device);
+    device.createShaderModule = (descriptor) => {
+      const module = createShaderModule(descriptor);
+      const lines = descriptor.code.split('\n');
+      const lineNum = lines.findIndex(line => line.includes('undefinedName')) + 1;
+      module.getCompilationInfo = async () => ({
+        messages: lineNum ? [{ type: 'error', message: "unresolved value 'undefinedName'", lineNum, linePos: lines[lineNum - 1].indexOf('undefinedName') + 1, length: 13 }] : [],
+      });
+      return module;
+    };
+    await initDevice({ device, headless: true, width: 8, height: 8 });
+  });
+
+  const broken = (name) => `@compute @workgroup_size(1)
+fn main(@builtin(global_invocation_id) id: vec3<u32>) {
+  ${name}[id.x] = undefinedName;
+}`;
+
+  test('should reject create() with the mapped error', async () => {
+    const values = new Buffer('brokenA', new Float32Array(4), { isArray: true });
+    const error = await ComputePass.create(broken('brokenA'), [values], 4).catch(e => e);
+
+    expect(error).toBeInstanceOf(ShaderCompilationError);
+    expect(error.diagnostics[0]).toMatchObject({ line: 3, column: 19, inSource: true });
+    expect(error.shaderCode).toContain('brokenA[id.x] = undefinedName;');
+    expect(error.code).toBeUndefined();
+  });
+
+  test('should throw the same error when running a pass built synchronously, without logging', async () => {
+    const errorLog = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const values = new Buffer('brokenB', new Float32Array(4), { isArray: true });
+    const pass = new ComputePass(broken('brokenB'), [values], 4);
+
+    const error = await pass.compiled.catch(e => e);
+    expect(error).toBeInstanceOf(ShaderCompilationError);
+    expect(() => pass.run(device.createCommandEncoder())).toThrow(error);
+    expect(() => runPasses([pass])).toThrow('Shader compilation failed with 1 error');
+    expect(errorLog).not.toHaveBeenCalled();
+    errorLog.mockRestore();
+  });
+});
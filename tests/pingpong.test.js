@@ -0,0 +1,89 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { initDevice, Buffer, Texture, PingPong, ComputePass, runPasses } from '../src/index';
+import { MockGPUDevice } from '../src/testing';
+
+describe('PingPong', () => {
+  let device;
+
+  beforeEach(async () => {
+    device = new MockGPUDevice();
+    await initDevice({ device, headless: true, width: 8, height: 8 });
+  });
+
+  const stepCode = `@compute @workgroup_size(1)
+fn main(@builtin(global_invocation_id) id: vec3<u32>) {
+  state[id.x] = statePrev[id.x] * 0.5;
+}`;
+
+  const boundBuffers = (dispatch) => dispatch.bindGroups[1].entries.map(entry => entry.resource.buffer);
+
+  test('should swap the current and previous resources', () => {
+    const state = PingPong.buffer('state', new Float32Array(4));
+    const [a, b] = state.resources;
+
+    expect([state.current, state.previous]).toEqual([a, b]);
+    state.swap();
+    expect([state.current, state.previous]).toEqual([b, a]);
+    state.swap();
+    expect(state.current).toBe(a);
+  });
+
+  test('should bind the current resource as the name and the previous one as namePrev', () => {
+    const state = PingPong.buffer('state', new Float32Array(64), { isArray: true });
+    const pass = new ComputePass(stepCode, [state], 64);
+    runPasses([pass]);
+
+    const code = device.dispatches[0].code;
+    expect(code).toContain('@group(1) @binding(0) var<storage, read_write> state: array<f32>;');
+    expect(code).toContain('@group(1) @binding(1) var<storage, read> statePrev: array<f32>;');
+    expect(boundBuffers(device.dispatches[0])).toEqual([state.current.buffer, state.previous.buffer]);
+  });
+
+  test('should follow swap() without recompiling', () => {
+    const state = PingPong.buffer('state', new Float32Array(64), { isArray: true });
+    const pass = new ComputePass(stepCode, [state], 64);
+    const [a, b] = state.resources;
+
+    runPasses([pass]);
+    const compiled = [device.shaderModules.length, device.pipelines.length];
+    state.swap();
+    runPasses([pass]);
+    state.swap();
+    runPasses([pass]);
+
+    expect(device.dispatches.map(boundBuffers)).toEqual([[a.buffer, b.buffer], [b.buffer, a.buffer], [a.buffer, b.buffer]]);
+    expect([device.shaderModules.length, device.pipelines.length]).toEqual(compiled);
+    // one bind group per resource set, reused after the second swap
+    expect(device.bindGroups.filter(group => group.entries.some(entry => entry.resource.buffer === a.buffer))).toHaveLength(2);
+  });
+
+  test('should only bind the names the shader uses', () => {
+    const state = PingPong.buffer('state', new Float32Array(64), { isArray: true, current: 'next', previous: 'last' });
+    const pass = new ComputePass(`@compute @workgroup_size(1)
+fn main(@builtin(global_invocation_id) id: vec3<u32>) {
+  next[id.x] = 1.0;
+}`, [state], 64);
+    runPasses([pass]);
+
+    expect(device.dispatches[0].code).toContain('var<storage, read_write> next: array<f32>;');
+    expect(device.dispatches[0].code).not.toContain('last');
+    expect(boundBuffers(device.dispatches[0])).toEqual([state.current.buffer]);
+  });
+
+  test('should pair textures', () => {
+    const field = PingPong.texture('field', 4, 4, 'rgba32float');
+
+    expect(field.resources.map(texture => texture.name)).toEqual(['fieldA', 'fieldB']);
+    expect(field.bindings()[0].getBindingCode(0, 1)).toBe('@group(1) @binding(0) var field: texture_storage_2d<rgba32float, write>;');
+    expect(field.bindings()[1].getBindingCode(1, 1)).toBe('@group(1) @binding(1) var fieldPrev: texture_storage_2d<rgba32float, read>;');
+  });
+
+  test('should reject resources that don\'t match', () => {
+    expect(() => new PingPong('state', new Buffer('a', new Float32Array(4)), new Buffer('b', new Float32Array(8)))).toThrow('same size and struct');
+    expect(() => new PingPong('field', new Texture('a', 4, 4), new Texture('b', 4, 8))).toThrow('same size and format');
+    expect(() => new PingPong('mixed', new Buffer('a', new Float32Array(4)), new Texture('b', 4, 4))).toThrow('two Buffers or two Textures');
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { inflateSync } from 'zlib';
+import { CompressionStream } from 'stream/web';
+import { encodePNG, initDevice, Texture } from '../src/index';
+import { MockGPUDevice } from '../src/testing';
+
+/**
+ * Split PNG bytes into chunks and inflate the pixel rows
+ */
+function decodePNG(png) {
+  const view = new DataView(png.buffer, png.byteOffset, png.byteLength);
+  const chunks = {};
+  for (let at = 8; at < png.length;) {
+    const length = view.getUint32(at);
+    const type = String.fromCharCode(...png.subarray(at + 4, at + 8));
+    chunks[type] = png.subarray(at + 8, at + 8 + length);
+    at += 12 + length;
+  }
+  const header = new DataView(chunks.IHDR.buffer, chunks.IHDR.byteOffset);
+  return { chunks, width: header.getUint32(0), height: header.getUint32(4), rows: inflateSync(chunks.IDAT) };
+}
+
+describe('encodePNG()', () => {
+  test('should write a PNG signature, header and filtered rows', async () => {
+    const pixels = Uint8Array.from({ length: 2 * 2 * 4 }, (_, i) => i * 10);
+    const png = await encodePNG(pixels, 2, 2);
+    const { chunks, width, height, rows } = decodePNG(png);
+
+    expect(Array.from(png.subarray(0, 8))).toEqual([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+    expect(Object.keys(chunks)).toEqual(['IHDR', 'IDAT', 'IEND']);
+    expect([width, height, chunks.IHDR[8], chunks.IHDR[9]]).toEqual([2, 2, 8, 6]);
+    expect(Array.from(rows)).toEqual([0, ...pixels.subarray(0, 8), 0, ...pixels.subarray(8)]);
+  });
+
+  test('should split large images into several stored blocks', async () => {
+    const pixels = new Uint8Array(200 * 100 * 4).map((_, i) => i % 251);
+    const { rows } = decodePNG(await encodePNG(pixels, 200, 100));
+
+    expect(rows.length).toBe((200 * 4 + 1) * 100);
+    expect(Array.from(rows.subarray(801 * 99 + 1))).toEqual(Array.from(pixels.subarray(800 * 99)));
+  });
+
+  test('should compress with CompressionStream where available', async () => {
+    global.CompressionStream = CompressionStream;
+    try {
+      const pixels = new Uint8Array(200 * 100 * 4).map((_, i) => i % 4 === 3 ? 255 : 0);
+      const png = await encodePNG(pixels, 200, 100);
+      const { rows } = decodePNG(png);
+
+      expect(png.length).toBeLessThan(pixels.length / 10);
+      expect(rows.length).toBe((200 * 4 + 1) * 100);
+      expect(Array.from(rows.subarray(801 * 99 + 1))).toEqual(Array.from(pixels.subarray(800 * 99)));
+    } finally {
+      delete global.CompressionStream;
+    }
+  });
+
+  test('should reject pixels not matching the size', async () => {
+    await expect(encodePNG(new Uint8Array(12), 2, 2)).rejects.toThrow('Expected 16 bytes');
+  });
+});
+
+describe('Texture readback', () => {
+  let device;
+
+  beforeEach(async () => {
+    device = new MockGPUDevice();
+    await initDevice({ device, headless: true, width: 8, height: 8 });
+  });
+
+  const fill = (texture, TypedArray, values) => {
+    device.queue.writeTexture({ texture: texture.texture }, new TypedArray(values), { bytesPerRow: texture.width * texture.texture.bytesPerTexel }, [texture.width, texture.height]);
+  };
+
+  test('should give a typed array matching the format', async () => {
+    const field = new Texture('field', 3, 1, 'rg32float');
+    fill(field, Float32Array, [0.5, -1, 2, 3, 4.25, 5]);
+    const grid = new Texture('grid', 2, 1, 'rgba16sint');
+    fill(grid, Int16Array, [1, -2, 3, 4, 500, -600, 7, 8]);
+    const half = new Texture('half', 1, 1, 'r16float');
+    fill(half, Uint16Array, [0x3c00, 0]);
+
+    expect(await field.getData()).toEqual(new Float32Array([0.5, -1, 2, 3, 4.25, 5]));
+    expect(await grid.getData()).toEqual(new Int16Array([1, -2, 3, 4, 500, -600, 7, 8]));
+    expect(await half.getData()).toEqual(new Float32Array([1]));
+  });
+
+  test('should map channels to RGBA pixels', async () => {
+    const color = new Texture('color', 2, 1, 'bgra8unorm');
+    fill(color, Uint8Array, [10, 20, 30, 40, 50, 60, 70, 80]);
+    const field = new Texture('field', 2, 1, 'r32float');
+    fill(field, Float32Array, [0.5, 2]);
+    const grid = new Texture('grid', 1, 1, 'rgba32sint');
+    fill(grid, Int32Array, [0, 500, 1000, 0]);
+
+    const image = await color.toImageData();
+    expect([image.width, image.height]).toEqual([2, 1]);
+    expect(Array.from(image.data)).toEqual([30, 20, 10, 40, 70, 60, 50, 80]);
+    expect(Array.from((await field.toImageData()).data)).toEqual([128, 0, 0, 255, 255, 0, 0, 255]);
+    expect(Array.from((await grid.toImageData({ max: 1000, opaque: true })).data)).toEqual([0, 128, 255, 255]);
+  });
+
+  test('should encode the texture as a PNG', async () => {
+    const color = new Texture('color', 2, 2, 'rgba8unorm');
+    const pixels = Uint8Array.from({ length: 16 }, (_, i) => i * 16);
+    fill(color, Uint8Array, pixels);
+    const { width, height, rows } = decodePNG(await color.toPNG());
+
+    expect([width, height]).toEqual([2, 2]);
+    expect(Array.from(rows)).toEqual([0, ...pixels.subarray(0, 8), 0, ...pixels.subarray(8)]);
+  });
+});
@@ -0,0 +1,24 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { texelSize, readTexture } from '../src/index';
+
+describe('texelSize()', () => {
+  test('should give the bytes per texel of readable formats', () => {
+    expect(texelSize('rgba8unorm')).toBe(4);
+    expect(texelSize('rgba16sint')).toBe(8);
+    expect(texelSize('rgba32float')).toBe(16);
+    expect(texelSize('r32uint')).toBe(4);
+  });
+
+  test('should reject formats that can\'t be read back', () => {
+    expect(() => texelSize('depth24plus')).toThrow('not supported');
+  });
+});
+
+describe('readTexture()', () => {
+  test('should require a device', async () => {
+    await expect(readTexture({ width: 4, height: 4, format: 'rgba8unorm' })).rejects.toThrow('not initialized');
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { trackResource, untrackResource, onDeviceLost, recoverResources, RECOVERY_STAGE, loop } from '../src/index';
+
+describe('recoverResources()', () => {
+  const info = { reason: 'unknown', message: 'GPU process crashed' };
+
+  test('should recreate resources before passes, then call the onDeviceLost listeners', async () => {
+    const calls = [];
+    const pass = { name: 'pass', recreate: () => calls.push('pass') };
+    const buffer = { name: 'buffer', recreate: () => calls.push('buffer') };
+    trackResource(pass, RECOVERY_STAGE.pass);
+    trackResource(buffer);
+    const removeListener = onDeviceLost(lost => calls.push(lost.message));
+
+    await recoverResources(info);
+    removeListener();
+    untrackResource(pass);
+    untrackResource(buffer);
+
+    expect(calls).toEqual(['buffer', 'pass', 'GPU process crashed']);
+  });
+
+  test('should skip untracked objects and keep going when one fails', async () => {
+    const calls = [];
+    const removed = { recreate: () => calls.push('removed') };
+    const broken = { name: 'broken', recreate: () => { throw new Error('out of memory'); } };
+    const texture = { recreate: () => calls.push('texture') };
+    trackResource(removed);
+    trackResource(broken);
+    trackResource(texture);
+    untrackResource(removed);
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await recoverResources(info);
+    untrackResource(broken);
+    untrackResource(texture);
+
+    expect(calls).toEqual(['texture']);
+    expect(error).toHaveBeenCalledWith(expect.stringContaining('broken'));
+    error.mockRestore();
+  });
+
+  test('should pause the running loop until recovery is done', async () => {
+    window.requestAnimationFrame = () => 0;
+    window.cancelAnimationFrame = () => {};
+    const controls = loop(() => {}, { keys: false });
+    let pausedDuringRecovery;
+    const removeListener = onDeviceLost(() => { pausedDuringRecovery = controls.paused; });
+
+    await recoverResources(info);
+    removeListener();
+    controls.stop();
+
+    expect(pausedDuringRecovery).toBe(true);
+    expect(controls.paused).toBe(false);
+  });
+});
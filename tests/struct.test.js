@@ -0,0 +1,274 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import {
+  Struct, type_f32, type_vec2, type_vec3, type_vec4,
+  type_u32, type_i32, type_vec2u, type_vec4i, type_atomic_u32,
+  type_mat3x3, type_mat4x4, type_array
+} from '../src/index';
+
+describe('Struct layout', () => {
+  test('should align vec3 to 16 bytes and pack a following f32 into its padding', () => {
+    const struct = new Struct('Particle', [
+      { name: 'pos', type: type_vec3 },
+      { name: 'mass', type: type_f32 },
+    ]);
+
+    expect(struct.offsetOf('pos')).toBe(0);
+    expect(struct.offsetOf('mass')).toBe(12);
+    expect(struct.layout.align).toBe(16);
+    expect(struct.byteSize).toBe(16);
+  });
+
+  test('should pad a vec2 following an f32 to an 8 byte boundary', () => {
+    const struct = new Struct('Agent', [
+      { name: 'angle', type: type_f32 },
+      { name: 'pos', type: type_vec2 },
+    ]);
+
+    expect(struct.offsetOf('pos')).toBe(8);
+    expect(struct.byteSize).toBe(16);
+  });
+
+  test('should round the struct size up to its alignment', () => {
+    const struct = new Struct('Mouse', [
+      { name: 'pos', type: type_vec2 },
+      { name: 'button', type: type_f32 },
+    ]);
+
+    expect(struct.layout.align).toBe(8);
+    expect(struct.byteSize).toBe(16);
+  });
+
+  test('should throw for an unknown field', () => {
+    const struct = new Struct('Empty');
+    expect(() => struct.offsetOf('x')).toThrow('Struct.offsetOf: No field named x in struct Empty');
+  });
+
+  test('should pack values at their layout offsets', () => {
+    const struct = new Struct('Agent', [
+      { name: 'angle', type: type_f32 },
+      { name: 'pos', type: type_vec2 },
+      { name: 'color', type: type_vec4 },
+    ]);
+
+    const arr = struct.toFloat32Array([
+      { angle: 1, pos: { x: 2, y: 3 }, color: { x: 4, y: 5, z: 6, w: 7 } },
+      { angle: 8, pos: { x: 9, y: 10 }, color: { x: 11, y: 12, z: 13, w: 14 } },
+    ]);
+
+    expect(arr.length).toBe(16);
+    expect([...arr.subarray(0, 8)]).toEqual([1, 0, 2, 3, 4, 5, 6, 7]);
+    expect([...arr.subarray(8, 16)]).toEqual([8, 0, 9, 10, 11, 12, 13, 14]);
+  });
+
+  test('should round-trip values through the layout', () => {
+    const struct = new Struct('Particle', [
+      { name: 'pos', type: type_vec3 },
+      { name: 'mass', type: type_f32 },
+      { name: 'vel', type: type_vec2 },
+    ]);
+    const vals = [
+      { pos: { x: 1, y: 2, z: 3 }, mass: 4, vel: { x: 5, y: 6 } },
+      { pos: { x: 7, y: 8, z: 9 }, mass: 10, vel: { x: 11, y: 12 } },
+    ];
+
+    expect(struct.fromFloat32Array(struct.toFloat32Array(vals))).toEqual(vals);
+  });
+
+  test('should reject arrays that do not hold a whole number of elements', () => {
+    const struct = new Struct('Particle', [{ name: 'pos', type: type_vec3 }]);
+    expect(() => struct.fromFloat32Array(new Float32Array(6))).toThrow('Struct.fromFloat32Array: Array too short for struct layout');
+  });
+});
+
+describe('Struct custom field types', () => {
+  // written the way field types were before they packed into DataViews
+  const type_pair = {
+    size: 8,
+    toFloat32Array: (val) => new Float32Array([val.a, val.b]),
+    fromFloat32Array: (arr) => ({ a: arr[0], b: arr[1] }),
+    code: (name) => `${name}: vec2<f32>`,
+    object: () => ({ a: 0, b: 0 }),
+  };
+
+  test('should accept types that only convert to and from Float32Arrays', () => {
+    const struct = new Struct('Custom');
+    struct.add('weight', type_f32);
+    struct.add('pair', type_pair);
+
+    expect(struct.offsetOf('pair')).toBe(8);
+    expect(struct.code).toContain('pair: vec2<f32>');
+    const arr = struct.toFloat32Array({ weight: 1, pair: { a: 2, b: 3 } });
+    expect(Array.from(arr)).toEqual([1, 0, 2, 3]);
+    expect(struct.fromFloat32Array(arr)).toEqual([{ weight: 1, pair: { a: 2, b: 3 } }]);
+  });
+
+  test('should check custom types against the uniform rules', () => {
+    const struct = new Struct('Custom', [{ name: 'pair', type: type_pair }]);
+    const declared = new Struct('Declared', [{ name: 'pair', type: { ...type_pair, code: undefined, wgsl: 'vec2<f32>' } }]);
+
+    expect(() => struct.validateUniform()).not.toThrow();
+    expect(declared.layout.fields[0].type.wgsl).toBe('vec2<f32>');
+  });
+
+  test('should still reject types with no way to pack them', () => {
+    expect(() => new Struct('Custom').add('x', { size: 4 })).toThrow('Struct.add: Invalid type provided');
+    const { code, ...unnamed } = type_pair;
+    expect(() => new Struct('Custom').add('pair', unnamed)).toThrow('need a wgsl type or a code(name) function');
+  });
+
+  test('should compute the layout once and again after adding a field', () => {
+    const struct = new Struct('Cached', [{ name: 'pos', type: type_vec2 }]);
+    const layout = struct.layout;
+
+    expect(struct.layout).toBe(layout);
+    struct.add('mass', type_f32);
+    expect(struct.layout).not.toBe(layout);
+    expect(struct.byteSize).toBe(16);
+  });
+});
+
+describe('Struct integer fields', () => {
+  test('should pack integers with their own bit patterns', () => {
+    const struct = new Struct('Cell', [
+      { name: 'count', type: type_atomic_u32 },
+      { name: 'offset', type: type_i32 },
+      { name: 'key', type: type_vec2u },
+    ]);
+    const view = new DataView(struct.toArrayBuffer({ count: 7, offset: -3, key: { x: 1, y: 4294967295 } }));
+
+    expect(view.getUint32(0, true)).toBe(7);
+    expect(view.getInt32(4, true)).toBe(-3);
+    expect(view.getUint32(8, true)).toBe(1);
+    expect(view.getUint32(12, true)).toBe(4294967295);
+  });
+
+  test('should generate WGSL for integer and atomic fields', () => {
+    const struct = new Struct('Cell', [
+      { name: 'count', type: type_atomic_u32 },
+      { name: 'index', type: type_u32 },
+      { name: 'neighbors', type: type_vec4i },
+    ]);
+
+    expect(struct.code).toContain('count: atomic<u32>');
+    expect(struct.code).toContain('index: u32');
+    expect(struct.code).toContain('neighbors: vec4<i32>');
+  });
+
+  test('should round-trip mixed fields through a Float32Array', () => {
+    const struct = new Struct('Particle', [
+      { name: 'pos', type: type_vec2 },
+      { name: 'id', type: type_u32 },
+      { name: 'cell', type: type_vec4i },
+    ]);
+    const vals = [{ pos: { x: 1.5, y: -2 }, id: 123456789, cell: { x: -1, y: 2, z: -3, w: 4 } }];
+
+    expect(struct.fromFloat32Array(struct.toFloat32Array(vals))).toEqual(vals);
+  });
+
+  test('should reject non-integer values for integer fields', () => {
+    const struct = new Struct('Cell', [{ name: 'index', type: type_u32 }]);
+    expect(() => struct.toArrayBuffer({ index: 1.5 })).toThrow('type_u32.write: Expected an integer');
+  });
+});
+
+describe('Struct matrix, array and nested fields', () => {
+  test('should lay out matrices with padded columns', () => {
+    const struct = new Struct('Camera', [
+      { name: 'scale', type: type_f32 },
+      { name: 'normal', type: type_mat3x3 },
+      { name: 'view', type: type_mat4x4 },
+    ]);
+
+    expect(type_mat3x3.size).toBe(48);
+    expect(struct.offsetOf('normal')).toBe(16);
+    expect(struct.offsetOf('view')).toBe(64);
+    expect(struct.byteSize).toBe(128);
+    expect(struct.code).toContain('normal: mat3x3<f32>');
+  });
+
+  test('should use the element stride for fixed-size arrays', () => {
+    const points = type_array(type_vec3, 4);
+    const struct = new Struct('Polygon', [
+      { name: 'count', type: type_u32 },
+      { name: 'points', type: points },
+    ]);
+
+    expect(points.stride).toBe(16);
+    expect(struct.offsetOf('points')).toBe(16);
+    expect(struct.byteSize).toBe(80);
+    expect(struct.code).toContain('points: array<vec3<f32>, 4>');
+  });
+
+  test('should declare nested structs once, dependencies first', () => {
+    const material = new Struct('Material', [
+      { name: 'color', type: type_vec4 },
+      { name: 'roughness', type: type_f32 },
+    ]);
+    const shape = new Struct('Shape', [
+      { name: 'center', type: type_vec3 },
+      { name: 'material', type: material },
+      { name: 'layers', type: type_array(material, 2) },
+    ]);
+
+    expect(shape.structs).toEqual([material, shape]);
+    expect(shape.code.indexOf('struct Material')).toBeLessThan(shape.code.indexOf('struct Shape'));
+    expect(shape.code.match(/struct Material/g).length).toBe(1);
+    expect(shape.code).toContain('layers: array<Material, 2>');
+    expect(shape.offsetOf('material')).toBe(16);
+    expect(shape.offsetOf('layers')).toBe(48);
+    expect(shape.byteSize).toBe(112);
+  });
+
+  test('should round-trip nested values from object()', () => {
+    const inner = new Struct('Inner', [
+      { name: 'id', type: type_i32 },
+      { name: 'dir', type: type_vec2 },
+    ]);
+    const outer = new Struct('Outer', [
+      { name: 'transform', type: type_mat4x4 },
+      { name: 'inner', type: inner },
+      { name: 'weights', type: type_array(type_f32, 3) },
+    ]);
+
+    const val = outer.object();
+    expect(val.transform).toEqual([1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1]);
+    expect(val.weights).toEqual([0, 0, 0]);
+
+    val.inner = { id: -5, dir: { x: 0.5, y: 0.25 } };
+    val.weights = [1, 2, 3];
+    expect(outer.fromFloat32Array(outer.toFloat32Array([val, val]))).toEqual([val, val]);
+  });
+});
+
+describe('Struct uniform validation', () => {
+  test('should accept a struct that follows the uniform rules', () => {
+    const params = new Struct('Params', [
+      { name: 'resolution', type: type_vec2 },
+      { name: 'time', type: type_f32 },
+      { name: 'colors', type: type_array(type_vec4, 4) },
+    ]);
+    expect(() => params.validateUniform()).not.toThrow();
+  });
+
+  test('should reject arrays with a stride that is not a multiple of 16', () => {
+    const params = new Struct('Params', [
+      { name: 'weights', type: type_array(type_f32, 4) },
+    ]);
+    expect(() => params.validateUniform()).toThrow('has a 4 byte array stride');
+  });
+
+  test('should reject atomics and misaligned nested structs', () => {
+    const counter = new Struct('Counter', [{ name: 'count', type: type_atomic_u32 }]);
+    expect(() => counter.validateUniform()).toThrow('atomics are only allowed in storage buffers');
+
+    const inner = new Struct('Inner', [{ name: 'value', type: type_f32 }]);
+    const outer = new Struct('Outer', [
+      { name: 'scale', type: type_f32 },
+      { name: 'inner', type: inner },
+    ]);
+    expect(() => outer.validateUniform()).toThrow('must start at a multiple of 16');
+  });
+});
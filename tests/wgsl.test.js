@@ -0,0 +1,28 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { writesToVariable } from '../src/index';
+
+describe('writesToVariable()', () => {
+  test('should detect assignments to the variable, its elements and members', () => {
+    expect(writesToVariable('particles[id.x] = p;', 'particles')).toBe(true);
+    expect(writesToVariable('particles[indices[i]].pos.x += 1.0;', 'particles')).toBe(true);
+    expect(writesToVariable('counter++;', 'counter')).toBe(true);
+    expect(writesToVariable('grid[i] <<= 1u;', 'grid')).toBe(true);
+  });
+
+  test('should treat taking the address as a write', () => {
+    expect(writesToVariable('atomicAdd(&counter, 1u);', 'counter')).toBe(true);
+    expect(writesToVariable('let n = arrayLength(&particles);', 'particles')).toBe(false);
+  });
+
+  test('should ignore reads, comparisons, comments and members of other variables', () => {
+    const code = `
+      var p = particles[id.x];
+      if (particles[0].pos.x == 1.0 || particles[1].pos.x <= 2.0) { p.particles = 3.0; }
+      // particles[0] = p;
+    `;
+    expect(writesToVariable(code, 'particles')).toBe(false);
+  });
+});